@@ -6,16 +6,24 @@ const cors = require("cors");
 const router = require("./routes/index");
 
 const connectToDB = require("./config/mongodb.config");
+const { authConfig } = require("./config/auth.config");
 const errorHandler = require("./middleware/errorhandler");
+const { refreshSalesVelocity } = require("./services/eventServices");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const SALES_VELOCITY_REFRESH_MS = parseInt(
+  process.env.SALES_VELOCITY_REFRESH_MS || String(60 * 60 * 1000),
+  10
+);
 
 // ──────────────────────────────────────────────
 // Security & middleware
 // ──────────────────────────────────────────────
 
-app.use(cors());
+// Browser access only from configured origins (CORS_ORIGINS); "*" allows any
+const corsOrigins = authConfig.corsOrigins;
+app.use(cors({ origin: corsOrigins.includes("*") ? "*" : corsOrigins }));
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -60,8 +68,35 @@ app.use(errorHandler);
 // ──────────────────────────────────────────────
 // Boot
 // ──────────────────────────────────────────────
+/** Auth misconfiguration otherwise only shows up as 401s on every request */
+const warnAboutAuthConfig = () => {
+  if (authConfig.disabled) {
+    console.warn("⚠️   AUTH_DISABLED=true — every request is treated as admin.");
+    console.warn("    Use it for local development only.\n");
+    return;
+  }
+  if (authConfig.apiKeys.length > 0) return;
+
+  console.warn(
+    authConfig.jwt
+      ? "⚠️   API_KEYS is empty — X-API-Key requests will be rejected; only bearer tokens work."
+      : "⚠️   API_KEYS is empty and JWT_SECRET is unset — every API request will be rejected."
+  );
+  console.warn('    Set API_KEYS="name:role:key,..." (roles: reader, catalog-editor, admin),');
+  console.warn("    or AUTH_DISABLED=true for local development. See README → Authentication.\n");
+};
+
 const start = async () => {
+  warnAboutAuthConfig();
   await connectToDB();
+
+  // Roll the 30-day trackedSalesVelocity window forward even without new purchases
+  setInterval(() => {
+    refreshSalesVelocity().catch((err) =>
+      console.warn(`⚠️   Sales velocity refresh failed: ${err.message}`)
+    );
+  }, SALES_VELOCITY_REFRESH_MS).unref();
+
   app.listen(PORT, () => {
     console.log(`\n🚀  Server running on http://localhost:${PORT}`);
     console.log(`📦  Environment : ${process.env.NODE_ENV || "development"}`);
@@ -0,0 +1,56 @@
+/**
+ * Auth configuration, read from the environment.
+ *
+ *  API_KEYS        comma-separated "name:role:key" entries, e.g.
+ *                  "storefront:reader:k_abc,merch-tool:catalog-editor:k_def"
+ *  JWT_SECRET      HS256 secret for bearer tokens (claims: sub, role or roles)
+ *  JWT_ISSUER      optional — required `iss` claim
+ *  JWT_AUDIENCE    optional — required `aud` claim
+ *  AUTH_DISABLED   "true" turns authentication off (local development only)
+ *  CORS_ORIGINS    comma-separated allowed browser origins, or "*" for any;
+ *                  unset = no cross-origin access
+ *
+ * Roles, lowest to highest — each includes everything below it:
+ *  reader          search and read the catalog
+ *  catalog-editor  create and update products and variant groups
+ *  admin           delete, purge, reindex and other admin endpoints
+ */
+require("dotenv").config();
+
+const ROLES = ["reader", "catalog-editor", "admin"];
+
+const splitList = (value) =>
+  (value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+/** "name:role:key" → { name, role, key } (the key itself may contain ":") */
+function parseApiKeys(value) {
+  return splitList(value).map((entry) => {
+    const [name, role, ...rest] = entry.split(":");
+    const key = rest.join(":");
+    if (!name || !key || !ROLES.includes(role)) {
+      throw new Error(
+        `Invalid API_KEYS entry "${name || entry}": expected name:role:key ` +
+          `with role one of ${ROLES.join(", ")}`
+      );
+    }
+    return { name, role, key };
+  });
+}
+
+const authConfig = {
+  disabled: process.env.AUTH_DISABLED === "true",
+  apiKeys: parseApiKeys(process.env.API_KEYS),
+  jwt: process.env.JWT_SECRET
+    ? {
+        secret: process.env.JWT_SECRET,
+        issuer: process.env.JWT_ISSUER || undefined,
+        audience: process.env.JWT_AUDIENCE || undefined,
+      }
+    : null,
+  corsOrigins: splitList(process.env.CORS_ORIGINS),
+};
+
+module.exports = { ROLES, authConfig };
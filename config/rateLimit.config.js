@@ -0,0 +1,46 @@
+/**
+ * Rate limit configuration, read from the environment.
+ *
+ * Token buckets per client (API key / token subject, else IP address):
+ *  RATE_LIMIT_SEARCH_PER_MINUTE  sustained search requests per minute (default 120)
+ *  RATE_LIMIT_SEARCH_BURST       bucket size — requests allowed at once (default 30)
+ *  RATE_LIMIT_WRITE_PER_MINUTE   sustained catalog writes per minute (default 60)
+ *  RATE_LIMIT_WRITE_BURST        (default 20)
+ *  RATE_LIMIT_EVENTS_PER_MINUTE  sustained engagement events per minute, counted
+ *                                per event rather than per batch (default 3000)
+ *  RATE_LIMIT_EVENTS_BURST       (default 1000)
+ *  RATE_LIMIT_DISABLED           "true" turns rate limiting off
+ */
+require("dotenv").config();
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name] || "", 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/** Bucket of `burst` tokens refilled at `perMinute` tokens a minute */
+const policy = (perMinute, burst) => ({
+  perMinute,
+  capacity: burst,
+  refillPerSecond: perMinute / 60,
+});
+
+const rateLimitConfig = {
+  disabled: process.env.RATE_LIMIT_DISABLED === "true",
+  policies: {
+    search: policy(
+      intFromEnv("RATE_LIMIT_SEARCH_PER_MINUTE", 120),
+      intFromEnv("RATE_LIMIT_SEARCH_BURST", 30)
+    ),
+    write: policy(
+      intFromEnv("RATE_LIMIT_WRITE_PER_MINUTE", 60),
+      intFromEnv("RATE_LIMIT_WRITE_BURST", 20)
+    ),
+    events: policy(
+      intFromEnv("RATE_LIMIT_EVENTS_PER_MINUTE", 3000),
+      intFromEnv("RATE_LIMIT_EVENTS_BURST", 1000)
+    ),
+  },
+};
+
+module.exports = { rateLimitConfig };
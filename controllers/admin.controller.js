@@ -0,0 +1,164 @@
+/**
+ * AdminController
+ * ───────────────
+ * Operational endpoints for maintaining derived search state and for
+ * catalog housekeeping.
+ */
+
+const Joi = require("joi");
+const { rebuildIndex, getIndexStats } = require("../services/searchIndexServices");
+const { listProfiles, reloadProfiles } = require("../services/rankingProfileServices");
+const { refreshSalesVelocity } = require("../services/eventServices");
+const { purgeDeletedProducts } = require("../services/productServices");
+const { getSearchCacheStats, invalidateSearchCache } = require("../services/searchCacheServices");
+const { getActor } = require("../utils/actor");
+
+// ──────────────────────────────────────────────
+// Validation schemas
+// ──────────────────────────────────────────────
+const purgeSchema = Joi.object({
+  olderThanDays: Joi.number().integer().min(0).max(3650).optional().default(30),
+  dryRun: Joi.boolean().optional().default(false),
+});
+
+// ──────────────────────────────────────────────
+// GET /api/v1/admin/search-index
+// ──────────────────────────────────────────────
+const getSearchIndexStatus = async (req, res, next) => {
+  try {
+    return res.status(200).json({ success: true, data: getIndexStats() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// POST /api/v1/admin/search-index/rebuild
+// ──────────────────────────────────────────────
+const rebuildSearchIndex = async (req, res, next) => {
+  try {
+    const startTime = Date.now();
+    const stats = await rebuildIndex();
+    const latencyMs = Date.now() - startTime;
+
+    return res.status(200).json({
+      success: true,
+      message: "Search index rebuilt",
+      latencyMs,
+      data: stats,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/admin/search-cache
+// ──────────────────────────────────────────────
+const getSearchCacheStatus = async (req, res, next) => {
+  try {
+    return res.status(200).json({ success: true, data: getSearchCacheStats() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// POST /api/v1/admin/search-cache/clear
+// ──────────────────────────────────────────────
+const clearSearchCache = async (req, res, next) => {
+  try {
+    invalidateSearchCache();
+    return res.status(200).json({
+      success: true,
+      message: "Search cache cleared",
+      data: getSearchCacheStats(),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/admin/ranking-profiles
+// ──────────────────────────────────────────────
+const getRankingProfiles = async (req, res, next) => {
+  try {
+    return res.status(200).json({ success: true, data: listProfiles() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// POST /api/v1/admin/ranking-profiles/reload
+// ──────────────────────────────────────────────
+const reloadRankingProfiles = async (req, res, next) => {
+  try {
+    const data = reloadProfiles();
+    invalidateSearchCache(); // cached rankings used the old weights
+    return res.status(200).json({
+      success: true,
+      message: "Ranking profiles reloaded",
+      data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// POST /api/v1/admin/sales-velocity/refresh
+// ──────────────────────────────────────────────
+const refreshSalesVelocities = async (req, res, next) => {
+  try {
+    const updated = await refreshSalesVelocity();
+    return res.status(200).json({
+      success: true,
+      message: "Sales velocity recomputed over the last 30 days",
+      updated,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// POST /api/v1/admin/products/purge?olderThanDays=30&dryRun=true
+// ──────────────────────────────────────────────
+const purgeProducts = async (req, res, next) => {
+  try {
+    const { error, value } = purgeSchema.validate(req.query, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    const result = await purgeDeletedProducts({ ...value, actor: getActor(req) });
+    return res.status(200).json({
+      success: true,
+      message: value.dryRun
+        ? `Dry run — ${result.purgedCount} products would be purged`
+        : `Permanently removed ${result.purgedCount} products`,
+      dryRun: value.dryRun,
+      olderThanDays: value.olderThanDays,
+      ...result,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getSearchIndexStatus,
+  rebuildSearchIndex,
+  getSearchCacheStatus,
+  clearSearchCache,
+  getRankingProfiles,
+  reloadRankingProfiles,
+  refreshSalesVelocities,
+  purgeProducts,
+};
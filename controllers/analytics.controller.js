@@ -0,0 +1,79 @@
+/**
+ * AnalyticsController
+ * ───────────────────
+ * Search analytics reports for the catalog team.
+ */
+
+const Joi = require("joi");
+const analyticsService = require("../services/analyticsServices");
+
+const DEFAULT_RANGE_DAYS = 7;
+
+// ──────────────────────────────────────────────
+// Validation schemas
+// ──────────────────────────────────────────────
+const reportQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  limit: Joi.number().integer().min(1).max(100).optional().default(20),
+});
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+/** Wraps a report function in request validation + the standard response */
+const reportHandler = (report) => async (req, res, next) => {
+  try {
+    const { error, value } = reportQuerySchema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    const to = value.to || new Date();
+    const from = value.from || new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: "\"from\" must be before \"to\"",
+      });
+    }
+
+    const data = await report({ from, to, limit: value.limit });
+    return res.status(200).json({
+      success: true,
+      range: { from: from.toISOString(), to: to.toISOString() },
+      count: data.length,
+      data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/analytics/search/top-queries
+// ──────────────────────────────────────────────
+const getTopQueries = reportHandler(analyticsService.getTopQueries);
+
+// ──────────────────────────────────────────────
+// GET /api/v1/analytics/search/zero-results
+// ──────────────────────────────────────────────
+const getZeroResultQueries = reportHandler(analyticsService.getZeroResultQueries);
+
+// ──────────────────────────────────────────────
+// GET /api/v1/analytics/search/corrections
+// ──────────────────────────────────────────────
+const getCorrectedQueries = reportHandler(analyticsService.getCorrectedQueries);
+
+module.exports = {
+  getTopQueries,
+  getZeroResultQueries,
+  getCorrectedQueries,
+};
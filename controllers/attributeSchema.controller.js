@@ -0,0 +1,145 @@
+/**
+ * AttributeSchemaController
+ * ─────────────────────────
+ * Manage the per-category attribute schemas that product metadata is
+ * checked and normalised against.
+ * Delegates business logic to AttributeSchemaService.
+ */
+
+const Joi = require("joi");
+const attributeSchemaService = require("../services/attributeSchemaServices");
+const categoryService = require("../services/categoryServices");
+const { UNIT_NAMES } = require("../utils/units");
+
+// ──────────────────────────────────────────────
+// Validation schemas
+// ──────────────────────────────────────────────
+const isNumber = { is: "number", then: Joi.optional(), otherwise: Joi.forbidden() };
+
+const attributeDefSchema = Joi.object({
+  key: Joi.string()
+    .pattern(/^[A-Za-z0-9_]+$/)
+    .max(50)
+    .required(),
+  type: Joi.string()
+    .valid(...attributeSchemaService.ATTRIBUTE_TYPES)
+    .required(),
+  unit: Joi.string()
+    .valid(...UNIT_NAMES)
+    .when("type", isNumber),
+  values: Joi.array()
+    .items(Joi.string().trim().min(1).max(100))
+    .min(1)
+    .max(200)
+    .when("type", { is: "enum", then: Joi.required(), otherwise: Joi.forbidden() }),
+  aliases: Joi.object()
+    .pattern(Joi.string().trim().min(1).max(100), Joi.string().trim().min(1).max(100))
+    .max(200)
+    .when("type", { is: "enum", then: Joi.optional(), otherwise: Joi.forbidden() }),
+  min: Joi.number().when("type", isNumber),
+  max: Joi.number().when("type", isNumber),
+  required: Joi.boolean().optional().default(false),
+  description: Joi.string().max(500).optional().allow(""),
+});
+
+const categorySchemaBody = Joi.object({
+  attributes: Joi.array().items(attributeDefSchema).max(100).unique("key").required(),
+  strict: Joi.boolean().optional().default(false),
+  description: Joi.string().max(500).optional().allow(""),
+});
+
+const validationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Validation error",
+    details: error.details.map((d) => d.message),
+  });
+
+const unknownCategory = (res, category) =>
+  res.status(400).json({
+    success: false,
+    message: `Unknown category "${category}"`,
+    details: ["category must be a category from GET /api/v1/categories"],
+  });
+
+/** Schemas are keyed by category name; the URL may also use a slug or alias */
+const categoryName = async (value) => (await categoryService.resolveCategory(value))?.name;
+
+const notFound = (res, category) =>
+  res.status(404).json({
+    success: false,
+    message: `No attribute schema for category ${category}`,
+  });
+
+// ──────────────────────────────────────────────
+// GET /api/v1/admin/attribute-schemas
+// ──────────────────────────────────────────────
+const listAttributeSchemas = async (req, res, next) => {
+  try {
+    const schemas = await attributeSchemaService.listAttributeSchemas();
+    return res.status(200).json({ success: true, total: schemas.length, data: schemas });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/admin/attribute-schemas/:category
+// ──────────────────────────────────────────────
+const getAttributeSchema = async (req, res, next) => {
+  try {
+    const category = (await categoryName(req.params.category)) || req.params.category;
+    const schema = await attributeSchemaService.getAttributeSchema(category);
+    if (!schema) return notFound(res, category);
+    return res.status(200).json({ success: true, data: schema });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// PUT /api/v1/admin/attribute-schemas/:category
+// ──────────────────────────────────────────────
+const putAttributeSchema = async (req, res, next) => {
+  try {
+    const category = await categoryName(req.params.category);
+    if (!category) return unknownCategory(res, req.params.category);
+
+    const { error, value } = categorySchemaBody.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const { schema, created } = await attributeSchemaService.putAttributeSchema(category, value);
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? "Attribute schema created" : "Attribute schema replaced",
+      data: schema,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// DELETE /api/v1/admin/attribute-schemas/:category
+// ──────────────────────────────────────────────
+const removeAttributeSchema = async (req, res, next) => {
+  try {
+    const category = (await categoryName(req.params.category)) || req.params.category;
+    const schema = await attributeSchemaService.deleteAttributeSchema(category);
+    if (!schema) return notFound(res, category);
+    return res.status(200).json({
+      success: true,
+      message: "Attribute schema deleted",
+      category: schema.category,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  listAttributeSchemas,
+  getAttributeSchema,
+  putAttributeSchema,
+  removeAttributeSchema,
+};
@@ -0,0 +1,139 @@
+/**
+ * CategoryController
+ * ──────────────────
+ * Read and manage the product category tree.
+ * Delegates business logic to CategoryService.
+ */
+
+const Joi = require("joi");
+const categoryService = require("../services/categoryServices");
+
+// ──────────────────────────────────────────────
+// Validation schemas
+// ──────────────────────────────────────────────
+const aliases = Joi.array().items(Joi.string().trim().min(1).max(100)).max(50);
+const parent = Joi.string().trim().max(100).allow(null, "");
+
+const createCategorySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  slug: Joi.string()
+    .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .max(100)
+    .optional(),
+  parent: parent.optional(),
+  aliases: aliases.optional().default([]),
+  description: Joi.string().max(500).optional().allow(""),
+});
+
+const updateCategorySchema = Joi.object({
+  parent: parent.optional(),
+  aliases: aliases.optional(),
+  description: Joi.string().max(500).optional().allow(""),
+}).min(1);
+
+const listSchema = Joi.object({
+  flat: Joi.boolean().optional().default(false),
+});
+
+const validationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Validation error",
+    details: error.details.map((d) => d.message),
+  });
+
+const notFound = (res, slug) =>
+  res.status(404).json({
+    success: false,
+    message: `Category ${slug} not found`,
+  });
+
+// ──────────────────────────────────────────────
+// GET /api/v1/categories
+// ──────────────────────────────────────────────
+const listCategories = async (req, res, next) => {
+  try {
+    const { error, value } = listSchema.validate(req.query, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const data = value.flat
+      ? await categoryService.listCategories()
+      : await categoryService.getCategoryTree();
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/categories/:slug
+// ──────────────────────────────────────────────
+const getCategory = async (req, res, next) => {
+  try {
+    const category = await categoryService.getCategory(req.params.slug);
+    if (!category) return notFound(res, req.params.slug);
+    return res.status(200).json({ success: true, data: category });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// POST /api/v1/categories
+// ──────────────────────────────────────────────
+const storeCategory = async (req, res, next) => {
+  try {
+    const { error, value } = createCategorySchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const category = await categoryService.createCategory(value);
+    return res.status(201).json({
+      success: true,
+      message: "Category created successfully",
+      data: category,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// PATCH /api/v1/categories/:slug
+// ──────────────────────────────────────────────
+const updateCategory = async (req, res, next) => {
+  try {
+    const { error, value } = updateCategorySchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const category = await categoryService.updateCategory(req.params.slug, value);
+    if (!category) return notFound(res, req.params.slug);
+    return res.status(200).json({ success: true, data: category });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// DELETE /api/v1/categories/:slug
+// ──────────────────────────────────────────────
+const removeCategory = async (req, res, next) => {
+  try {
+    const category = await categoryService.deleteCategory(req.params.slug);
+    if (!category) return notFound(res, req.params.slug);
+    return res.status(200).json({
+      success: true,
+      message: "Category deleted",
+      slug: category.slug,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  listCategories,
+  getCategory,
+  storeCategory,
+  updateCategory,
+  removeCategory,
+};
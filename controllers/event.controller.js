@@ -0,0 +1,119 @@
+/**
+ * EventController
+ * ───────────────
+ * Ingests storefront engagement events and serves CTR stats.
+ */
+
+const Joi = require("joi");
+const eventService = require("../services/eventServices");
+
+// ──────────────────────────────────────────────
+// Validation schemas
+// ──────────────────────────────────────────────
+const MAX_BATCH = 500;
+const MAX_PURCHASE_QUANTITY = 1000;
+
+const eventSchema = Joi.object({
+  type: Joi.string().valid(...eventService.EVENT_TYPES).required(),
+  productId: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
+  query: Joi.string().max(300).optional().allow(""),
+  position: Joi.number().integer().min(1).optional(),
+  quantity: Joi.number().integer().min(1).max(MAX_PURCHASE_QUANTITY).optional().default(1),
+  sessionId: Joi.string().max(100).optional(),
+});
+
+const eventBatchSchema = Joi.array().items(eventSchema).min(1).max(MAX_BATCH);
+
+const statsQuerySchema = Joi.object({
+  query: Joi.string().max(300).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional().default(20),
+});
+
+/** Accepts a single event, an array of events, or { events: [...] } */
+const toEventBatch = (body = {}) => (Array.isArray(body) ? body : body.events || [body]);
+
+/** Events in a request, for the per-event rate limit */
+const countEvents = (req) => {
+  const batch = toEventBatch(req.body || {});
+  return Array.isArray(batch) ? batch.length : 1;
+};
+
+// ──────────────────────────────────────────────
+// POST /api/v1/events
+// ──────────────────────────────────────────────
+const storeEvents = async (req, res, next) => {
+  try {
+    const batch = toEventBatch(req.body || {});
+
+    const { error, value: events } = eventBatchSchema.validate(batch, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    const { recorded, unknownProductIds } = await eventService.recordEvents(events);
+
+    if (unknownProductIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: "Events reference unknown products; nothing was recorded",
+        details: unknownProductIds,
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: "Events recorded",
+      recorded,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/events/stats/query?query=...
+// ──────────────────────────────────────────────
+const getQueryStats = async (req, res, next) => {
+  try {
+    const { error, value } = statsQuerySchema.validate(req.query, { stripUnknown: true });
+    if (error || !value.query) {
+      return res.status(400).json({
+        success: false,
+        message: error ? error.message : "Query is required. Use ?query=<search term>",
+      });
+    }
+
+    const data = await eventService.getQueryStats(value.query, { limit: value.limit });
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/events/stats/product/:id
+// ──────────────────────────────────────────────
+const getProductStats = async (req, res, next) => {
+  try {
+    const { error, value } = statsQuerySchema.validate(req.query, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const data = await eventService.getProductStats(req.params.id, { limit: value.limit });
+    return res.status(200).json({ success: true, data });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  countEvents,
+  storeEvents,
+  getQueryStats,
+  getProductStats,
+};
@@ -0,0 +1,181 @@
+/**
+ * HinglishController
+ * ──────────────────
+ * View, edit and roll back the versioned Hinglish / regional dictionary.
+ * Delegates business logic to HinglishService.
+ */
+
+const Joi = require("joi");
+const hinglishService = require("../services/hinglishServices");
+const { getActor } = require("../utils/actor");
+
+// ──────────────────────────────────────────────
+// Validation schemas
+// ──────────────────────────────────────────────
+// Keys are romanised (Devanagari queries are transliterated before lookup);
+// lowercase words separated by single spaces
+const PHRASE = /^[a-z0-9]+( [a-z0-9]+)*$/;
+const phrase = Joi.string()
+  .max(60)
+  .pattern(PHRASE)
+  .messages({
+    "string.pattern.base": '"{{#value}}" must be lowercase Latin words separated by single spaces',
+  });
+
+const entriesSchema = Joi.object().pattern(phrase, phrase.required()).max(5000);
+const note = Joi.string().max(500).optional().allow("");
+
+const replaceSchema = Joi.object({
+  entries: entriesSchema.min(1).required(),
+  note,
+});
+
+const updateSchema = Joi.object({
+  set: entriesSchema.optional(),
+  remove: Joi.array().items(phrase).max(5000).unique().optional(),
+  note,
+}).or("set", "remove");
+
+const rollbackSchema = Joi.object({
+  version: Joi.number().integer().min(1).required(),
+  note,
+});
+
+const versionParamSchema = Joi.number().integer().min(1).required();
+
+const validationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Validation error",
+    details: error.details.map((d) => d.message),
+  });
+
+// ──────────────────────────────────────────────
+// GET /api/v1/admin/hinglish
+// ──────────────────────────────────────────────
+const getActiveDictionary = async (req, res, next) => {
+  try {
+    return res.status(200).json({ success: true, data: hinglishService.getActiveDictionary() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/admin/hinglish/versions
+// ──────────────────────────────────────────────
+const listVersions = async (req, res, next) => {
+  try {
+    const versions = hinglishService.listVersions();
+    return res.status(200).json({ success: true, total: versions.length, data: versions });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/admin/hinglish/versions/:version
+// ──────────────────────────────────────────────
+const getVersion = async (req, res, next) => {
+  try {
+    const { error, value: version } = versionParamSchema.validate(req.params.version);
+    if (error) return validationError(res, error);
+
+    const doc = hinglishService.getVersion(version);
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: `Hinglish dictionary v${version} not found`,
+      });
+    }
+    return res.status(200).json({ success: true, data: doc });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// PUT /api/v1/admin/hinglish
+// ──────────────────────────────────────────────
+const replaceEntries = async (req, res, next) => {
+  try {
+    const { error, value } = replaceSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const dictionary = hinglishService.replaceEntries(value, { actor: getActor(req) });
+    return res.status(200).json({
+      success: true,
+      message: `Hinglish dictionary v${dictionary.version} is now active`,
+      data: dictionary,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// PATCH /api/v1/admin/hinglish
+// ──────────────────────────────────────────────
+const updateEntries = async (req, res, next) => {
+  try {
+    const { error, value } = updateSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const dictionary = hinglishService.updateEntries(value, { actor: getActor(req) });
+    return res.status(200).json({
+      success: true,
+      message: `Hinglish dictionary v${dictionary.version} is now active`,
+      data: dictionary,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// POST /api/v1/admin/hinglish/rollback
+// ──────────────────────────────────────────────
+const rollbackDictionary = async (req, res, next) => {
+  try {
+    const { error, value } = rollbackSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const dictionary = hinglishService.rollbackTo(value.version, {
+      note: value.note,
+      actor: getActor(req),
+    });
+    return res.status(200).json({
+      success: true,
+      message: `Hinglish dictionary v${dictionary.version} (copy of v${value.version}) is now active`,
+      data: dictionary,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// POST /api/v1/admin/hinglish/reload
+// ──────────────────────────────────────────────
+const reloadDictionary = async (req, res, next) => {
+  try {
+    const dictionary = hinglishService.reloadDictionary();
+    return res.status(200).json({
+      success: true,
+      message: `Hinglish dictionary v${dictionary.version} is now active`,
+      data: dictionary,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getActiveDictionary,
+  listVersions,
+  getVersion,
+  replaceEntries,
+  updateEntries,
+  rollbackDictionary,
+  reloadDictionary,
+};
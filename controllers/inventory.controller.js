@@ -0,0 +1,117 @@
+/**
+ * InventoryController
+ * ───────────────────
+ * Warehouse stock of a product and its availability at a pincode.
+ * Delegates business logic to InventoryService.
+ */
+
+const Joi = require("joi");
+const inventoryService = require("../services/inventoryServices");
+const { isPincode } = require("../services/warehouseServices");
+const { getActor } = require("../utils/actor");
+
+// ──────────────────────────────────────────────
+// Validation schemas
+// ──────────────────────────────────────────────
+const stock = Joi.number().integer().min(0);
+
+const inventorySchema = Joi.object({
+  warehouses: Joi.array()
+    .items(
+      Joi.object({
+        warehouseCode: Joi.string().trim().max(20).required(),
+        stock: stock.required(),
+      })
+    )
+    .max(500)
+    .required(),
+});
+
+const warehouseStockSchema = Joi.object({
+  stock: stock.required(),
+});
+
+const validationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Validation error",
+    details: error.details.map((d) => d.message),
+  });
+
+const notFound = (res, id) =>
+  res.status(404).json({
+    success: false,
+    message: `Product with id ${id} not found`,
+  });
+
+// ──────────────────────────────────────────────
+// GET /api/v1/product/:id/availability?pincode=
+// ──────────────────────────────────────────────
+const getAvailability = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { pincode } = req.query;
+    if (!isPincode(pincode || "")) {
+      return res.status(400).json({
+        success: false,
+        message: "A six-digit pincode is required. Use ?pincode=<pincode>",
+      });
+    }
+
+    const availability = await inventoryService.getAvailability(id, pincode);
+    if (!availability) return notFound(res, id);
+    return res.status(200).json({ success: true, data: availability });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// PUT /api/v1/product/:id/inventory
+// ──────────────────────────────────────────────
+const putInventory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = inventorySchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const product = await inventoryService.setInventory(id, value.warehouses, {
+      actor: getActor(req),
+    });
+    if (!product) return notFound(res, id);
+    return res.status(200).json({
+      success: true,
+      data: { productId: id, stock: product.stock, inventory: product.inventory },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// PUT /api/v1/product/:id/inventory/:warehouseCode
+// ──────────────────────────────────────────────
+const putWarehouseStock = async (req, res, next) => {
+  try {
+    const { id, warehouseCode } = req.params;
+    const { error, value } = warehouseStockSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const product = await inventoryService.setWarehouseStock(id, warehouseCode, value.stock, {
+      actor: getActor(req),
+    });
+    if (!product) return notFound(res, id);
+    return res.status(200).json({
+      success: true,
+      data: { productId: id, stock: product.stock, inventory: product.inventory },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  getAvailability,
+  putInventory,
+  putWarehouseStock,
+};
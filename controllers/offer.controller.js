@@ -0,0 +1,119 @@
+/**
+ * OfferController
+ * ───────────────
+ * Per-seller offers on a product and the buy box they compete for.
+ * Delegates business logic to OfferService.
+ */
+
+const Joi = require("joi");
+const offerService = require("../services/offerServices");
+const { getActor } = require("../utils/actor");
+
+// ──────────────────────────────────────────────
+// Validation schemas
+// ──────────────────────────────────────────────
+const FULFILLMENT_TYPES = ["express", "standard", "seller_fulfilled"];
+
+const offerSchema = Joi.object({
+  price: Joi.number().min(0).required(),
+  mrp: Joi.number().min(0).required(),
+  stock: Joi.number().integer().min(0).optional().default(0),
+  fulfillmentType: Joi.string()
+    .valid(...FULFILLMENT_TYPES)
+    .optional()
+    .default("seller_fulfilled"),
+});
+
+const updateOfferSchema = Joi.object({
+  price: Joi.number().min(0).optional(),
+  mrp: Joi.number().min(0).optional(),
+  stock: Joi.number().integer().min(0).optional(),
+  fulfillmentType: Joi.string()
+    .valid(...FULFILLMENT_TYPES)
+    .optional(),
+}).min(1);
+
+const validationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Validation error",
+    details: error.details.map((d) => d.message),
+  });
+
+const notFound = (res, id) =>
+  res.status(404).json({
+    success: false,
+    message: `Product with id ${id} not found`,
+  });
+
+// ──────────────────────────────────────────────
+// GET /api/v1/product/:id/offers
+// ──────────────────────────────────────────────
+const listOffers = async (req, res, next) => {
+  try {
+    const offers = await offerService.listOffers(req.params.id);
+    if (!offers) return notFound(res, req.params.id);
+    return res.status(200).json({ success: true, data: offers });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// PUT /api/v1/product/:id/offers/:sellerId
+// ──────────────────────────────────────────────
+const putOffer = async (req, res, next) => {
+  try {
+    const { id, sellerId } = req.params;
+    const { error, value } = offerSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const result = await offerService.putOffer(id, sellerId, value, { actor: getActor(req) });
+    if (!result) return notFound(res, id);
+    return res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? "Offer created" : "Offer replaced",
+      data: result.offers,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// PATCH /api/v1/product/:id/offers/:sellerId
+// ──────────────────────────────────────────────
+const updateOffer = async (req, res, next) => {
+  try {
+    const { id, sellerId } = req.params;
+    const { error, value } = updateOfferSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const offers = await offerService.updateOffer(id, sellerId, value, { actor: getActor(req) });
+    if (!offers) return notFound(res, id);
+    return res.status(200).json({ success: true, data: offers });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// DELETE /api/v1/product/:id/offers/:sellerId
+// ──────────────────────────────────────────────
+const removeOffer = async (req, res, next) => {
+  try {
+    const { id, sellerId } = req.params;
+    const offers = await offerService.removeOffer(id, sellerId, { actor: getActor(req) });
+    if (!offers) return notFound(res, id);
+    return res.status(200).json({ success: true, message: "Offer removed", data: offers });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  listOffers,
+  putOffer,
+  updateOffer,
+  removeOffer,
+};
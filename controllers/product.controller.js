@@ -5,26 +5,36 @@
  * Delegates business logic to ProductService.
  */
 
+const { once } = require("events");
 const Joi = require("joi");
 const productService = require("../services/productServices");
+const historyService = require("../services/historyServices");
+const { normaliseMetadata } = require("../services/attributeSchemaServices");
+const { priceTierErrors } = require("../services/pricingServices");
+const categoryService = require("../services/categoryServices");
+const { parseCsv, toCsvLine } = require("../utils/csv");
+const { getActor } = require("../utils/actor");
 
 // ──────────────────────────────────────────────
 // Validation schemas
 // ──────────────────────────────────────────────
-const CATEGORIES = [
-  "Mobile Phones", "Laptops", "Headphones", "Earphones", "Smartwatches",
-  "Tablets", "Phone Accessories", "Chargers & Cables", "Power Banks",
-  "Gaming", "Networking", "Cameras", "Other Electronics",
-];
+// Bulk price breaks; PricingService checks them against the price
+const priceTiersSchema = Joi.array().items(
+  Joi.object({
+    minQty: Joi.number().integer().min(2).required(),
+    price: Joi.number().min(0).required(),
+  })
+);
 
 const createProductSchema = Joi.object({
   title: Joi.string().max(300).required(),
   description: Joi.string().max(5000).optional().allow(""),
   brand: Joi.string().max(100).optional().allow(""),
-  category: Joi.string().valid(...CATEGORIES).optional().default("Other Electronics"),
+  category: Joi.string().trim().max(100).optional().default("Other Electronics"),
   model: Joi.string().max(100).optional().allow(""),
   price: Joi.number().min(0).required(),
   mrp: Joi.number().min(0).required(),
+  priceTiers: priceTiersSchema.optional(),
   currency: Joi.string().valid("INR", "Rupee", "USD").optional().default("INR"),
   stock: Joi.number().min(0).optional().default(0),
   fulfillmentType: Joi.string().valid("express", "standard", "seller_fulfilled").optional(),
@@ -41,6 +51,14 @@ const createProductSchema = Joi.object({
   metadata: Joi.object().optional().default({}),
 });
 
+const historyQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).optional().default(1),
+  limit: Joi.number().integer().min(1).max(200).optional().default(50),
+  field: Joi.string().max(100).optional(),
+});
+
+const BULK_MAX_ROWS = parseInt(process.env.BULK_IMPORT_MAX_ROWS || "5000", 10);
+
 const updateMetadataSchema = Joi.object({
   productId: Joi.alternatives().try(Joi.string(), Joi.number()).required(),
   metadata: Joi.object().required(),
@@ -50,9 +68,10 @@ const updateProductSchema = Joi.object({
   title: Joi.string().max(300).optional(),
   description: Joi.string().max(5000).optional().allow(""),
   brand: Joi.string().max(100).optional().allow(""),
-  category: Joi.string().valid(...CATEGORIES).optional(),
+  category: Joi.string().trim().max(100).optional(),
   price: Joi.number().min(0).optional(),
   mrp: Joi.number().min(0).optional(),
+  priceTiers: priceTiersSchema.optional(),
   stock: Joi.number().min(0).optional(),
   rating: Joi.number().min(0).max(5).optional(),
   reviewCount: Joi.number().min(0).optional(),
@@ -64,21 +83,40 @@ const updateProductSchema = Joi.object({
   isActive: Joi.boolean().optional(),
 }).min(1);
 
+/**
+ * Swaps a category name, slug or alias in `value` for the tree's name.
+ * Returns a validation message if the category is not in the tree.
+ */
+const resolveCategoryField = async (value) => {
+  if (value.category === undefined) return null;
+  const node = await categoryService.resolveCategory(value.category);
+  if (!node) {
+    return `"category" must be a category from GET /api/v1/categories (got "${value.category}")`;
+  }
+  value.category = node.name;
+  return null;
+};
+
+/** A category filter and everything below it; unknown names are kept so they match nothing */
+const expandCategoryFilter = async (category) =>
+  category ? (await categoryService.expandCategory(category)) || [category] : undefined;
+
 // ──────────────────────────────────────────────
 // POST /api/v1/product
 // ──────────────────────────────────────────────
 const storeProduct = async (req, res, next) => {
   try {
     const { error, value } = createProductSchema.validate(req.body, { abortEarly: false });
-    if (error) {
+    const categoryError = error ? null : await resolveCategoryField(value);
+    if (error || categoryError) {
       return res.status(400).json({
         success: false,
         message: "Validation error",
-        details: error.details.map((d) => d.message),
+        details: error ? error.details.map((d) => d.message) : [categoryError],
       });
     }
 
-    const product = await productService.createProduct(value);
+    const product = await productService.createProduct(value, { actor: getActor(req) });
 
     return res.status(201).json({
       success: true,
@@ -106,7 +144,9 @@ const updateMetadata = async (req, res, next) => {
     }
 
     const { productId, metadata } = value;
-    const product = await productService.updateProductMetadata(productId, metadata);
+    const product = await productService.updateProductMetadata(productId, metadata, {
+      actor: getActor(req),
+    });
 
     if (!product) {
       return res.status(404).json({
@@ -145,6 +185,36 @@ const getProduct = async (req, res, next) => {
   }
 };
 
+// ──────────────────────────────────────────────
+// GET /api/v1/product/:id/history
+// ──────────────────────────────────────────────
+const getProductHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = historyQuerySchema.validate(req.query, { abortEarly: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details.map((d) => d.message),
+      });
+    }
+
+    // Deleted and purged products still have (and need) their history
+    const history = await historyService.getHistory(id, value);
+    if (history.pagination.total === 0 && !(await productService.getProductById(id))) {
+      return res.status(404).json({
+        success: false,
+        message: `Product with id ${id} not found`,
+      });
+    }
+
+    return res.status(200).json({ success: true, ...history });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // ──────────────────────────────────────────────
 // GET /api/v1/product
 // ──────────────────────────────────────────────
@@ -152,9 +222,14 @@ const listProducts = async (req, res, next) => {
   try {
     const page = Math.max(1, parseInt(req.query.page || "1", 10));
     const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || "20", 10)));
-    const { category, brand } = req.query;
+    const { brand } = req.query;
+    const category = await expandCategoryFilter(req.query.category);
+    // onlyDeleted wins if both are set
+    let status = "active";
+    if (req.query.includeDeleted === "true") status = "all";
+    if (req.query.onlyDeleted === "true") status = "deleted";
 
-    const result = await productService.getAllProducts({ page, limit, category, brand });
+    const result = await productService.getAllProducts({ page, limit, category, brand, status });
     return res.status(200).json({ success: true, ...result });
   } catch (err) {
     next(err);
@@ -168,15 +243,16 @@ const updateProduct = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { error, value } = updateProductSchema.validate(req.body, { abortEarly: false });
-    if (error) {
+    const categoryError = error ? null : await resolveCategoryField(value);
+    if (error || categoryError) {
       return res.status(400).json({
         success: false,
         message: "Validation error",
-        details: error.details.map((d) => d.message),
+        details: error ? error.details.map((d) => d.message) : [categoryError],
       });
     }
 
-    const product = await productService.updateProduct(id, value);
+    const product = await productService.updateProduct(id, value, { actor: getActor(req) });
     if (!product) {
       return res.status(404).json({
         success: false,
@@ -195,7 +271,7 @@ const updateProduct = async (req, res, next) => {
 const removeProduct = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const product = await productService.deleteProduct(id);
+    const product = await productService.deleteProduct(id, { actor: getActor(req) });
     if (!product) {
       return res.status(404).json({
         success: false,
@@ -212,11 +288,273 @@ const removeProduct = async (req, res, next) => {
   }
 };
 
+// ──────────────────────────────────────────────
+// POST /api/v1/product/:id/restore
+// ──────────────────────────────────────────────
+const restoreProduct = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const existing = await productService.getProductById(id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: `Product with id ${id} not found`,
+      });
+    }
+    if (existing.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: `Product with id ${id} is not deleted`,
+      });
+    }
+
+    const product = await productService.restoreProduct(id, { actor: getActor(req) });
+    return res.status(200).json({
+      success: true,
+      message: "Product restored to catalog",
+      productId: id,
+      data: product,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// Helpers: bulk import
+// ──────────────────────────────────────────────
+/**
+ * Converts one CSV record into a product payload.
+ *  - empty cells are omitted (so schema defaults apply)
+ *  - `searchTags` is pipe-separated: "phone|5g|android"
+ *  - `priceTiers` is pipe-separated minQty:price pairs: "10:420|50:390"
+ *  - `metadata.<key>` columns become metadata entries
+ */
+const csvRecordToProduct = (values) => {
+  const product = {};
+  const metadata = {};
+  Object.entries(values).forEach(([column, raw]) => {
+    const cell = raw.trim();
+    if (cell === "") return;
+    if (column.startsWith("metadata.")) {
+      metadata[column.slice("metadata.".length)] = cell;
+    } else if (column === "searchTags") {
+      product.searchTags = cell.split("|").map((t) => t.trim()).filter(Boolean);
+    } else if (column === "priceTiers") {
+      product.priceTiers = cell.split("|").map((t) => {
+        const [minQty, price] = t.split(":").map((v) => v.trim());
+        return { minQty, price };
+      });
+    } else {
+      product[column] = cell;
+    }
+  });
+  if (Object.keys(metadata).length) product.metadata = metadata;
+  return product;
+};
+
+/**
+ * Normalises the request body into [{ row, data }].
+ * CSV rows are numbered as in a spreadsheet (header = row 1);
+ * JSON rows are 1-based array positions.
+ */
+const readBulkRows = (req) => {
+  if (typeof req.body === "string") {
+    return parseCsv(req.body).records.map(({ line, values }) => ({
+      row: line,
+      data: csvRecordToProduct(values),
+    }));
+  }
+  const items = Array.isArray(req.body) ? req.body : req.body?.products;
+  if (!Array.isArray(items)) return null;
+  return items.map((data, i) => ({ row: i + 1, data }));
+};
+
+// ──────────────────────────────────────────────
+// POST /api/v1/product/bulk
+// ──────────────────────────────────────────────
+const bulkImportProducts = async (req, res, next) => {
+  try {
+    const dryRun = req.query.dryRun === "true";
+    const rows = readBulkRows(req);
+
+    if (!rows) {
+      return res.status(400).json({
+        success: false,
+        message: "Send a JSON array of products, { products: [...] }, or a text/csv body",
+      });
+    }
+    if (rows.length === 0 || rows.length > BULK_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Bulk import needs between 1 and ${BULK_MAX_ROWS} rows (got ${rows.length})`,
+      });
+    }
+
+    // 1. Validate every row, metadata against its category's attribute schema too
+    const report = await Promise.all(
+      rows.map(async ({ row, data }) => {
+        const { error, value } = createProductSchema.validate(data, { abortEarly: false });
+        if (error) return { row, status: "invalid", errors: error.details.map((d) => d.message) };
+        const categoryError = await resolveCategoryField(value);
+        if (categoryError) return { row, status: "invalid", errors: [categoryError] };
+        const tierErrors = priceTierErrors(value.priceTiers, value.price);
+        if (tierErrors.length) return { row, status: "invalid", errors: tierErrors };
+        try {
+          value.metadata = await normaliseMetadata(value.category, value.metadata);
+        } catch (err) {
+          if (err.statusCode !== 400) throw err;
+          return { row, status: "invalid", errors: err.details };
+        }
+        return { row, status: "valid", errors: [], value };
+      })
+    );
+    const validRows = report.filter((r) => r.status === "valid");
+
+    // 2. Insert valid rows (unless dry run)
+    if (!dryRun && validRows.length) {
+      const { results } = await productService.bulkInsert(
+        validRows.map((r) => r.value),
+        { actor: getActor(req), metadataNormalised: true }
+      );
+      validRows.forEach((r, i) => {
+        if (results[i].productId) {
+          r.status = "inserted";
+          r.productId = results[i].productId;
+        } else {
+          r.status = "failed";
+          r.errors = results[i].errors;
+        }
+      });
+    }
+
+    const count = (status) => report.filter((r) => r.status === status).length;
+    const summary = {
+      total: report.length,
+      valid: validRows.length,
+      invalid: count("invalid"),
+      inserted: count("inserted"),
+      failed: count("failed"),
+    };
+
+    let status = dryRun ? 200 : 201;
+    if (!dryRun && summary.inserted === 0) status = 400;
+
+    return res.status(status).json({
+      success: status !== 400,
+      message: dryRun
+        ? "Dry run complete — nothing was inserted"
+        : `Imported ${summary.inserted} of ${summary.total} products`,
+      dryRun,
+      summary,
+      rows: report.map(({ value, ...r }) => r),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// Helpers: export
+// ──────────────────────────────────────────────
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  jsonl: { contentType: "application/x-ndjson; charset=utf-8", extension: "jsonl" },
+};
+
+const EXPORT_COLUMNS = [
+  "productId", "title", "description", "brand", "category", "model",
+  "price", "mrp", "priceTiers", "currency", "discountPercent", "stock", "fulfillmentType",
+  "rating", "reviewCount", "returnRate", "complaintRate",
+  "unitsSold", "salesVelocity", "viewCount",
+  "color", "searchTags", "launchYear", "variantGroupId", "createdAt", "updatedAt",
+];
+
+/** One CSV row: core columns, then flattened metadata.<key> columns */
+const productToCsvValues = (p, metadataKeys) => [
+  ...EXPORT_COLUMNS.map((col) => {
+    if (col === "productId") return p._id || p.id;
+    if (col === "searchTags") return (p.searchTags || []).join("|"); // same as bulk import
+    if (col === "priceTiers") {
+      return (p.priceTiers || []).map((t) => `${t.minQty}:${t.price}`).join("|");
+    }
+    return p[col];
+  }),
+  ...metadataKeys.map((k) => (p.metadata || {})[k]),
+];
+
+/**
+ * Writes respecting backpressure; resolves false if the client went away.
+ * A client that disconnects mid-wait never drains, so "close" ends the wait too.
+ */
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed) return false;
+  if (!res.write(chunk)) {
+    const waiting = new AbortController();
+    const { signal } = waiting;
+    try {
+      await Promise.race([once(res, "drain", { signal }), once(res, "close", { signal })]);
+    } finally {
+      waiting.abort(); // drop the listener that lost the race
+    }
+  }
+  return !res.destroyed;
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/product/export?format=csv|jsonl
+// ──────────────────────────────────────────────
+const exportProducts = async (req, res, next) => {
+  try {
+    const format = req.query.format || "csv";
+    const { brand } = req.query;
+    const category = await expandCategoryFilter(req.query.category);
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+      });
+    }
+
+    // CSV needs its header up front, so collect metadata columns first
+    const metadataKeys =
+      format === "csv" ? await productService.getMetadataKeys({ category, brand }) : [];
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.status(200);
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="catalog-${stamp}.${extension}"`);
+
+    if (format === "csv") {
+      await writeChunk(res, toCsvLine([...EXPORT_COLUMNS, ...metadataKeys.map((k) => `metadata.${k}`)]));
+    }
+
+    for await (const product of productService.streamProducts({ category, brand })) {
+      const line =
+        format === "csv"
+          ? toCsvLine(productToCsvValues(product, metadataKeys))
+          : `${JSON.stringify(product)}\n`;
+      if (!(await writeChunk(res, line))) return;
+    }
+    res.end();
+  } catch (err) {
+    // Once streaming has started the status line is gone — just cut the stream
+    if (res.headersSent) return res.destroy(err);
+    next(err);
+  }
+};
+
 module.exports = {
   storeProduct,
   updateMetadata,
   getProduct,
+  getProductHistory,
   listProducts,
   updateProduct,
   removeProduct,
+  restoreProduct,
+  bulkImportProducts,
+  exportProducts,
 };
\ No newline at end of file
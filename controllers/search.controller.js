@@ -4,7 +4,76 @@
  * Handles HTTP layer for the product search endpoint.
  */
 
+const Joi = require("joi");
 const {search} = require("../services/searchServices");
+const { parseFacetParam } = require("../services/facetServices");
+const { SORT_OPTIONS } = require("../services/rankingServices");
+const { getProfile, DEFAULT_PROFILE } = require("../services/rankingProfileServices");
+const { suggest } = require("../services/suggestServices");
+const { isPincode } = require("../services/warehouseServices");
+
+// ──────────────────────────────────────────────
+// Validation schemas
+// ──────────────────────────────────────────────
+const ATTR_PREFIX = "attr.";
+const MAX_QTY = 100000;
+
+const searchFilterSchema = Joi.object({
+  brand: Joi.array().items(Joi.string().max(100)).optional(),
+  color: Joi.array().items(Joi.string().max(50)).optional(),
+  fulfillmentType: Joi.array()
+    .items(Joi.string().valid("express", "standard", "seller_fulfilled"))
+    .optional(),
+  minPrice: Joi.number().min(0).optional(),
+  maxPrice: Joi.number().min(0).optional(),
+  minRating: Joi.number().min(0).max(5).optional(),
+  inStock: Joi.boolean().optional(),
+  attributes: Joi.object()
+    .pattern(/^[A-Za-z0-9_]+$/, Joi.array().items(Joi.string().max(100)))
+    .optional(),
+});
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+/** "a,b" or ["a", "b,c"] → ["a", "b", "c"]; undefined when absent/empty */
+const toList = (value) => {
+  if (value === undefined) return undefined;
+  const list = []
+    .concat(value)
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+  return list.length ? list : undefined;
+};
+
+/**
+ * Collects explicit filter params from the query string.
+ * Metadata attributes use `attr.<key>=value` (comma-separated for several values).
+ */
+const readSearchFilters = (query) => {
+  const attributes = {};
+  Object.keys(query)
+    .filter((k) => k.startsWith(ATTR_PREFIX))
+    .forEach((k) => {
+      const values = toList(query[k]);
+      if (values) attributes[k.slice(ATTR_PREFIX.length)] = values;
+    });
+
+  const raw = {
+    brand: toList(query.brand),
+    color: toList(query.color),
+    fulfillmentType: toList(query.fulfillmentType),
+    minPrice: query.minPrice,
+    maxPrice: query.maxPrice,
+    minRating: query.minRating,
+    inStock: query.inStock,
+    attributes: Object.keys(attributes).length ? attributes : undefined,
+  };
+  // Drop absent params so the normalised object only carries active filters
+  Object.keys(raw).forEach((k) => raw[k] === undefined && delete raw[k]);
+  return raw;
+};
 
 // ──────────────────────────────────────────────
 // GET /api/v1/search/product?query=...
@@ -16,6 +85,59 @@ const searchProducts = async (req, res, next) => {
     const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || "20", 10)));
     const category = req.query.category;
     const debug = req.query.debug === "true";
+    const facets = parseFacetParam(req.query.facets);
+    const sort = req.query.sort || "relevance";
+    const profile = req.query.profile || DEFAULT_PROFILE;
+    const collapseVariants = req.query.collapseVariants === "true";
+    const pincode = req.query.pincode;
+    const qty = req.query.qty === undefined ? undefined : Number(req.query.qty);
+    const nocache = req.query.nocache === "true";
+
+    const { error, value: filters } = searchFilterSchema.validate(readSearchFilters(req.query), {
+      abortEarly: false,
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details.map((d) => d.message),
+      });
+    }
+    if (filters.minPrice !== undefined && filters.maxPrice !== undefined &&
+        filters.minPrice > filters.maxPrice) {
+      return res.status(400).json({
+        success: false,
+        message: "minPrice cannot be greater than maxPrice",
+      });
+    }
+
+    if (!SORT_OPTIONS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort "${sort}". Use one of: ${SORT_OPTIONS.join(", ")}`,
+      });
+    }
+
+    if (pincode !== undefined && !isPincode(pincode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid pincode "${pincode}". Use a six-digit Indian pincode`,
+      });
+    }
+
+    if (qty !== undefined && !(Number.isInteger(qty) && qty >= 1 && qty <= MAX_QTY)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid qty "${req.query.qty}". Use a whole number of units from 1 to ${MAX_QTY}`,
+      });
+    }
+
+    if (!getProfile(profile)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown ranking profile "${profile}"`,
+      });
+    }
 
     if (!query) {
       return res.status(400).json({
@@ -25,9 +147,23 @@ const searchProducts = async (req, res, next) => {
     }
 
     const startTime = Date.now();
-    const result = await search(query, { page, limit, category, debug });
+    const { cacheStatus, ...result } = await search(query, {
+      page,
+      limit,
+      category,
+      debug,
+      facets,
+      filters,
+      sort,
+      profile,
+      collapseVariants,
+      pincode,
+      qty,
+      nocache,
+    });
     const latencyMs = Date.now() - startTime;
 
+    res.set("X-Cache", cacheStatus);
     return res.status(200).json({
       success: true,
       latencyMs,
@@ -38,4 +174,34 @@ const searchProducts = async (req, res, next) => {
   }
 };
 
-module.exports = { searchProducts };
\ No newline at end of file
+// ──────────────────────────────────────────────
+// GET /api/v1/search/suggest?prefix=...
+// ──────────────────────────────────────────────
+const suggestProducts = async (req, res, next) => {
+  try {
+    const prefix = (req.query.prefix || req.query.q || "").trim();
+    const limit = Math.min(20, Math.max(1, parseInt(req.query.limit || "8", 10)));
+
+    if (!prefix) {
+      return res.status(400).json({
+        success: false,
+        message: "Prefix is required. Use ?prefix=<partial search term>",
+      });
+    }
+
+    const startTime = Date.now();
+    const suggestions = await suggest(prefix, { limit });
+    const latencyMs = Date.now() - startTime;
+
+    return res.status(200).json({
+      success: true,
+      latencyMs,
+      prefix,
+      suggestions,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { searchProducts, suggestProducts };
\ No newline at end of file
@@ -0,0 +1,158 @@
+/**
+ * SellerController
+ * ────────────────
+ * Manage the merchants that list offers on products.
+ * Delegates business logic to SellerService and OfferService.
+ */
+
+const Joi = require("joi");
+const sellerService = require("../services/sellerServices");
+const offerService = require("../services/offerServices");
+const { getActor } = require("../utils/actor");
+
+// ──────────────────────────────────────────────
+// Validation schemas
+// ──────────────────────────────────────────────
+const createSellerSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).required(),
+  rating: Joi.number().min(0).max(5).optional().default(0),
+  ratingCount: Joi.number().integer().min(0).optional().default(0),
+  isActive: Joi.boolean().optional().default(true),
+  description: Joi.string().max(500).optional().allow(""),
+});
+
+const updateSellerSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).optional(),
+  rating: Joi.number().min(0).max(5).optional(),
+  ratingCount: Joi.number().integer().min(0).optional(),
+  isActive: Joi.boolean().optional(),
+  description: Joi.string().max(500).optional().allow(""),
+}).min(1);
+
+const listSchema = Joi.object({
+  active: Joi.boolean().optional(),
+});
+
+const validationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Validation error",
+    details: error.details.map((d) => d.message),
+  });
+
+const notFound = (res, id) =>
+  res.status(404).json({
+    success: false,
+    message: `Seller ${id} not found`,
+  });
+
+// ──────────────────────────────────────────────
+// GET /api/v1/sellers
+// ──────────────────────────────────────────────
+const listSellers = async (req, res, next) => {
+  try {
+    const { error, value } = listSchema.validate(req.query, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const sellers = await sellerService.listSellers({ isActive: value.active });
+    return res.status(200).json({ success: true, total: sellers.length, data: sellers });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/sellers/:id
+// ──────────────────────────────────────────────
+const getSeller = async (req, res, next) => {
+  try {
+    const seller = await sellerService.getSeller(req.params.id);
+    if (!seller) return notFound(res, req.params.id);
+    return res.status(200).json({ success: true, data: seller });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/sellers/:id/offers
+// ──────────────────────────────────────────────
+const getSellerOffers = async (req, res, next) => {
+  try {
+    const seller = await sellerService.getSeller(req.params.id);
+    if (!seller) return notFound(res, req.params.id);
+
+    const offers = await offerService.getSellerOffers(seller._id);
+    return res.status(200).json({
+      success: true,
+      total: offers.length,
+      buyBoxCount: offers.filter((o) => o.isBuyBox).length,
+      data: offers,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// POST /api/v1/sellers
+// ──────────────────────────────────────────────
+const storeSeller = async (req, res, next) => {
+  try {
+    const { error, value } = createSellerSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const seller = await sellerService.createSeller(value);
+    return res.status(201).json({
+      success: true,
+      message: "Seller created successfully",
+      data: seller,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// PATCH /api/v1/sellers/:id
+// ──────────────────────────────────────────────
+const updateSeller = async (req, res, next) => {
+  try {
+    const { error, value } = updateSellerSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const seller = await sellerService.updateSeller(req.params.id, value, {
+      actor: getActor(req),
+    });
+    if (!seller) return notFound(res, req.params.id);
+    return res.status(200).json({ success: true, data: seller });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// DELETE /api/v1/sellers/:id
+// ──────────────────────────────────────────────
+const removeSeller = async (req, res, next) => {
+  try {
+    const seller = await sellerService.deleteSeller(req.params.id);
+    if (!seller) return notFound(res, req.params.id);
+    return res.status(200).json({
+      success: true,
+      message: "Seller deleted",
+      sellerId: seller._id,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  listSellers,
+  getSeller,
+  getSellerOffers,
+  storeSeller,
+  updateSeller,
+  removeSeller,
+};
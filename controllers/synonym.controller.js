@@ -0,0 +1,133 @@
+/**
+ * SynonymController
+ * ─────────────────
+ * CRUD for the synonym sets that expand search queries.
+ * Delegates business logic to SynonymService.
+ */
+
+const Joi = require("joi");
+const synonymService = require("../services/synonymServices");
+
+// ──────────────────────────────────────────────
+// Validation schemas
+// ──────────────────────────────────────────────
+const term = Joi.string().trim().min(1).max(100);
+
+const synonymSetSchema = Joi.object({
+  type: Joi.string()
+    .valid(...synonymService.SYNONYM_TYPES)
+    .optional()
+    .default("two-way"),
+  input: term.when("type", { is: "one-way", then: Joi.required(), otherwise: Joi.forbidden() }),
+  synonyms: Joi.array().items(term).min(1).max(50).required(),
+  description: Joi.string().max(500).optional().allow(""),
+});
+
+const listSchema = Joi.object({
+  type: Joi.string()
+    .valid(...synonymService.SYNONYM_TYPES)
+    .optional(),
+  term: term.optional(),
+});
+
+const validationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Validation error",
+    details: error.details.map((d) => d.message),
+  });
+
+const notFound = (res, id) =>
+  res.status(404).json({
+    success: false,
+    message: `Synonym set with id ${id} not found`,
+  });
+
+// ──────────────────────────────────────────────
+// POST /api/v1/admin/synonyms
+// ──────────────────────────────────────────────
+const storeSynonymSet = async (req, res, next) => {
+  try {
+    const { error, value } = synonymSetSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const set = await synonymService.createSynonymSet(value);
+    return res.status(201).json({
+      success: true,
+      message: "Synonym set created successfully",
+      synonymSetId: set._id,
+      data: set,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/admin/synonyms
+// ──────────────────────────────────────────────
+const listSynonymSets = async (req, res, next) => {
+  try {
+    const { error, value } = listSchema.validate(req.query, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const sets = await synonymService.listSynonymSets(value);
+    return res.status(200).json({ success: true, total: sets.length, data: sets });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/admin/synonyms/:id
+// ──────────────────────────────────────────────
+const getSynonymSet = async (req, res, next) => {
+  try {
+    const set = await synonymService.getSynonymSet(req.params.id);
+    if (!set) return notFound(res, req.params.id);
+    return res.status(200).json({ success: true, data: set });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// PUT /api/v1/admin/synonyms/:id
+// ──────────────────────────────────────────────
+const replaceSynonymSet = async (req, res, next) => {
+  try {
+    const { error, value } = synonymSetSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const set = await synonymService.replaceSynonymSet(req.params.id, value);
+    if (!set) return notFound(res, req.params.id);
+    return res.status(200).json({ success: true, data: set });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// DELETE /api/v1/admin/synonyms/:id
+// ──────────────────────────────────────────────
+const removeSynonymSet = async (req, res, next) => {
+  try {
+    const set = await synonymService.deleteSynonymSet(req.params.id);
+    if (!set) return notFound(res, req.params.id);
+    return res.status(200).json({
+      success: true,
+      message: "Synonym set deleted",
+      synonymSetId: req.params.id,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  storeSynonymSet,
+  listSynonymSets,
+  getSynonymSet,
+  replaceSynonymSet,
+  removeSynonymSet,
+};
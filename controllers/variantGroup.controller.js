@@ -0,0 +1,185 @@
+/**
+ * VariantGroupController
+ * ──────────────────────
+ * CRUD for variant groups (parent listings) and their member SKUs.
+ * Delegates business logic to VariantGroupService.
+ */
+
+const Joi = require("joi");
+const variantGroupService = require("../services/variantGroupServices");
+const { getActor } = require("../utils/actor");
+
+// ──────────────────────────────────────────────
+// Validation schemas
+// ──────────────────────────────────────────────
+const productIdList = Joi.array()
+  .items(Joi.alternatives().try(Joi.string(), Joi.number()))
+  .max(500);
+
+const variantAttributes = Joi.array()
+  .items(Joi.string().pattern(/^[A-Za-z][\w.-]*$/).max(50))
+  .min(1)
+  .max(10)
+  .unique();
+
+const createGroupSchema = Joi.object({
+  title: Joi.string().max(300).required(),
+  description: Joi.string().max(5000).optional().allow(""),
+  brand: Joi.string().max(100).optional().allow(""),
+  category: Joi.string().max(100).optional().allow(""),
+  model: Joi.string().max(100).optional().allow(""),
+  variantAttributes: variantAttributes.optional(),
+  productIds: productIdList.optional().default([]),
+});
+
+const updateGroupSchema = Joi.object({
+  title: Joi.string().max(300).optional(),
+  description: Joi.string().max(5000).optional().allow(""),
+  brand: Joi.string().max(100).optional().allow(""),
+  category: Joi.string().max(100).optional().allow(""),
+  model: Joi.string().max(100).optional().allow(""),
+  variantAttributes: variantAttributes.optional(),
+}).min(1);
+
+const addVariantsSchema = Joi.object({
+  productIds: productIdList.min(1).required(),
+});
+
+const validationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Validation error",
+    details: error.details.map((d) => d.message),
+  });
+
+const notFound = (res, id) =>
+  res.status(404).json({
+    success: false,
+    message: `Variant group with id ${id} not found`,
+  });
+
+// ──────────────────────────────────────────────
+// POST /api/v1/variant-group
+// ──────────────────────────────────────────────
+const storeGroup = async (req, res, next) => {
+  try {
+    const { error, value } = createGroupSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const group = await variantGroupService.createGroup(value, { actor: getActor(req) });
+    return res.status(201).json({
+      success: true,
+      message: "Variant group created successfully",
+      groupId: group._id,
+      data: group,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/variant-group
+// ──────────────────────────────────────────────
+const listGroups = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || "20", 10)));
+    const { category, brand } = req.query;
+
+    const result = await variantGroupService.listGroups({ page, limit, category, brand });
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/variant-group/:id
+// ──────────────────────────────────────────────
+const getGroup = async (req, res, next) => {
+  try {
+    const group = await variantGroupService.getGroup(req.params.id);
+    if (!group) return notFound(res, req.params.id);
+    return res.status(200).json({ success: true, data: group });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// PATCH /api/v1/variant-group/:id
+// ──────────────────────────────────────────────
+const updateGroup = async (req, res, next) => {
+  try {
+    const { error, value } = updateGroupSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const group = await variantGroupService.updateGroup(req.params.id, value);
+    if (!group) return notFound(res, req.params.id);
+    return res.status(200).json({ success: true, data: group });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// DELETE /api/v1/variant-group/:id
+// ──────────────────────────────────────────────
+const removeGroup = async (req, res, next) => {
+  try {
+    const group = await variantGroupService.deleteGroup(req.params.id, { actor: getActor(req) });
+    if (!group) return notFound(res, req.params.id);
+    return res.status(200).json({
+      success: true,
+      message: "Variant group deleted; its products are now standalone listings",
+      groupId: req.params.id,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// POST /api/v1/variant-group/:id/variants
+// ──────────────────────────────────────────────
+const addVariants = async (req, res, next) => {
+  try {
+    const { error, value } = addVariantsSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const group = await variantGroupService.addVariants(req.params.id, value.productIds, {
+      actor: getActor(req),
+    });
+    if (!group) return notFound(res, req.params.id);
+    return res.status(200).json({ success: true, data: group });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// DELETE /api/v1/variant-group/:id/variants/:productId
+// ──────────────────────────────────────────────
+const removeVariant = async (req, res, next) => {
+  try {
+    const { id, productId } = req.params;
+    const group = await variantGroupService.removeVariant(id, productId, {
+      actor: getActor(req),
+    });
+    if (!group) return notFound(res, id);
+    return res.status(200).json({ success: true, data: group });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  storeGroup,
+  listGroups,
+  getGroup,
+  updateGroup,
+  removeGroup,
+  addVariants,
+  removeVariant,
+};
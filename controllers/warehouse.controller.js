@@ -0,0 +1,168 @@
+/**
+ * WarehouseController
+ * ───────────────────
+ * Manage fulfilment warehouses and the pincodes they serve.
+ * Delegates business logic to WarehouseService.
+ */
+
+const Joi = require("joi");
+const warehouseService = require("../services/warehouseServices");
+
+// ──────────────────────────────────────────────
+// Validation schemas
+// ──────────────────────────────────────────────
+const serviceAreaSchema = Joi.object({
+  prefix: Joi.string()
+    .pattern(/^\d{1,6}$/)
+    .required(),
+  deliveryDays: Joi.number().integer().min(0).max(30).required(),
+});
+
+const serviceAreas = Joi.array().items(serviceAreaSchema).max(1000);
+const pincode = Joi.string().pattern(/^[1-9]\d{5}$/);
+
+const createWarehouseSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z0-9_-]+$/)
+    .max(20)
+    .required(),
+  name: Joi.string().trim().min(1).max(200).required(),
+  city: Joi.string().trim().max(100).optional().allow(""),
+  pincode: pincode.optional(),
+  serviceAreas: serviceAreas.optional().default([]),
+  isActive: Joi.boolean().optional().default(true),
+});
+
+const updateWarehouseSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).optional(),
+  city: Joi.string().trim().max(100).optional().allow(""),
+  pincode: pincode.optional(),
+  serviceAreas: serviceAreas.optional(),
+  isActive: Joi.boolean().optional(),
+}).min(1);
+
+const validationError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Validation error",
+    details: error.details.map((d) => d.message),
+  });
+
+const notFound = (res, code) =>
+  res.status(404).json({
+    success: false,
+    message: `Warehouse ${code} not found`,
+  });
+
+// ──────────────────────────────────────────────
+// GET /api/v1/warehouses
+// ──────────────────────────────────────────────
+const listWarehouses = async (req, res, next) => {
+  try {
+    const warehouses = await warehouseService.listWarehouses();
+    return res.status(200).json({ success: true, total: warehouses.length, data: warehouses });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/warehouses/serviceability/:pincode
+// ──────────────────────────────────────────────
+const getServiceability = async (req, res, next) => {
+  try {
+    const { pincode: value } = req.params;
+    if (!warehouseService.isPincode(value)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid pincode "${value}". Use a six-digit Indian pincode`,
+      });
+    }
+    const served = [...(await warehouseService.getServiceability(value)).values()].sort(
+      (a, b) => a.deliveryDays - b.deliveryDays
+    );
+    return res.status(200).json({
+      success: true,
+      pincode: value,
+      serviceable: served.length > 0,
+      data: served,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// GET /api/v1/warehouses/:code
+// ──────────────────────────────────────────────
+const getWarehouse = async (req, res, next) => {
+  try {
+    const warehouse = await warehouseService.getWarehouse(req.params.code);
+    if (!warehouse) return notFound(res, req.params.code);
+    return res.status(200).json({ success: true, data: warehouse });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// POST /api/v1/warehouses
+// ──────────────────────────────────────────────
+const storeWarehouse = async (req, res, next) => {
+  try {
+    const { error, value } = createWarehouseSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const warehouse = await warehouseService.createWarehouse(value);
+    return res.status(201).json({
+      success: true,
+      message: "Warehouse created successfully",
+      data: warehouse,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// PATCH /api/v1/warehouses/:code
+// ──────────────────────────────────────────────
+const updateWarehouse = async (req, res, next) => {
+  try {
+    const { error, value } = updateWarehouseSchema.validate(req.body, { abortEarly: false });
+    if (error) return validationError(res, error);
+
+    const warehouse = await warehouseService.updateWarehouse(req.params.code, value);
+    if (!warehouse) return notFound(res, req.params.code);
+    return res.status(200).json({ success: true, data: warehouse });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ──────────────────────────────────────────────
+// DELETE /api/v1/warehouses/:code
+// ──────────────────────────────────────────────
+const removeWarehouse = async (req, res, next) => {
+  try {
+    const warehouse = await warehouseService.deleteWarehouse(req.params.code);
+    if (!warehouse) return notFound(res, req.params.code);
+    return res.status(200).json({
+      success: true,
+      message: "Warehouse deleted",
+      code: warehouse.code,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  listWarehouses,
+  getServiceability,
+  getWarehouse,
+  storeWarehouse,
+  updateWarehouse,
+  removeWarehouse,
+};
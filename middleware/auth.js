@@ -0,0 +1,100 @@
+/**
+ * Authentication & role-based access control.
+ *
+ *  authenticate      — resolves the caller from `X-API-Key: <key>` or
+ *                      `Authorization: Bearer <jwt>` into req.auth
+ *                      ({ name, role, method }); 401 if missing or invalid
+ *  requireRole(role) — 403 unless req.auth.role is `role` or higher
+ *
+ * Both hand errors to the global errorHandler (err.statusCode 401/403).
+ * Keys and secrets come from config/auth.config.js.
+ */
+const crypto = require("crypto");
+const { ROLES, authConfig } = require("../config/auth.config");
+const { verifyJwt } = require("../utils/jwt");
+
+const rank = (role) => ROLES.indexOf(role);
+
+const authError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+// Compare digests so lookups take the same time whatever the key length
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+const apiKeys = authConfig.apiKeys.map((k) => ({ ...k, digest: digest(k.key) }));
+
+// ──────────────────────────────────────────────
+// Credential checks
+// ──────────────────────────────────────────────
+function fromApiKey(key) {
+  const candidate = digest(key);
+  const match = apiKeys.find((k) => crypto.timingSafeEqual(k.digest, candidate));
+  if (!match) throw authError(401, "Invalid API key");
+  return { name: match.name, role: match.role, method: "api-key" };
+}
+
+function fromBearerToken(token) {
+  if (!authConfig.jwt) throw authError(401, "Bearer tokens are not accepted by this server");
+
+  let claims;
+  try {
+    claims = verifyJwt(token, authConfig.jwt.secret, authConfig.jwt);
+  } catch (err) {
+    throw authError(401, `Invalid bearer token: ${err.message}`);
+  }
+
+  // Highest known role among `role` / `roles`
+  const role = []
+    .concat(claims.roles || [], claims.role || [])
+    .filter((r) => rank(r) !== -1)
+    .sort((a, b) => rank(b) - rank(a))[0];
+  if (!role) throw authError(403, "Token does not grant any known role");
+
+  return { name: String(claims.sub || "jwt-user"), role, method: "jwt" };
+}
+
+// ──────────────────────────────────────────────
+// Middleware
+// ──────────────────────────────────────────────
+const authenticate = (req, res, next) => {
+  if (authConfig.disabled) {
+    req.auth = { name: null, role: "admin", method: "disabled" };
+    return next();
+  }
+
+  try {
+    const apiKey = req.get("X-API-Key");
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+
+    if (apiKey) req.auth = fromApiKey(apiKey);
+    else if (/^bearer$/i.test(scheme) && token) req.auth = fromBearerToken(token);
+    else {
+      res.set("WWW-Authenticate", 'Bearer, ApiKey header="X-API-Key"');
+      throw authError(
+        401,
+        "Authentication required: send X-API-Key or Authorization: Bearer <token>"
+      );
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** Allows `role` and every role above it */
+const requireRole = (role) => {
+  if (rank(role) === -1) throw new Error(`Unknown role "${role}"`);
+  return (req, res, next) => {
+    if (!req.auth) return next(authError(401, "Authentication required"));
+    if (rank(req.auth.role) < rank(role)) {
+      return next(
+        authError(403, `This action requires the "${role}" role (you have "${req.auth.role}")`)
+      );
+    }
+    next();
+  };
+};
+
+module.exports = { authenticate, requireRole };
@@ -41,6 +41,7 @@ const errorHandler = (err, req, res, _next) => {
   return res.status(status).json({
     success: false,
     message: err.message || "Internal server error",
+    ...(err.details && { details: err.details }),
     ...(process.env.NODE_ENV !== "production" && { stack: err.stack }),
   });
 };
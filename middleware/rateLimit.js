@@ -0,0 +1,70 @@
+/**
+ * Per-client rate limiting (token bucket).
+ *
+ *  rateLimit("search") — limits every request it is mounted on
+ *  rateLimit("write")  — limits only POST / PUT / PATCH / DELETE
+ *  rateLimit("events", { cost }) — charges cost(req) tokens per request
+ *                        (capped at the bucket size), e.g. one per event
+ *
+ * Clients are identified by their authenticated name (API key or JWT
+ * subject), falling back to the IP address. Every limited response carries
+ * RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset / RateLimit-Policy
+ * headers; rejected requests get Retry-After and a 429 via errorHandler.
+ *
+ * Policies come from config/rateLimit.config.js. The bucket store is
+ * in-process by default; swap it with setRateLimitStore().
+ */
+const { rateLimitConfig } = require("../config/rateLimit.config");
+const { MemoryRateLimitStore } = require("../store/rateLimitStore");
+
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+let store = new MemoryRateLimitStore();
+
+/** Replaces the bucket store (see store/rateLimitStore.js for the interface) */
+const setRateLimitStore = (backend) => {
+  store = backend;
+};
+
+const clientKey = (req) =>
+  req.auth && req.auth.name ? `${req.auth.method}:${req.auth.name}` : `ip:${req.ip}`;
+
+/**
+ * @param {string} policyName - a policy in config/rateLimit.config.js
+ * @param {{ cost?: (req) => number }} [opts] - tokens a request takes (default 1)
+ */
+const rateLimit = (policyName, { cost = () => 1 } = {}) => {
+  const policy = rateLimitConfig.policies[policyName];
+  if (!policy) throw new Error(`Unknown rate limit policy "${policyName}"`);
+  const writesOnly = policyName === "write";
+
+  return async (req, res, next) => {
+    if (rateLimitConfig.disabled || (writesOnly && SAFE_METHODS.has(req.method))) return next();
+
+    try {
+      const tokens = Math.min(Math.max(1, cost(req)), policy.capacity);
+      const result = await store.consume(`${policyName}:${clientKey(req)}`, policy, tokens);
+
+      res.set({
+        "RateLimit-Limit": String(policy.capacity),
+        "RateLimit-Remaining": String(result.remaining),
+        "RateLimit-Reset": String(result.resetSeconds),
+        "RateLimit-Policy": `${policy.perMinute};w=60;burst=${policy.capacity}`,
+      });
+
+      if (!result.allowed) {
+        res.set("Retry-After", String(result.retryAfterSeconds));
+        const err = new Error(
+          `Rate limit exceeded for ${policyName} requests; retry in ${result.retryAfterSeconds}s`
+        );
+        err.statusCode = 429;
+        return next(err);
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+module.exports = { rateLimit, setRateLimitStore };
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const { UNIT_NAMES } = require("../utils/units");
+
+/**
+ * AttributeSchema Schema
+ *
+ * Typed metadata attributes for one product category, managed through
+ * /api/v1/admin/attribute-schemas. Product writes are checked against the
+ * schema of the product's category and their values normalised:
+ *
+ *  number: stored as a plain number in `unit` ("1TB" → 1024 for unit GB)
+ *  enum:   stored with the spelling from `values` ("ios" → "iOS"); a trailing
+ *          version is dropped ("Android 14" → "Android") and `aliases` map
+ *          other names onto a value ("OxygenOS" → "Android")
+ *  string: stored trimmed
+ *
+ * Keys the schema does not list are kept as-is unless `strict` is set.
+ */
+const attributeSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true },
+    type: { type: String, enum: ["number", "enum", "string"], required: true },
+    unit: { type: String, enum: UNIT_NAMES },
+    values: { type: [String], default: undefined },
+    aliases: { type: Map, of: String, default: undefined },
+    min: { type: Number },
+    max: { type: Number },
+    required: { type: Boolean, default: false },
+    description: { type: String, trim: true, maxlength: 500 },
+  },
+  { _id: false }
+);
+
+const attributeSchemaSetSchema = new mongoose.Schema(
+  {
+    category: { type: String, required: true, unique: true, trim: true },
+    attributes: { type: [attributeSchema], default: [] },
+    strict: { type: Boolean, default: false },
+    description: { type: String, trim: true, maxlength: 500 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const AttributeSchema = mongoose.model("AttributeSchema", attributeSchemaSetSchema);
+
+module.exports = AttributeSchema;
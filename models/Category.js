@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+/**
+ * Category Schema
+ *
+ * One node of the category tree managed through /api/v1/categories.
+ * Products name their category by `name`; requests may use the name,
+ * the slug or any alias ("mobiles" → "Mobile Phones").
+ *
+ *  parent:  slug of the parent node, null for a top-level category
+ *  aliases: stored lowercased; unique across every name, slug and alias
+ *
+ * `name` and `slug` are fixed once created, since products store the name.
+ */
+const categorySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true, maxlength: 100 },
+    slug: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    parent: { type: String, default: null, index: true },
+    aliases: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      default: [],
+    },
+    description: { type: String, trim: true, maxlength: 500 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Category = mongoose.model("Category", categorySchema);
+
+module.exports = Category;
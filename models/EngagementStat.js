@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+/**
+ * EngagementStat Schema
+ *
+ * Running engagement counters per (query, product), maintained with $inc
+ * as events arrive so ranking can read CTR without aggregating raw events.
+ * The row with query "" holds the product's totals across all queries.
+ */
+const engagementStatSchema = new mongoose.Schema(
+  {
+    query: { type: String, default: "" },
+    productId: { type: String, required: true },
+    impressions: { type: Number, default: 0, min: 0 },
+    clicks: { type: Number, default: 0, min: 0 },
+    addToCarts: { type: Number, default: 0, min: 0 },
+    purchases: { type: Number, default: 0, min: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+engagementStatSchema.index({ query: 1, productId: 1 }, { unique: true });
+engagementStatSchema.index({ productId: 1 });
+
+const EngagementStat = mongoose.model("EngagementStat", engagementStatSchema);
+
+module.exports = EngagementStat;
@@ -10,7 +10,52 @@ const mongoose = require("mongoose");
  *  - Inventory signals  (stock, fulfillmentType)
  *  - Rich metadata      (flexible key-value map per category)
  *  - Search helpers     (searchTags, brand, category, model)
+ *  - Seller offers      (per-seller price / stock / fulfillment, buy box)
+ *  - Warehouse stock    (per-warehouse inventory for pincode availability)
+ *  - Quantity pricing   (bulk price tiers, see PricingService)
  */
+
+/**
+ * One seller's listing of the product, managed via
+ * /api/v1/product/:id/offers. sellerName and sellerRating are copied from
+ * the Seller so ranking and search need no join.
+ */
+const offerSchema = new mongoose.Schema(
+  {
+    sellerId: { type: String, required: true },
+    sellerName: { type: String, trim: true },
+    sellerRating: { type: Number, default: 0, min: 0, max: 5 },
+    price: { type: Number, required: true, min: 0 },
+    mrp: { type: Number, required: true, min: 0 },
+    discountPercent: { type: Number, default: 0, min: 0, max: 100 },
+    stock: { type: Number, default: 0, min: 0 },
+    fulfillmentType: {
+      type: String,
+      enum: ["express", "standard", "seller_fulfilled"],
+      default: "seller_fulfilled",
+    },
+  },
+  { _id: false }
+);
+
+/** Unit price from `minQty` units up (see PricingService) */
+const priceTierSchema = new mongoose.Schema(
+  {
+    minQty: { type: Number, required: true, min: 2 },
+    price: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+/** Stock held at one warehouse (see Warehouse), managed via /api/v1/product/:id/inventory */
+const inventorySchema = new mongoose.Schema(
+  {
+    warehouseCode: { type: String, required: true, uppercase: true },
+    stock: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
 const productSchema = new mongoose.Schema(
   {
     // ── Core fields ──────────────────────────────────────────
@@ -32,24 +77,10 @@ const productSchema = new mongoose.Schema(
       trim: true,
       index: true,
     },
+    // A category name from the category tree (/api/v1/categories)
     category: {
       type: String,
       required: [true, "Category is required"],
-      enum: [
-        "Mobile Phones",
-        "Laptops",
-        "Headphones",
-        "Earphones",
-        "Smartwatches",
-        "Tablets",
-        "Phone Accessories",
-        "Chargers & Cables",
-        "Power Banks",
-        "Gaming",
-        "Networking",
-        "Cameras",
-        "Other Electronics",
-      ],
       index: true,
     },
     model: { type: String, trim: true },
@@ -76,6 +107,9 @@ const productSchema = new mongoose.Schema(
       min: 0,
       max: 100,
     },
+    // Cheaper unit prices for larger orders, smallest quantity first;
+    // `price` above is the single-unit price
+    priceTiers: { type: [priceTierSchema], default: [] },
 
     // ── Inventory ─────────────────────────────────────────────
     stock: {
@@ -123,7 +157,13 @@ const productSchema = new mongoose.Schema(
       min: 0,
     },
     salesVelocity: {
-      // units sold in last 30 days
+      // units sold in last 30 days (seeded / imported)
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    trackedSalesVelocity: {
+      // units bought through recorded purchase events in the last 30 days
       type: Number,
       default: 0,
       min: 0,
@@ -149,7 +189,26 @@ const productSchema = new mongoose.Schema(
     },
     color: { type: String, trim: true },
     isActive: { type: Boolean, default: true },
+    deletedAt: { type: Date, default: null }, // set by soft delete, cleared on restore
     launchYear: { type: Number },
+
+    // ── Variants ──────────────────────────────────────────────
+    // Parent listing this SKU belongs to (see VariantGroup); managed via
+    // the variant group API, not set directly
+    variantGroupId: { type: String, default: null, index: true },
+
+    // ── Seller offers ─────────────────────────────────────────
+    // Managed via the offer API (see OfferService). Once a product has
+    // offers, price / mrp / stock / fulfillmentType above mirror the
+    // buy-box winner, so filters, facets and sorting need no changes.
+    offers: { type: [offerSchema], default: [] },
+    buyBox: { type: offerSchema, default: null },
+
+    // ── Warehouse inventory ───────────────────────────────────
+    // Managed via the inventory API (see InventoryService); when set,
+    // `stock` above is the total across warehouses (unless the product
+    // has offers, whose buy box sets it)
+    inventory: { type: [inventorySchema], default: [] },
   },
   {
     timestamps: true,
@@ -192,7 +251,9 @@ productSchema.index(
 
 productSchema.index({ category: 1, rating: -1, unitsSold: -1 });
 productSchema.index({ price: 1 });
-productSchema.index({ isActive: 1 });
+productSchema.index({ isActive: 1, deletedAt: 1 });
+productSchema.index({ "offers.sellerId": 1 });
+productSchema.index({ "inventory.warehouseCode": 1, "inventory.stock": 1 });
 
 const Product = mongoose.model("Product", productSchema);
 
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+/**
+ * ProductEvent Schema
+ *
+ * Raw shopper engagement events reported by the storefront:
+ *  - impression   (product shown in a result list)
+ *  - click        (product page opened)
+ *  - add_to_cart
+ *  - purchase     (quantity units bought)
+ *
+ * `query` is the parser-normalised search query the event came from
+ * ("" when the event did not originate from search).
+ */
+const productEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "Event type is required"],
+      enum: ["impression", "click", "add_to_cart", "purchase"],
+    },
+    productId: { type: String, required: [true, "Product ID is required"] },
+    query: { type: String, default: "" },
+    position: { type: Number, min: 1 },
+    quantity: { type: Number, default: 1, min: 1 },
+    sessionId: { type: String, trim: true },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+productEventSchema.index({ productId: 1, type: 1, createdAt: -1 });
+productEventSchema.index({ createdAt: -1 });
+
+const ProductEvent = mongoose.model("ProductEvent", productEventSchema);
+
+module.exports = ProductEvent;
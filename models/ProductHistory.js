@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+/**
+ * ProductHistory Schema
+ *
+ * Append-only audit trail of catalog mutations. One entry per change to a
+ * product, with a field-level diff:
+ *  - create   every field the product was created with (from: null)
+ *  - update   fields whose value changed
+ *  - metadata metadata keys merged in, as "metadata.<key>"
+ *  - delete   soft delete (isActive true → false)
+ *  - restore  undo of a soft delete
+ *  - purge    permanent removal (every field → null)
+ *
+ * `actor` is whoever made the change (X-Actor header, or "system" for
+ * background jobs).
+ */
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed, default: null },
+    to: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+const productHistorySchema = new mongoose.Schema(
+  {
+    productId: { type: String, required: [true, "Product ID is required"] },
+    action: {
+      type: String,
+      required: true,
+      enum: ["create", "update", "metadata", "delete", "restore", "purge"],
+    },
+    actor: { type: String, default: "system", trim: true },
+    changes: { type: [changeSchema], default: [] },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+productHistorySchema.index({ productId: 1, createdAt: -1 });
+productHistorySchema.index({ productId: 1, "changes.field": 1, createdAt: -1 });
+
+const ProductHistory = mongoose.model("ProductHistory", productHistorySchema);
+
+module.exports = ProductHistory;
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+/**
+ * SearchLog Schema
+ *
+ * One document per search() call, used for search analytics:
+ *  - What was typed         (query, normalisedQuery, corrections)
+ *  - What we understood     (intent, entities, filters)
+ *  - What came back         (resultCount, topProductIds, latencyMs)
+ */
+const searchLogSchema = new mongoose.Schema(
+  {
+    query: { type: String, required: true, trim: true },
+    // Lowercased/trimmed raw query — the grouping key for reports
+    normalisedQuery: { type: String, required: true, index: true },
+    parsedQuery: { type: String },
+    intent: { type: mongoose.Schema.Types.Mixed, default: {} },
+    entities: { type: mongoose.Schema.Types.Mixed, default: {} },
+    filters: { type: mongoose.Schema.Types.Mixed, default: {} },
+    category: { type: String },
+    sort: { type: String },
+    profile: { type: String },
+    page: { type: Number, default: 1 },
+    corrections: {
+      type: [{ from: String, to: String, _id: false }],
+      default: [],
+    },
+    resultCount: { type: Number, default: 0, min: 0 },
+    // Candidates that actually matched the query (excludes fallback filler)
+    matchedCount: { type: Number, default: 0, min: 0 },
+    latencyMs: { type: Number, default: 0, min: 0 },
+    topProductIds: { type: [String], default: [] },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+searchLogSchema.index({ createdAt: -1 });
+searchLogSchema.index({ resultCount: 1, createdAt: -1 });
+
+const SearchLog = mongoose.model("SearchLog", searchLogSchema);
+
+module.exports = SearchLog;
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+/**
+ * Seller Schema
+ *
+ * A merchant that lists offers on products (see Product.offers), managed
+ * through /api/v1/sellers.
+ *
+ *  rating:   0-5, used by buy-box selection alongside price and fulfillment
+ *  isActive: suspended sellers keep their offers, but those offers cannot
+ *            win the buy box
+ */
+const sellerSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true, maxlength: 200 },
+    rating: { type: Number, default: 0, min: 0, max: 5 },
+    ratingCount: { type: Number, default: 0, min: 0 },
+    isActive: { type: Boolean, default: true },
+    description: { type: String, trim: true, maxlength: 500 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Seller = mongoose.model("Seller", sellerSchema);
+
+module.exports = Seller;
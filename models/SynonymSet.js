@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+/**
+ * SynonymSet Schema
+ *
+ * Query expansion rules managed through /api/v1/admin/synonyms.
+ *
+ *  two-way:  every term in `synonyms` matches every other
+ *            ("earbuds" = "earphones" = "tws")
+ *  one-way:  `input` also matches each of `synonyms`, not the reverse
+ *            ("charger" → "adapter")
+ *
+ * Terms are stored lowercased; a term may be a phrase ("power bank").
+ */
+const synonymSetSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["two-way", "one-way"],
+      required: true,
+      default: "two-way",
+    },
+    input: { type: String, trim: true, lowercase: true },
+    synonyms: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      required: true,
+    },
+    description: { type: String, trim: true, maxlength: 500 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const SynonymSet = mongoose.model("SynonymSet", synonymSetSchema);
+
+module.exports = SynonymSet;
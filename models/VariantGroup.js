@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+/**
+ * VariantGroup Schema
+ *
+ * A parent listing that ties together SKUs differing only in a few
+ * attributes (e.g. an "iPhone 15" in every color × storage combination).
+ * Members point back at their group through Product.variantGroupId.
+ *
+ * variantAttributes names the attributes that vary between members. Each
+ * is read from the product's metadata first, then its top-level field
+ * (so "color" works for both metadata.color and product.color).
+ */
+const variantGroupSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Variant group title is required"],
+      trim: true,
+      maxlength: [300, "Title cannot exceed 300 characters"],
+    },
+    description: { type: String, trim: true, maxlength: 5000 },
+    brand: { type: String, trim: true, index: true },
+    category: { type: String, trim: true, index: true },
+    model: { type: String, trim: true },
+    variantAttributes: {
+      type: [String],
+      default: ["color", "storage", "ram"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const VariantGroup = mongoose.model("VariantGroup", variantGroupSchema);
+
+module.exports = VariantGroup;
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+/**
+ * Warehouse Schema
+ *
+ * A fulfilment centre and the pincodes it delivers to, managed through
+ * /api/v1/warehouses. Stock per warehouse lives on the product
+ * (Product.inventory, by warehouse code).
+ *
+ *  serviceAreas: pincode prefixes with a delivery estimate; the longest
+ *                matching prefix wins ("560" → 2 days, "560001" → 1 day).
+ *                Pincodes matching no prefix are not served.
+ *  isActive:     inactive warehouses serve no pincode
+ */
+const serviceAreaSchema = new mongoose.Schema(
+  {
+    prefix: { type: String, required: true, match: /^\d{1,6}$/ },
+    deliveryDays: { type: Number, required: true, min: 0, max: 30 },
+  },
+  { _id: false }
+);
+
+const warehouseSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, trim: true, uppercase: true },
+    name: { type: String, required: true, trim: true, maxlength: 200 },
+    city: { type: String, trim: true, maxlength: 100 },
+    pincode: { type: String, match: /^[1-9]\d{5}$/ },
+    serviceAreas: { type: [serviceAreaSchema], default: [] },
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Warehouse = mongoose.model("Warehouse", warehouseSchema);
+
+module.exports = Warehouse;
@@ -0,0 +1,111 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getSearchIndexStatus,
+  rebuildSearchIndex,
+  getSearchCacheStatus,
+  clearSearchCache,
+  getRankingProfiles,
+  reloadRankingProfiles,
+  refreshSalesVelocities,
+  purgeProducts,
+} = require("../controllers/admin.controller");
+const {
+  storeSynonymSet,
+  listSynonymSets,
+  getSynonymSet,
+  replaceSynonymSet,
+  removeSynonymSet,
+} = require("../controllers/synonym.controller");
+const {
+  getActiveDictionary,
+  listVersions,
+  getVersion,
+  replaceEntries,
+  updateEntries,
+  rollbackDictionary,
+  reloadDictionary,
+} = require("../controllers/hinglish.controller");
+const {
+  listAttributeSchemas,
+  getAttributeSchema,
+  putAttributeSchema,
+  removeAttributeSchema,
+} = require("../controllers/attributeSchema.controller");
+const { requireRole } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+
+// Everything under /admin is admin-only; POSTs count as writes
+router.use(requireRole("admin"));
+router.use(rateLimit("write"));
+
+/**
+ * GET  /api/v1/admin/search-index              — Index size / last build time
+ * POST /api/v1/admin/search-index/rebuild      — Rebuild the search index from the store
+ * GET  /api/v1/admin/search-cache              — Result cache size and hit/miss counters
+ * POST /api/v1/admin/search-cache/clear        — Drop every cached search response
+ * GET  /api/v1/admin/ranking-profiles          — List loaded ranking profiles
+ * POST /api/v1/admin/ranking-profiles/reload   — Re-read ranking profiles from disk
+ *                                                (500, keeping the loaded ones, if invalid)
+ * POST /api/v1/admin/sales-velocity/refresh    — Recompute rolling 30-day trackedSalesVelocity
+ * POST /api/v1/admin/products/purge            — Permanently remove products soft-deleted
+ *                                                more than N days ago
+ *                                                (?olderThanDays=30&dryRun=true)
+ *
+ * Synonyms (query expansion; changes apply to the next search):
+ * GET    /api/v1/admin/synonyms                — List sets (?type=two-way|one-way&term=)
+ * POST   /api/v1/admin/synonyms                — Create a set:
+ *                                                { type: "two-way", synonyms: [...] } or
+ *                                                { type: "one-way", input, synonyms: [...] }
+ * GET    /api/v1/admin/synonyms/:id            — One set
+ * PUT    /api/v1/admin/synonyms/:id            — Replace a set (same body as create)
+ * DELETE /api/v1/admin/synonyms/:id            — Delete a set
+ *
+ * Hinglish / regional dictionary (versioned; every change adds a version):
+ * GET    /api/v1/admin/hinglish                — Active version with its entries
+ * PUT    /api/v1/admin/hinglish                — Replace all entries: { entries: {...}, note }
+ * PATCH  /api/v1/admin/hinglish                — Edit: { set: {...}, remove: [...], note }
+ * GET    /api/v1/admin/hinglish/versions       — Version history
+ * GET    /api/v1/admin/hinglish/versions/:version — One version with its entries
+ * POST   /api/v1/admin/hinglish/rollback       — Re-activate an old version: { version, note }
+ * POST   /api/v1/admin/hinglish/reload         — Activate the newest version on disk
+ *
+ * Attribute schemas (typed metadata per category; checked on product writes):
+ * GET    /api/v1/admin/attribute-schemas       — Every category's schema
+ * GET    /api/v1/admin/attribute-schemas/:category — One schema (category URL-encoded,
+ *                                                e.g. Mobile%20Phones)
+ * PUT    /api/v1/admin/attribute-schemas/:category — Create or replace:
+ *                                                { attributes: [{ key, type, unit?, values?,
+ *                                                  aliases?, min?, max?, required? }], strict? }
+ * DELETE /api/v1/admin/attribute-schemas/:category — Remove; the category accepts any metadata
+ */
+
+router.get("/search-index", getSearchIndexStatus);
+router.post("/search-index/rebuild", rebuildSearchIndex);
+router.get("/search-cache", getSearchCacheStatus);
+router.post("/search-cache/clear", clearSearchCache);
+router.get("/ranking-profiles", getRankingProfiles);
+router.post("/ranking-profiles/reload", reloadRankingProfiles);
+router.post("/sales-velocity/refresh", refreshSalesVelocities);
+router.post("/products/purge", purgeProducts);
+
+router.get("/synonyms", listSynonymSets);
+router.post("/synonyms", storeSynonymSet);
+router.get("/synonyms/:id", getSynonymSet);
+router.put("/synonyms/:id", replaceSynonymSet);
+router.delete("/synonyms/:id", removeSynonymSet);
+
+router.get("/hinglish", getActiveDictionary);
+router.put("/hinglish", replaceEntries);
+router.patch("/hinglish", updateEntries);
+router.get("/hinglish/versions", listVersions);
+router.get("/hinglish/versions/:version", getVersion);
+router.post("/hinglish/rollback", rollbackDictionary);
+router.post("/hinglish/reload", reloadDictionary);
+
+router.get("/attribute-schemas", listAttributeSchemas);
+router.get("/attribute-schemas/:category", getAttributeSchema);
+router.put("/attribute-schemas/:category", putAttributeSchema);
+router.delete("/attribute-schemas/:category", removeAttributeSchema);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getTopQueries,
+  getZeroResultQueries,
+  getCorrectedQueries,
+} = require("../controllers/analytics.controller");
+const { requireRole } = require("../middleware/auth");
+
+// Merchandising reports: catalog editors and admins
+router.use(requireRole("catalog-editor"));
+
+/**
+ * GET /api/v1/analytics/search/top-queries   — Most frequent queries
+ * GET /api/v1/analytics/search/zero-results  — Queries that matched nothing
+ * GET /api/v1/analytics/search/corrections   — Queries needing the most spelling fixes
+ *
+ * Query params (all reports):
+ *  from   (optional) — ISO date, default 7 days before `to`
+ *  to     (optional) — ISO date, default now
+ *  limit  (optional) — rows to return, default 20, max 100
+ */
+
+router.get("/search/top-queries", getTopQueries);
+router.get("/search/zero-results", getZeroResultQueries);
+router.get("/search/corrections", getCorrectedQueries);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require("express");
+const router = express.Router();
+const {
+  listCategories,
+  getCategory,
+  storeCategory,
+  updateCategory,
+  removeCategory,
+} = require("../controllers/category.controller");
+const { requireRole } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+
+const reader = requireRole("reader");
+const admin = requireRole("admin");
+
+/**
+ * GET    /api/v1/categories        — Category tree (?flat=true for a flat list)
+ * GET    /api/v1/categories/:slug  — One category with its ancestors and children
+ *                                    (name, slug or alias)
+ * POST   /api/v1/categories        — Create: { name, slug?, parent?, aliases?, description? }
+ *                                    (parent by name, slug or alias; slug defaults from name)
+ * PATCH  /api/v1/categories/:slug  — Move or edit: { parent?, aliases?, description? }
+ *                                    (name and slug cannot change)
+ * DELETE /api/v1/categories/:slug  — Delete a category with no subcategories or products
+ *
+ * Products may name their category by name, slug or alias; it is stored by name.
+ * Filtering by a category (search, product listing) includes its subcategories.
+ *
+ * Roles: reads need "reader", changes "admin".
+ * Changes share the per-client "write" rate limit.
+ */
+
+router.use(rateLimit("write"));
+
+router.get("/", reader, listCategories);
+router.get("/:slug", reader, getCategory);
+router.post("/", admin, storeCategory);
+router.patch("/:slug", admin, updateCategory);
+router.delete("/:slug", admin, removeCategory);
+
+module.exports = router;
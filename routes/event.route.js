@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const {
+  countEvents,
+  storeEvents,
+  getQueryStats,
+  getProductStats,
+} = require("../controllers/event.controller");
+const { requireRole } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+
+/**
+ * POST /api/v1/events                         — Record engagement events
+ *      body: one event, an array, or { events: [...] } (max 500)
+ *      event: { type: impression|click|add_to_cart|purchase, productId,
+ *               query?, position?, quantity? (max 1000), sessionId? }
+ * GET  /api/v1/events/stats/query?query=...   — Per-product CTR for a query
+ * GET  /api/v1/events/stats/product/:id       — A product's CTR, overall and per query
+ *
+ * Roles: the storefront reports events with a "reader" credential;
+ * stats need "catalog-editor".
+ *
+ * Rate limit: the "events" policy, charged per event (a batch of 50 costs 50).
+ */
+
+router.post("/", requireRole("reader"), rateLimit("events", { cost: countEvents }), storeEvents);
+router.get("/stats/query", requireRole("catalog-editor"), getQueryStats);
+router.get("/stats/product/:id", requireRole("catalog-editor"), getProductStats);
+
+module.exports = router;
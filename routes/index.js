@@ -1,21 +1,41 @@
 const express = require("express");
 const router = express.Router();
+const { authenticate, requireRole } = require("../middleware/auth");
 
 const productRoutes = require("./product.route");
 const searchRoutes = require("./search.route");
+const adminRoutes = require("./admin.route");
+const analyticsRoutes = require("./analytics.route");
+const eventRoutes = require("./event.route");
+const variantGroupRoutes = require("./variantGroup.route");
+const categoryRoutes = require("./category.route");
+const sellerRoutes = require("./seller.route");
+const warehouseRoutes = require("./warehouse.route");
+
+// Every API route needs credentials; sub-routers check roles per route
+router.use(authenticate);
 
 // Mount sub-routers
 router.use("/product", productRoutes);
 router.use("/search", searchRoutes);
+router.use("/admin", adminRoutes);
+router.use("/analytics", analyticsRoutes);
+router.use("/events", eventRoutes);
+router.use("/variant-group", variantGroupRoutes);
+router.use("/categories", categoryRoutes);
+router.use("/sellers", sellerRoutes);
+router.use("/warehouses", warehouseRoutes);
 
 // Catalog stats
-router.get("/catalog/stats", async (req, res, next) => {
+router.get("/catalog/stats", requireRole("reader"), async (req, res, next) => {
   try {
     const productService = require("../services/productServices");
-    const count = await productService.getCatalogCount();
+    const { active, deleted } = await productService.getCatalogCounts();
     res.json({
       success: true,
-      totalProducts: count,
+      totalProducts: active,
+      activeProducts: active,
+      deletedProducts: deleted,
       timestamp: new Date().toISOString(),
     });
   } catch (err) {
@@ -4,25 +4,95 @@ const {
   storeProduct,
   updateMetadata,
   getProduct,
+  getProductHistory,
   listProducts,
   updateProduct,
   removeProduct,
+  restoreProduct,
+  bulkImportProducts,
+  exportProducts,
 } = require("../controllers/product.controller");
+const {
+  listOffers,
+  putOffer,
+  updateOffer,
+  removeOffer,
+} = require("../controllers/offer.controller");
+const {
+  getAvailability,
+  putInventory,
+  putWarehouseStock,
+} = require("../controllers/inventory.controller");
+const { requireRole } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+
+const reader = requireRole("reader");
+const editor = requireRole("catalog-editor");
+const admin = requireRole("admin");
+
+// CSV bodies for bulk import arrive as plain text
+const csvBody = express.text({ type: ["text/csv", "application/csv"], limit: "10mb" });
 
 /**
  * POST   /api/v1/product          — Create a product
  * GET    /api/v1/product          — List all products (paginated)
+ *                                   (?includeDeleted=true or ?onlyDeleted=true)
  * GET    /api/v1/product/:id      — Get single product
+ * GET    /api/v1/product/:id/history — Change history, newest first
+ *                                   (?field=price&page=&limit=)
  * PATCH  /api/v1/product/:id      — Update product fields
  * DELETE /api/v1/product/:id      — Soft-delete product
+ * POST   /api/v1/product/:id/restore — Undo a soft delete
+ * GET    /api/v1/product/:id/offers — Seller offers, buy-box winner first
+ * PUT    /api/v1/product/:id/offers/:sellerId — Create or replace a seller's offer:
+ *                                   { price, mrp, stock?, fulfillmentType? }
+ * PATCH  /api/v1/product/:id/offers/:sellerId — Change some fields of an offer
+ * DELETE /api/v1/product/:id/offers/:sellerId — Remove a seller's offer
+ * GET    /api/v1/product/:id/availability?pincode= — Deliverable there? From which
+ *                                   warehouses, in how many days
+ * PUT    /api/v1/product/:id/inventory — Replace warehouse stock:
+ *                                   { warehouses: [{ warehouseCode, stock }] }
+ * PUT    /api/v1/product/:id/inventory/:warehouseCode — Set stock at one warehouse: { stock }
  * PUT    /api/v1/product/meta-data — Update product metadata
+ * POST   /api/v1/product/bulk     — Bulk import from a JSON array or CSV (?dryRun=true)
+ * GET    /api/v1/product/export   — Stream the catalog as CSV or JSONL
+ *                                   (?format=csv|jsonl&category=...&brand=...)
+ *
+ * Roles: reads need "reader", writes "catalog-editor", DELETE "admin".
+ * Metadata on create, meta-data and bulk is checked against the category's
+ * attribute schema and stored in canonical units (see /api/v1/admin/attribute-schemas).
+ *
+ * Once a product has offers, its price, mrp, stock and fulfillmentType are
+ * those of the buy-box offer and PATCH /:id rejects changes to them (409).
+ * Otherwise, once a product has warehouse inventory, stock is its total and
+ * PATCH /:id rejects stock changes (409); set it through /:id/inventory.
+ *
+ * priceTiers (create, PATCH, bulk) sets bulk unit prices: [{ minQty, price }],
+ * each cheaper than the price below it (CSV: "10:420|50:390"); 400 otherwise.
+ * Search with ?qty= uses them.
+ *
+ * Mutating routes record the caller in the product's history (see utils/actor)
+ * and share the per-client "write" rate limit.
  */
 
-router.post("/", storeProduct);
-router.get("/", listProducts);
-router.put("/meta-data", updateMetadata);  // Must come before /:id
-router.get("/:id", getProduct);
-router.patch("/:id", updateProduct);
-router.delete("/:id", removeProduct);
+router.use(rateLimit("write"));
+
+router.post("/", editor, storeProduct);
+router.post("/bulk", editor, csvBody, bulkImportProducts);
+router.get("/", reader, listProducts);
+router.put("/meta-data", editor, updateMetadata);  // Must come before /:id
+router.get("/export", reader, exportProducts);      // Must come before /:id
+router.get("/:id", reader, getProduct);
+router.get("/:id/history", reader, getProductHistory);
+router.patch("/:id", editor, updateProduct);
+router.delete("/:id", admin, removeProduct);
+router.post("/:id/restore", editor, restoreProduct);
+router.get("/:id/offers", reader, listOffers);
+router.put("/:id/offers/:sellerId", editor, putOffer);
+router.patch("/:id/offers/:sellerId", editor, updateOffer);
+router.delete("/:id/offers/:sellerId", editor, removeOffer);
+router.get("/:id/availability", reader, getAvailability);
+router.put("/:id/inventory", editor, putInventory);
+router.put("/:id/inventory/:warehouseCode", editor, putWarehouseStock);
 
 module.exports = router;
\ No newline at end of file
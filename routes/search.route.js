@@ -1,17 +1,77 @@
 const express = require("express");
 const router = express.Router();
-const { searchProducts } = require("../controllers/search.controller");
+const { searchProducts, suggestProducts } = require("../controllers/search.controller");
+const { requireRole } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+
+// Search is open to every role, but rate limited per client
+const reader = requireRole("reader");
+const searchLimit = rateLimit("search");
 
 /**
  * GET /api/v1/search/product?query=<term>
  *
+ * Both search routes share the per-client "search" rate limit
+ * (RateLimit-* response headers; 429 once the bucket is empty).
+ *
+ * Query params:
+ *  query           (required) — search term
+ *  page            (optional) — page number, default 1
+ *  limit           (optional) — results per page, default 20, max 100
+ *  category        (optional) — filter by category (name, slug or alias);
+ *                              includes its subcategories
+ *  debug           (optional) — include scoring breakdown (true/false)
+ *  brand           (optional) — hard filter, comma-separated for several brands
+ *  color           (optional) — hard filter, comma-separated
+ *  fulfillmentType (optional) — express | standard | seller_fulfilled (comma-separated)
+ *  minPrice        (optional) — hard filter, overrides price parsed from the query
+ *  maxPrice        (optional) — hard filter, overrides price parsed from the query
+ *  minRating       (optional) — hard filter, 0-5
+ *  inStock         (optional) — true = only in-stock, false = only out-of-stock
+ *  attr.<key>      (optional) — metadata attribute filter, e.g. attr.ram=8GB
+ *  sort            (optional) — relevance (default) | price_asc | price_desc | newest |
+ *                              rating | popularity | discount
+ *  profile         (optional) — ranking profile name, default "default"
+ *                              (see GET /api/v1/admin/ranking-profiles)
+ *  facets          (optional) — comma-separated facets to return, e.g. brand,price,ram
+ *                              default: brand,category,color,fulfillmentType,price,ram,storage,os;
+ *                              "none" disables facets
+ *  collapseVariants (optional) — true = one result per variant group (its best-ranked SKU),
+ *                              with the group's variant options under `variantGroup`
+ *  pincode         (optional) — six-digit delivery pincode: only products stocked at a
+ *                              warehouse serving it, with faster delivery ranked higher;
+ *                              each result gets `delivery` { deliveryDays, warehouseCode, stock }
+ *  qty             (optional) — units per order (B2B): price filters, sorting and ranking use
+ *                              the unit price at that quantity (see priceTiers); each result
+ *                              gets `quantityPricing` { qty, unitPrice, discountPercent,
+ *                              tierMinQty }
+ *  nocache         (optional) — true = bypass the result cache (X-Cache: BYPASS)
+ *
+ * Responses carry X-Cache: HIT | MISS | BYPASS.
+ *
+ * Products sold by several sellers show their buy-box offer: sellingPrice,
+ * stock and fulfillmentType are that offer's, `buyBox` names its seller and
+ * `offerCount` says how many offers there are (see /api/v1/product/:id/offers).
+ *
+ * Misspelled queries: meta.didYouMean holds a spell-corrected query (learnt from
+ * catalog titles, brands, models and tags) when it matches far more products.
+ * If the query as typed matched nothing, results are for the corrected query
+ * and meta.correctedQuery is set as well.
+ *
+ * Ranges and thresholds in the query text are applied as hard filters:
+ * "between 20k and 30k", "under 1.5 lakh", "4+ stars", "more than 6gb ram",
+ * "5000mah battery or more". minPrice/maxPrice, minRating and attr.<key>
+ * override the matching parsed value.
+ */
+router.get("/product", reader, searchLimit, searchProducts);
+
+/**
+ * GET /api/v1/search/suggest?prefix=<partial term>
+ *
  * Query params:
- *  query     (required) — search term
- *  page      (optional) — page number, default 1
- *  limit     (optional) — results per page, default 20, max 100
- *  category  (optional) — filter by category
- *  debug     (optional) — include scoring breakdown (true/false)
+ *  prefix  (required) — what the user has typed so far
+ *  limit   (optional) — max suggestions, default 8, max 20
  */
-router.get("/product", searchProducts);
+router.get("/suggest", reader, searchLimit, suggestProducts);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,42 @@
+const express = require("express");
+const router = express.Router();
+const {
+  listSellers,
+  getSeller,
+  getSellerOffers,
+  storeSeller,
+  updateSeller,
+  removeSeller,
+} = require("../controllers/seller.controller");
+const { requireRole } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+
+const reader = requireRole("reader");
+const admin = requireRole("admin");
+
+/**
+ * GET    /api/v1/sellers             — List sellers by name (?active=true|false)
+ * GET    /api/v1/sellers/:id         — One seller
+ * GET    /api/v1/sellers/:id/offers  — The seller's offers, with whether each wins the buy box
+ * POST   /api/v1/sellers             — Create: { name, rating?, ratingCount?, isActive?, description? }
+ * PATCH  /api/v1/sellers/:id         — Update; name, rating or isActive changes
+ *                                      re-run buy-box selection on the seller's products
+ * DELETE /api/v1/sellers/:id         — Delete a seller with no offers
+ *                                      (set isActive: false to suspend instead)
+ *
+ * Offers themselves are managed per product: /api/v1/product/:id/offers.
+ *
+ * Roles: reads need "reader", changes "admin".
+ * Changes share the per-client "write" rate limit.
+ */
+
+router.use(rateLimit("write"));
+
+router.get("/", reader, listSellers);
+router.get("/:id", reader, getSeller);
+router.get("/:id/offers", reader, getSellerOffers);
+router.post("/", admin, storeSeller);
+router.patch("/:id", admin, updateSeller);
+router.delete("/:id", admin, removeSeller);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require("express");
+const router = express.Router();
+const {
+  storeGroup,
+  listGroups,
+  getGroup,
+  updateGroup,
+  removeGroup,
+  addVariants,
+  removeVariant,
+} = require("../controllers/variantGroup.controller");
+const { requireRole } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+
+const reader = requireRole("reader");
+const editor = requireRole("catalog-editor");
+const admin = requireRole("admin");
+
+/**
+ * POST   /api/v1/variant-group                            — Create a group (optionally with productIds)
+ * GET    /api/v1/variant-group                            — List groups (paginated, ?brand=&category=)
+ * GET    /api/v1/variant-group/:id                        — Group with its variants and option values
+ * PATCH  /api/v1/variant-group/:id                        — Update group fields
+ * DELETE /api/v1/variant-group/:id                        — Delete group (products are kept)
+ * POST   /api/v1/variant-group/:id/variants               — Add products: { productIds: [...] }
+ * DELETE /api/v1/variant-group/:id/variants/:productId    — Remove one product from the group
+ *
+ * Roles: reads need "reader", changes "catalog-editor", deleting a group "admin".
+ * Changes share the per-client "write" rate limit.
+ */
+
+router.use(rateLimit("write"));
+
+router.post("/", editor, storeGroup);
+router.get("/", reader, listGroups);
+router.get("/:id", reader, getGroup);
+router.patch("/:id", editor, updateGroup);
+router.delete("/:id", admin, removeGroup);
+router.post("/:id/variants", editor, addVariants);
+router.delete("/:id/variants/:productId", editor, removeVariant);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require("express");
+const router = express.Router();
+const {
+  listWarehouses,
+  getServiceability,
+  getWarehouse,
+  storeWarehouse,
+  updateWarehouse,
+  removeWarehouse,
+} = require("../controllers/warehouse.controller");
+const { requireRole } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+
+const reader = requireRole("reader");
+const admin = requireRole("admin");
+
+/**
+ * GET    /api/v1/warehouses          — List warehouses by code
+ * GET    /api/v1/warehouses/serviceability/:pincode — Warehouses delivering there,
+ *                                       fastest first
+ * GET    /api/v1/warehouses/:code    — One warehouse
+ * POST   /api/v1/warehouses          — Create: { code, name, city?, pincode?,
+ *                                       serviceAreas?: [{ prefix, deliveryDays }], isActive? }
+ * PATCH  /api/v1/warehouses/:code    — Update (serviceAreas replaces the list; code is fixed)
+ * DELETE /api/v1/warehouses/:code    — Delete a warehouse no product has inventory at
+ *                                       (set isActive: false to stop it serving instead)
+ *
+ * Service areas are pincode prefixes; the longest one matching a pincode
+ * gives the warehouse's delivery estimate there. Stock per warehouse is set
+ * per product: /api/v1/product/:id/inventory.
+ *
+ * Roles: reads need "reader", changes "admin".
+ * Changes share the per-client "write" rate limit.
+ */
+
+router.use(rateLimit("write"));
+
+router.get("/", reader, listWarehouses);
+router.get("/serviceability/:pincode", reader, getServiceability); // Must come before /:code
+router.get("/:code", reader, getWarehouse);
+router.post("/", admin, storeWarehouse);
+router.patch("/:code", admin, updateWarehouse);
+router.delete("/:code", admin, removeWarehouse);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * Issue Token
+ * ───────────
+ * Mints an HS256 JWT signed with JWT_SECRET, for local testing and for
+ * service accounts — no identity provider needed.
+ *
+ * Run: node scripts/issueToken.js <sub> <role> [ttlSeconds]
+ *      e.g. node scripts/issueToken.js alice catalog-editor 3600
+ */
+
+require("dotenv").config();
+const { ROLES } = require("../config/auth.config");
+const { signJwt } = require("../utils/jwt");
+
+const [sub, role, ttl = "3600"] = process.argv.slice(2);
+
+if (!process.env.JWT_SECRET) {
+  console.error("JWT_SECRET is not set");
+  process.exit(1);
+}
+if (!sub || !ROLES.includes(role)) {
+  console.error(`Usage: node scripts/issueToken.js <sub> <${ROLES.join("|")}> [ttlSeconds]`);
+  process.exit(1);
+}
+
+const claims = { sub, role };
+if (process.env.JWT_ISSUER) claims.iss = process.env.JWT_ISSUER;
+if (process.env.JWT_AUDIENCE) claims.aud = process.env.JWT_AUDIENCE;
+
+console.log(signJwt(claims, process.env.JWT_SECRET, { ttlSeconds: parseInt(ttl, 10) }));
@@ -643,6 +643,254 @@ function generateTablets() {
   return products;
 }
 
+// ──────────────────────────────────────────────
+// VARIANT GROUPS
+// ──────────────────────────────────────────────
+// Phones are generated as one product per color × storage × RAM combo;
+// tie each model's SKUs together under a parent listing
+async function seedVariantGroups(insertedProducts) {
+  const variantGroupService = require("../services/variantGroupServices");
+  const byModel = new Map();
+  for (const p of insertedProducts) {
+    if (p.category !== "Mobile Phones" || !p.model) continue;
+    const key = `${p.brand}|${p.model}`;
+    byModel.set(key, [...(byModel.get(key) || []), p]);
+  }
+
+  let groups = 0;
+  for (const products of byModel.values()) {
+    if (products.length < 2) continue;
+    const { brand, model, category } = products[0];
+    await variantGroupService.createGroup(
+      {
+        title: model.startsWith(brand) ? model : `${brand} ${model}`,
+        brand,
+        category,
+        model,
+        productIds: products.map((p) => String(p._id)),
+      },
+      { actor: "system:seed" }
+    );
+    groups++;
+  }
+  return groups;
+}
+
+// ──────────────────────────────────────────────
+// SYNONYMS
+// ──────────────────────────────────────────────
+// Starter query expansions; manage further sets via /api/v1/admin/synonyms
+const DEFAULT_SYNONYMS = [
+  { type: "two-way", synonyms: ["earbuds", "earphones", "tws"] },
+  { type: "two-way", synonyms: ["mobile", "phone", "smartphone"] },
+  { type: "two-way", synonyms: ["laptop", "notebook"] },
+  { type: "one-way", input: "charger", synonyms: ["adapter"] },
+  { type: "one-way", input: "cover", synonyms: ["case"] },
+];
+
+async function seedSynonyms() {
+  const synonymService = require("../services/synonymServices");
+  for (const set of DEFAULT_SYNONYMS) await synonymService.createSynonymSet(set);
+  return DEFAULT_SYNONYMS.length;
+}
+
+// ──────────────────────────────────────────────
+// SELLERS & OFFERS
+// ──────────────────────────────────────────────
+// Marketplace sellers; manage via /api/v1/sellers
+const DEFAULT_SELLERS = [
+  { name: "MegaMart Retail", rating: 4.5, ratingCount: 12840 },
+  { name: "Gupta Electronics", rating: 4.1, ratingCount: 3210 },
+  { name: "QuickShip Traders", rating: 3.4, ratingCount: 610 },
+];
+const MARKETPLACE_CATEGORIES = ["Phone Accessories", "Chargers & Cables", "Power Banks"];
+
+// Every third accessory gets competing offers from two sellers: one at the
+// listed price, one slightly dearer but express. The buy box picks between them.
+async function seedSellers(insertedProducts) {
+  const sellerService = require("../services/sellerServices");
+  const offerService = require("../services/offerServices");
+  const sellers = [];
+  for (const seller of DEFAULT_SELLERS) sellers.push(await sellerService.createSeller(seller));
+
+  const listed = insertedProducts
+    .filter((p) => MARKETPLACE_CATEGORIES.includes(p.category))
+    .filter((_, i) => i % 3 === 0);
+  for (const [i, p] of listed.entries()) {
+    const offers = [
+      { seller: sellers[i % 3], price: p.price, stock: p.stock, fulfillmentType: "seller_fulfilled" },
+      {
+        seller: sellers[(i + 1) % 3],
+        price: Math.round(p.price * 1.04),
+        stock: Math.floor(p.stock / 2),
+        fulfillmentType: "express",
+      },
+    ];
+    for (const { seller, ...offer } of offers) {
+      await offerService.putOffer(
+        String(p._id),
+        seller._id,
+        { ...offer, mrp: p.mrp },
+        { actor: "system:seed" }
+      );
+    }
+  }
+  return { sellers: sellers.length, products: listed.length };
+}
+
+// ──────────────────────────────────────────────
+// WAREHOUSES & INVENTORY
+// ──────────────────────────────────────────────
+// Fulfilment centres and the pincode prefixes they deliver to (days);
+// manage via /api/v1/warehouses
+const DEFAULT_WAREHOUSES = [
+  {
+    code: "BLR1",
+    name: "Bengaluru FC",
+    city: "Bengaluru",
+    pincode: "562114",
+    serviceAreas: [
+      { prefix: "560", deliveryDays: 1 },
+      { prefix: "56", deliveryDays: 2 },
+      { prefix: "57", deliveryDays: 3 },
+      { prefix: "6", deliveryDays: 3 },
+      { prefix: "5", deliveryDays: 4 },
+      { prefix: "4", deliveryDays: 5 },
+    ],
+  },
+  {
+    code: "DEL1",
+    name: "Delhi NCR FC",
+    city: "Gurugram",
+    pincode: "122413",
+    serviceAreas: [
+      { prefix: "110", deliveryDays: 1 },
+      { prefix: "122", deliveryDays: 1 },
+      { prefix: "201", deliveryDays: 1 },
+      { prefix: "1", deliveryDays: 2 },
+      { prefix: "2", deliveryDays: 3 },
+      { prefix: "3", deliveryDays: 4 },
+      { prefix: "7", deliveryDays: 5 },
+    ],
+  },
+  {
+    code: "MUM1",
+    name: "Mumbai FC",
+    city: "Bhiwandi",
+    pincode: "421302",
+    serviceAreas: [
+      { prefix: "400", deliveryDays: 1 },
+      { prefix: "4", deliveryDays: 2 },
+      { prefix: "3", deliveryDays: 3 },
+      { prefix: "5", deliveryDays: 4 },
+    ],
+  },
+];
+
+async function seedWarehouses() {
+  const warehouseService = require("../services/warehouseServices");
+  for (const warehouse of DEFAULT_WAREHOUSES) await warehouseService.createWarehouse(warehouse);
+  return DEFAULT_WAREHOUSES.length;
+}
+
+// Splits each product's stock between one or two warehouses, so stock
+// stays the total and availability differs by pincode
+function withInventory(products) {
+  const codes = DEFAULT_WAREHOUSES.map((w) => w.code);
+  return products.map((p, i) => {
+    const first = codes[i % codes.length];
+    if (i % 2 === 0) return { ...p, inventory: [{ warehouseCode: first, stock: p.stock }] };
+    const second = codes[(i + 1) % codes.length];
+    const share = Math.ceil(p.stock / 2);
+    return {
+      ...p,
+      inventory: [
+        { warehouseCode: first, stock: share },
+        { warehouseCode: second, stock: p.stock - share },
+      ],
+    };
+  });
+}
+
+// ──────────────────────────────────────────────
+// BULK PRICE TIERS
+// ──────────────────────────────────────────────
+// Retailers stock accessories by the box: 5% off from 10 units, 10% off from 50
+const BULK_CATEGORIES = ["Phone Accessories", "Chargers & Cables", "Power Banks"];
+
+function withPriceTiers(products) {
+  return products.map((p) =>
+    BULK_CATEGORIES.includes(p.category)
+      ? {
+          ...p,
+          priceTiers: [
+            { minQty: 10, price: Math.round(p.price * 0.95) },
+            { minQty: 50, price: Math.round(p.price * 0.9) },
+          ],
+        }
+      : p
+  );
+}
+
+// ──────────────────────────────────────────────
+// ATTRIBUTE SCHEMAS
+// ──────────────────────────────────────────────
+// Typed metadata per category; manage via /api/v1/admin/attribute-schemas
+const gb = (key, required = false) => ({ key, type: "number", unit: "GB", required });
+const DEFAULT_ATTRIBUTE_SCHEMAS = {
+  "Mobile Phones": [
+    gb("ram", true),
+    gb("storage", true),
+    { key: "screenSize", type: "number", unit: "inches" },
+    { key: "battery", type: "number", unit: "mAh" },
+    { key: "camera", type: "number", unit: "MP" },
+    {
+      key: "os",
+      type: "enum",
+      values: ["iOS", "Android"],
+      aliases: { OxygenOS: "Android", "One UI": "Android", HyperOS: "Android", MIUI: "Android" },
+    },
+  ],
+  Laptops: [
+    gb("ram", true),
+    gb("storage", true),
+    { key: "screenSize", type: "number", unit: "inches" },
+    { key: "battery", type: "number", unit: "Wh" },
+    { key: "weight", type: "number", unit: "kg" },
+  ],
+  Tablets: [gb("storage"), { key: "screenSize", type: "number", unit: "inches" }],
+  Headphones: [{ key: "battery", type: "number", unit: "hours" }],
+  Earphones: [{ key: "battery", type: "number", unit: "hours" }],
+  Smartwatches: [
+    { key: "displaySize", type: "number", unit: "inches" },
+    { key: "battery", type: "number", unit: "mAh" },
+  ],
+  "Chargers & Cables": [{ key: "wattage", type: "number", unit: "W" }],
+  "Power Banks": [{ key: "wattage", type: "number", unit: "W" }],
+};
+
+/** Installs the default category tree (CategoryService does this on first use) */
+async function seedCategories() {
+  const categoryService = require("../services/categoryServices");
+  return (await categoryService.listCategories()).length;
+}
+
+async function seedAttributeSchemas() {
+  const attributeSchemaService = require("../services/attributeSchemaServices");
+  for (const [category, attributes] of Object.entries(DEFAULT_ATTRIBUTE_SCHEMAS)) {
+    await attributeSchemaService.putAttributeSchema(category, { attributes });
+  }
+  return Object.keys(DEFAULT_ATTRIBUTE_SCHEMAS).length;
+}
+
+/** Stores metadata the way the product API would: canonical units and spellings */
+async function normaliseSeedMetadata(products) {
+  const { normaliseMetadata } = require("../services/attributeSchemaServices");
+  return Promise.all(
+    products.map(async (p) => ({ ...p, metadata: await normaliseMetadata(p.category, p.metadata) }))
+  );
+}
+
 // ──────────────────────────────────────────────
 // MAIN SEED FUNCTION
 // ──────────────────────────────────────────────
@@ -661,7 +909,7 @@ async function main() {
 
   // Generate all products
   console.log("🔄  Generating products...");
-  const allProducts = [
+  const generated = [
     ...generateIphones(),
     ...generateSamsung(),
     ...generateOneplus(),
@@ -674,29 +922,62 @@ async function main() {
     ...generateTablets(),
   ];
 
-  console.log(`📦  Total products generated: ${allProducts.length}`);
+  console.log(`📦  Total products generated: ${generated.length}`);
 
   if (useDB) {
     const Product = require("../models/Product");
+    const VariantGroup = require("../models/VariantGroup");
+    const ProductHistory = require("../models/ProductHistory");
+    const SynonymSet = require("../models/SynonymSet");
+    const AttributeSchema = require("../models/AttributeSchema");
+    const Category = require("../models/Category");
+    const Seller = require("../models/Seller");
+    const Warehouse = require("../models/Warehouse");
     // Clear existing data
     await Product.deleteMany({});
-    console.log("🗑️   Cleared existing products");
+    await VariantGroup.deleteMany({});
+    await ProductHistory.deleteMany({});
+    await SynonymSet.deleteMany({});
+    await AttributeSchema.deleteMany({});
+    await Category.deleteMany({});
+    await Seller.deleteMany({});
+    await Warehouse.deleteMany({});
+    console.log(
+      "🗑️   Cleared existing products, variant groups, history, synonyms, attribute schemas, categories, sellers and warehouses"
+    );
+
+    console.log(`✅  Created ${await seedCategories()} categories`);
+    console.log(`✅  Created ${await seedAttributeSchemas()} attribute schemas`);
+    console.log(`✅  Created ${await seedWarehouses()} warehouses`);
+    const allProducts = withPriceTiers(withInventory(await normaliseSeedMetadata(generated)));
 
     // Batch insert
     const BATCH = 100;
-    let inserted = 0;
+    const inserted = [];
     for (let i = 0; i < allProducts.length; i += BATCH) {
       const batch = allProducts.slice(i, i + BATCH);
-      await Product.insertMany(batch, { ordered: false });
-      inserted += batch.length;
-      process.stdout.write(`\r   Inserted ${inserted}/${allProducts.length} products...`);
+      inserted.push(...(await Product.insertMany(batch, { ordered: false })));
+      process.stdout.write(`\r   Inserted ${inserted.length}/${allProducts.length} products...`);
     }
-    console.log(`\n✅  Seeded ${inserted} products into MongoDB`);
+    console.log(`\n✅  Seeded ${inserted.length} products into MongoDB`);
+    console.log(`✅  Created ${await seedVariantGroups(inserted)} variant groups`);
+    console.log(`✅  Created ${await seedSynonyms()} synonym sets`);
+    const marketplace = await seedSellers(inserted);
+    console.log(`✅  Created ${marketplace.sellers} sellers with offers on ${marketplace.products} products`);
     await mongoose.disconnect();
   } else {
     const store = require("../store/inMemoryStore");
-    store.bulkInsert(allProducts);
+    console.log(`✅  Created ${await seedCategories()} categories`);
+    console.log(`✅  Created ${await seedAttributeSchemas()} attribute schemas`);
+    console.log(`✅  Created ${await seedWarehouses()} warehouses`);
+    const inserted = store.bulkInsert(
+      withPriceTiers(withInventory(await normaliseSeedMetadata(generated)))
+    );
     console.log(`✅  Seeded ${store.count} products into in-memory store`);
+    console.log(`✅  Created ${await seedVariantGroups(inserted)} variant groups`);
+    console.log(`✅  Created ${await seedSynonyms()} synonym sets`);
+    const marketplace = await seedSellers(inserted);
+    console.log(`✅  Created ${marketplace.sellers} sellers with offers on ${marketplace.products} products`);
     console.log("   (Note: in-memory store is not persistent across restarts)");
   }
 
@@ -0,0 +1,249 @@
+/**
+ * AnalyticsService
+ * ────────────────
+ * Records every search and serves catalog-gap reports over a date range.
+ *
+ * Storage:
+ *  - MongoDB mode:   SearchLog collection
+ *  - In-memory mode: append-only JSONL file (SEARCH_LOG_PATH,
+ *                    default data/search-log.jsonl)
+ *
+ * Reports only count page-1 searches so paginating through results does
+ * not inflate query counts. A "zero-result" search is one where no product
+ * actually matched the query (fallback filler does not count).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const SearchLog = require("../models/SearchLog");
+
+const LOG_PATH =
+  process.env.SEARCH_LOG_PATH || path.join(__dirname, "../data/search-log.jsonl");
+const TOP_PRODUCT_IDS = 10;
+
+const useDB = () => process.env.USE_IN_MEMORY !== "true";
+const enabled = () => process.env.SEARCH_ANALYTICS_ENABLED !== "false";
+
+// ──────────────────────────────────────────────
+// Write path
+// ──────────────────────────────────────────────
+/**
+ * Builds a log entry from a finished search.
+ * @param {{ rawQuery: string, parsedQuery: Object, opts: Object, ranked: Object[],
+ *           matchedCount: number, latencyMs: number }} search
+ */
+function toLogEntry({ rawQuery, parsedQuery, opts, ranked, matchedCount, latencyMs }) {
+  const { normalised, intent, brand, color, storageGB, ramGB, minPrice, maxPrice } = parsedQuery;
+  return {
+    query: rawQuery,
+    normalisedQuery: rawQuery.toLowerCase().replace(/\s+/g, " ").trim(),
+    parsedQuery: normalised,
+    intent: Object.fromEntries(Object.entries(intent).filter(([, on]) => on)),
+    entities: { brand, color, storageGB, ramGB, minPrice, maxPrice },
+    filters: opts.filters || {},
+    category: opts.category,
+    sort: opts.sort,
+    profile: opts.profile,
+    page: opts.page || 1,
+    corrections: parsedQuery.corrections || [],
+    resultCount: ranked.length,
+    matchedCount,
+    latencyMs,
+    topProductIds: ranked.slice(0, TOP_PRODUCT_IDS).map((p) => String(p._id || p.id)),
+  };
+}
+
+/**
+ * Persists a search log entry. Never throws — analytics must not break search.
+ */
+async function logSearch(search) {
+  if (!enabled()) return;
+  try {
+    const entry = toLogEntry(search);
+    if (useDB()) {
+      await SearchLog.create(entry);
+    } else {
+      await fs.promises.mkdir(path.dirname(LOG_PATH), { recursive: true });
+      const line = JSON.stringify({ ...entry, createdAt: new Date().toISOString() });
+      await fs.promises.appendFile(LOG_PATH, `${line}\n`);
+    }
+  } catch (err) {
+    console.warn(`⚠️   Failed to record search analytics: ${err.message}`);
+  }
+}
+
+// ──────────────────────────────────────────────
+// Read path: JSONL (in-memory mode)
+// ──────────────────────────────────────────────
+/** Streams the JSONL log and returns page-1 entries inside [from, to] */
+async function readLogFile({ from, to }) {
+  if (!fs.existsSync(LOG_PATH)) return [];
+
+  const entries = [];
+  const lines = readline.createInterface({
+    input: fs.createReadStream(LOG_PATH),
+    crlfDelay: Infinity,
+  });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue; // tolerate a torn final line
+    }
+    const at = new Date(entry.createdAt);
+    if (at >= from && at <= to && (entry.page || 1) === 1) entries.push(entry);
+  }
+  return entries;
+}
+
+function groupByQuery(entries) {
+  const groups = new Map();
+  for (const e of entries) {
+    const group = groups.get(e.normalisedQuery) || [];
+    group.push(e);
+    groups.set(e.normalisedQuery, group);
+  }
+  return [...groups.entries()];
+}
+
+const avg = (values) => values.reduce((a, b) => a + b, 0) / (values.length || 1);
+const lastAt = (entries) =>
+  entries.reduce((max, e) => (e.createdAt > max ? e.createdAt : max), entries[0].createdAt);
+const isZeroResult = (e) => (e.matchedCount ?? e.resultCount) === 0;
+
+// ──────────────────────────────────────────────
+// Reports
+// ──────────────────────────────────────────────
+const round = (v, dp = 1) => +Number(v || 0).toFixed(dp);
+const pageOneInRange = ({ from, to }) => ({ createdAt: { $gte: from, $lte: to }, page: 1 });
+
+/**
+ * Most frequent queries.
+ * @param {{ from: Date, to: Date, limit: number }} range
+ */
+async function getTopQueries({ from, to, limit }) {
+  if (useDB()) {
+    const rows = await SearchLog.aggregate([
+      { $match: pageOneInRange({ from, to }) },
+      {
+        $group: {
+          _id: "$normalisedQuery",
+          searches: { $sum: 1 },
+          avgResults: { $avg: "$resultCount" },
+          avgLatencyMs: { $avg: "$latencyMs" },
+          zeroResultSearches: {
+            $sum: { $cond: [{ $eq: [{ $ifNull: ["$matchedCount", "$resultCount"] }, 0] }, 1, 0] },
+          },
+          lastSearchedAt: { $max: "$createdAt" },
+        },
+      },
+      { $sort: { searches: -1, _id: 1 } },
+      { $limit: limit },
+    ]);
+    return rows.map(({ _id, ...r }) => ({
+      query: _id,
+      ...r,
+      avgResults: round(r.avgResults),
+      avgLatencyMs: round(r.avgLatencyMs),
+    }));
+  }
+
+  return groupByQuery(await readLogFile({ from, to }))
+    .map(([query, entries]) => ({
+      query,
+      searches: entries.length,
+      avgResults: round(avg(entries.map((e) => e.resultCount))),
+      avgLatencyMs: round(avg(entries.map((e) => e.latencyMs))),
+      zeroResultSearches: entries.filter(isZeroResult).length,
+      lastSearchedAt: lastAt(entries),
+    }))
+    .sort((a, b) => b.searches - a.searches || a.query.localeCompare(b.query))
+    .slice(0, limit);
+}
+
+/**
+ * Queries where nothing in the catalog matched — gaps in assortment or
+ * misspellings the parser does not know yet.
+ */
+async function getZeroResultQueries({ from, to, limit }) {
+  if (useDB()) {
+    const rows = await SearchLog.aggregate([
+      {
+        $match: {
+          ...pageOneInRange({ from, to }),
+          $expr: { $eq: [{ $ifNull: ["$matchedCount", "$resultCount"] }, 0] },
+        },
+      },
+      {
+        $group: {
+          _id: "$normalisedQuery",
+          searches: { $sum: 1 },
+          lastSearchedAt: { $max: "$createdAt" },
+        },
+      },
+      { $sort: { searches: -1, _id: 1 } },
+      { $limit: limit },
+    ]);
+    return rows.map(({ _id, ...r }) => ({ query: _id, ...r }));
+  }
+
+  const entries = (await readLogFile({ from, to })).filter(isZeroResult);
+  return groupByQuery(entries)
+    .map(([query, group]) => ({
+      query,
+      searches: group.length,
+      lastSearchedAt: lastAt(group),
+    }))
+    .sort((a, b) => b.searches - a.searches || a.query.localeCompare(b.query))
+    .slice(0, limit);
+}
+
+/**
+ * Queries that needed the most spelling corrections, with the distinct
+ * corrections applied.
+ */
+async function getCorrectedQueries({ from, to, limit }) {
+  if (useDB()) {
+    const rows = await SearchLog.aggregate([
+      { $match: { ...pageOneInRange({ from, to }), "corrections.0": { $exists: true } } },
+      { $unwind: "$corrections" },
+      {
+        $group: {
+          _id: "$normalisedQuery",
+          correctionCount: { $sum: 1 },
+          searchIds: { $addToSet: "$_id" },
+          corrections: { $addToSet: "$corrections" },
+          lastSearchedAt: { $max: "$createdAt" },
+        },
+      },
+      { $sort: { correctionCount: -1, _id: 1 } },
+      { $limit: limit },
+    ]);
+    return rows.map(({ _id, searchIds, ...r }) => ({
+      query: _id,
+      searches: searchIds.length,
+      ...r,
+    }));
+  }
+
+  const entries = (await readLogFile({ from, to })).filter((e) => e.corrections?.length);
+  return groupByQuery(entries)
+    .map(([query, group]) => {
+      const pairs = new Map();
+      group.forEach((e) => e.corrections.forEach((c) => pairs.set(`${c.from}→${c.to}`, c)));
+      return {
+        query,
+        searches: group.length,
+        correctionCount: group.reduce((n, e) => n + e.corrections.length, 0),
+        corrections: [...pairs.values()],
+        lastSearchedAt: lastAt(group),
+      };
+    })
+    .sort((a, b) => b.correctionCount - a.correctionCount || a.query.localeCompare(b.query))
+    .slice(0, limit);
+}
+
+module.exports = { logSearch, getTopQueries, getZeroResultQueries, getCorrectedQueries };
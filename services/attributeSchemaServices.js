@@ -0,0 +1,261 @@
+/**
+ * AttributeSchemaService
+ * ──────────────────────
+ * Per-category definitions of product metadata (Mobile Phones: ram in GB,
+ * storage in GB, battery in mAh, os one of iOS / Android …).
+ *
+ * ProductService runs every metadata write through normaliseMetadata(),
+ * which rejects values that do not fit the category's schema and stores
+ * the rest in canonical form, so ranking and filters compare like with
+ * like. Categories without a schema accept any metadata.
+ *
+ * Schemas are cached in process and reloaded after any change made here,
+ * or every ATTRIBUTE_SCHEMA_REFRESH_MS to pick up changes made by other
+ * processes (MongoDB mode); a failed periodic reload keeps the previous ones.
+ *
+ * Transparently uses MongoDB when connected, or the in-memory store.
+ */
+
+const AttributeSchema = require("../models/AttributeSchema");
+const attributeSchemaStore = require("../store/attributeSchemaStore");
+const { parseQuantity, formatQuantity } = require("../utils/units");
+const { createRefreshingCache } = require("../utils/refreshingCache");
+
+const useDB = () => process.env.USE_IN_MEMORY !== "true";
+
+const REFRESH_MS = parseInt(process.env.ATTRIBUTE_SCHEMA_REFRESH_MS || "60000", 10);
+const ATTRIBUTE_TYPES = ["number", "enum", "string"];
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+const toResponse = (doc) => {
+  if (!doc) return null;
+  const obj = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const { __v, ...rest } = obj;
+  return { ...rest, _id: String(obj._id || obj.id), id: String(obj._id || obj.id) };
+};
+
+const httpError = (statusCode, message, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+};
+
+/** Checks the definitions agree with themselves (Joi has checked each one's shape) */
+function toSchemaFields({ attributes, strict, description }) {
+  const problems = [];
+  attributes.forEach((a) => {
+    if (a.min !== undefined && a.max !== undefined && a.min > a.max) {
+      problems.push(`${a.key}: min must not be greater than max`);
+    }
+    if (a.type === "enum") {
+      const lower = a.values.map((v) => v.toLowerCase());
+      if (new Set(lower).size !== lower.length) {
+        problems.push(`${a.key}: values must be unique (ignoring case)`);
+      }
+      Object.entries(a.aliases || {}).forEach(([alias, target]) => {
+        if (!lower.includes(target.toLowerCase())) {
+          problems.push(`${a.key}: alias "${alias}" must map to one of its values`);
+        }
+      });
+    }
+  });
+  if (problems.length) throw httpError(400, "Invalid attribute schema", problems);
+
+  return { attributes, strict: Boolean(strict), description: description || "" };
+}
+
+// ──────────────────────────────────────────────
+// Compiled schemas
+// ──────────────────────────────────────────────
+const compile = (docs) =>
+  new Map(
+    docs.map((doc) => [
+      doc.category,
+      {
+        category: doc.category,
+        strict: Boolean(doc.strict),
+        attributes: new Map(doc.attributes.map((a) => [a.key, a])),
+      },
+    ])
+  );
+
+async function findAllSchemas() {
+  if (useDB()) return (await AttributeSchema.find({}).sort({ category: 1 }).lean()).map(toResponse);
+  return attributeSchemaStore.findAll().map(toResponse);
+}
+
+// Map<category, { category, strict, attributes: Map<key, def> }>; the previous
+// schemas are served while a reload runs
+const schemas = createRefreshingCache(
+  async () => compile(await findAllSchemas()),
+  REFRESH_MS,
+  { name: "attribute schemas" }
+);
+
+/**
+ * Every category's schema, compiled for lookups.
+ * @returns {Promise<Map<string, { category: string, strict: boolean, attributes: Map<string, Object> }>>}
+ */
+async function getAttributeSchemas() {
+  return schemas.get();
+}
+
+/** Forces a reload on next use and drops cached results filtered with the old schemas */
+function onSchemasChanged() {
+  schemas.invalidate();
+  // Required lazily: the search cache listens to ProductService, which needs this module
+  require("./searchCacheServices").invalidateSearchCache();
+}
+
+/** The definition of `key` for a category, or null */
+const attributeDef = (compiled, category, key) =>
+  compiled?.get(category)?.attributes.get(key) || null;
+
+/** Display text for a stored value: numbers get their unit back ("8" → "8GB") */
+function formatAttributeValue(compiled, category, key, value) {
+  const def = attributeDef(compiled, category, key);
+  if (typeof value === "number" && def?.type === "number" && def.unit) {
+    return formatQuantity(value, def.unit);
+  }
+  return String(value);
+}
+
+// ──────────────────────────────────────────────
+// Normalisation
+// ──────────────────────────────────────────────
+// A trailing version: "Android 14", "iOS 17.2"
+const VERSION_SUFFIX = /\s+v?\d+(?:\.\d+)*$/i;
+
+/** One of def.values by its own name or an alias, ignoring case; else undefined */
+function enumValue(def, text) {
+  const lower = text.toLowerCase();
+  const alias = Object.entries(def.aliases || {}).find(([a]) => a.toLowerCase() === lower);
+  const name = (alias ? alias[1] : text).toLowerCase();
+  return def.values.find((v) => v.toLowerCase() === name);
+}
+
+/** Canonical form of one value, or an error message */
+function normaliseValue(def, value) {
+  if (def.type === "number") {
+    const number = parseQuantity(value, def.unit);
+    if (number === null) {
+      const expected = def.unit ? `a number in ${def.unit}` : "a number";
+      return { error: `must be ${expected} (got ${JSON.stringify(value)})` };
+    }
+    if (def.min !== undefined && number < def.min) return { error: `must be at least ${def.min}` };
+    if (def.max !== undefined && number > def.max) return { error: `must be at most ${def.max}` };
+    return { value: number };
+  }
+
+  if (typeof value !== "string" && typeof value !== "number") {
+    return { error: `must be a string (got ${JSON.stringify(value)})` };
+  }
+  const text = String(value).trim();
+  if (def.type === "enum") {
+    const match = enumValue(def, text) || enumValue(def, text.replace(VERSION_SUFFIX, ""));
+    return match ? { value: match } : { error: `must be one of ${def.values.join(", ")}` };
+  }
+  return { value: text };
+}
+
+/**
+ * Checks metadata against the category's schema and returns it in canonical
+ * form. Throws 400 listing every problem.
+ *
+ * @param {string} category
+ * @param {Object} metadata
+ * @param {{ partial?: boolean }} [opts] - partial: a metadata update, so
+ *        required attributes may be absent
+ * @returns {Promise<Object>}
+ */
+async function normaliseMetadata(category, metadata = {}, { partial = false } = {}) {
+  const schema = (await getAttributeSchemas()).get(category);
+  if (!schema) return metadata;
+
+  const normalised = {};
+  const problems = [];
+  Object.entries(metadata).forEach(([key, value]) => {
+    const def = schema.attributes.get(key);
+    if (!def) {
+      if (schema.strict) problems.push(`metadata.${key} is not an attribute of ${category}`);
+      else normalised[key] = value;
+      return;
+    }
+    const result = normaliseValue(def, value);
+    if (result.error) problems.push(`metadata.${key} ${result.error}`);
+    else normalised[key] = result.value;
+  });
+
+  if (!partial) {
+    schema.attributes.forEach((def, key) => {
+      if (def.required && (metadata[key] === undefined || metadata[key] === "")) {
+        problems.push(`metadata.${key} is required for ${category}`);
+      }
+    });
+  }
+
+  if (problems.length) throw httpError(400, `Invalid metadata for category ${category}`, problems);
+  return normalised;
+}
+
+// ──────────────────────────────────────────────
+// CRUD
+// ──────────────────────────────────────────────
+async function listAttributeSchemas() {
+  return findAllSchemas();
+}
+
+async function getAttributeSchema(category) {
+  if (useDB()) return toResponse(await AttributeSchema.findOne({ category }).lean());
+  return toResponse(attributeSchemaStore.findByCategory(category));
+}
+
+/**
+ * Creates or replaces a category's schema. Products already stored keep
+ * their metadata; the schema applies from their next write.
+ *
+ * @param {string} category
+ * @param {{ attributes: Object[], strict?: boolean, description?: string }} data
+ * @returns {Promise<{ schema: Object, created: boolean }>}
+ */
+async function putAttributeSchema(category, data) {
+  const fields = toSchemaFields(data);
+  const created = !(await getAttributeSchema(category));
+  const schema = useDB()
+    ? toResponse(
+        await AttributeSchema.findOneAndUpdate(
+          { category },
+          { $set: { category, ...fields } },
+          { new: true, upsert: true, runValidators: true }
+        ).lean()
+      )
+    : toResponse(attributeSchemaStore.upsert(category, fields));
+  onSchemasChanged();
+  return { schema, created };
+}
+
+/** Returns the deleted schema, or null if the category has none */
+async function deleteAttributeSchema(category) {
+  const schema = await getAttributeSchema(category);
+  if (!schema) return null;
+
+  if (useDB()) await AttributeSchema.deleteOne({ category });
+  else attributeSchemaStore.deleteByCategory(category);
+  onSchemasChanged();
+  return schema;
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  getAttributeSchemas,
+  attributeDef,
+  formatAttributeValue,
+  normaliseMetadata,
+  listAttributeSchemas,
+  getAttributeSchema,
+  putAttributeSchema,
+  deleteAttributeSchema,
+};
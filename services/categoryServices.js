@@ -0,0 +1,350 @@
+/**
+ * CategoryService
+ * ───────────────
+ * The product category tree: nodes with a name, slug, parent and aliases
+ * ("Audio" → "Headphones", "Earphones").
+ *
+ *  - Product writes must name a category in the tree; any name, slug or
+ *    alias is accepted and stored as the node's name.
+ *  - Filtering by a category (search, product listing) includes every
+ *    category below it.
+ *
+ * An empty tree is filled with DEFAULT_CATEGORIES on first use. The tree
+ * is cached in process and reloaded after any change made here, or every
+ * CATEGORY_REFRESH_MS to pick up changes made by other processes; a failed
+ * periodic reload keeps the previous tree.
+ *
+ * Transparently uses MongoDB when connected, or the in-memory store.
+ */
+
+const Category = require("../models/Category");
+const categoryStore = require("../store/categoryStore");
+const productService = require("./productServices");
+const { invalidateSearchCache } = require("./searchCacheServices");
+const { createRefreshingCache } = require("../utils/refreshingCache");
+
+const useDB = () => process.env.USE_IN_MEMORY !== "true";
+
+const REFRESH_MS = parseInt(process.env.CATEGORY_REFRESH_MS || "60000", 10);
+
+/** Starter tree; parents are given by slug */
+const DEFAULT_CATEGORIES = [
+  { name: "Mobile Phones", aliases: ["mobile", "mobiles", "phone", "phones", "smartphones"] },
+  { name: "Laptops", aliases: ["laptop", "notebook", "notebooks"] },
+  { name: "Tablets", aliases: ["tablet"] },
+  { name: "Audio" },
+  { name: "Headphones", parent: "audio", aliases: ["headphone", "headset"] },
+  { name: "Earphones", parent: "audio", aliases: ["earphone", "earbuds", "tws"] },
+  { name: "Smartwatches", aliases: ["smartwatch", "smart watch"] },
+  { name: "Accessories" },
+  { name: "Phone Accessories", parent: "accessories", aliases: ["phone cover", "phone case"] },
+  { name: "Chargers & Cables", parent: "accessories", aliases: ["chargers", "cables"] },
+  { name: "Power Banks", parent: "accessories", aliases: ["power bank", "powerbank"] },
+  { name: "Gaming" },
+  { name: "Networking" },
+  { name: "Cameras", aliases: ["camera"] },
+  { name: "Other Electronics" },
+];
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+const toResponse = (doc) => {
+  if (!doc) return null;
+  const obj = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const { __v, ...rest } = obj;
+  return { ...rest, _id: String(obj._id || obj.id), id: String(obj._id || obj.id) };
+};
+
+const httpError = (statusCode, message, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+};
+
+/** "Chargers & Cables" → "chargers-and-cables" */
+const slugify = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const normaliseTerm = (term) => String(term).toLowerCase().replace(/\s+/g, " ").trim();
+
+const withDefaults = (data) => ({
+  name: data.name.trim(),
+  slug: data.slug || slugify(data.name),
+  parent: data.parent || null,
+  aliases: [...new Set((data.aliases || []).map(normaliseTerm).filter(Boolean))],
+  description: data.description || "",
+});
+
+// ──────────────────────────────────────────────
+// Compiled tree
+// ──────────────────────────────────────────────
+function compile(nodes) {
+  const bySlug = new Map(nodes.map((n) => [n.slug, n]));
+  const byTerm = new Map();
+  const children = new Map();
+  nodes.forEach((n) => {
+    [n.name, n.slug, ...n.aliases].forEach((t) => byTerm.set(normaliseTerm(t), n.slug));
+    if (n.parent) children.set(n.parent, [...(children.get(n.parent) || []), n.slug]);
+  });
+  return { bySlug, byTerm, children };
+}
+
+async function findAllNodes() {
+  if (useDB()) return (await Category.find({}).sort({ name: 1 }).lean()).map(toResponse);
+  return categoryStore
+    .findAll()
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(toResponse);
+}
+
+/** Fills an empty tree with DEFAULT_CATEGORIES */
+async function installDefaults() {
+  const nodes = DEFAULT_CATEGORIES.map(withDefaults);
+  if (useDB()) {
+    // Another process may be installing them at the same time
+    await Category.insertMany(nodes, { ordered: false }).catch((err) => {
+      if (!(err.writeErrors || []).every((we) => we.code === 11000)) throw err;
+    });
+  } else {
+    nodes.forEach((n) => categoryStore.create(n));
+  }
+}
+
+async function loadTree() {
+  let nodes = await findAllNodes();
+  if (nodes.length === 0) {
+    await installDefaults();
+    nodes = await findAllNodes();
+  }
+  return compile(nodes);
+}
+
+// { bySlug: Map<slug, node>, byTerm: Map<term, slug>, children: Map<slug, slug[]> };
+// the previous tree is served while a reload runs
+const tree = createRefreshingCache(loadTree, REFRESH_MS, { name: "category tree" });
+
+async function getTree() {
+  return tree.get();
+}
+
+/** Forces a reload on next use and drops results filtered with the old tree */
+function onCategoriesChanged() {
+  tree.invalidate();
+  invalidateSearchCache();
+}
+
+/** Slugs of a node and everything below it, parents first */
+function subtreeSlugs(compiled, slug) {
+  const children = compiled.children.get(slug) || [];
+  return [slug, ...children.flatMap((child) => subtreeSlugs(compiled, child))];
+}
+
+/** Node with its children nested under `children` */
+function toTreeNode(compiled, slug) {
+  const { _id, id, createdAt, updatedAt, ...node } = compiled.bySlug.get(slug);
+  return {
+    ...node,
+    children: (compiled.children.get(slug) || [])
+      .map((child) => toTreeNode(compiled, child))
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
+
+// ──────────────────────────────────────────────
+// Public: lookups
+// ──────────────────────────────────────────────
+/**
+ * The node a name, slug or alias refers to (case-insensitive), or null.
+ * @param {string} value
+ * @returns {Promise<Object|null>}
+ */
+async function resolveCategory(value) {
+  if (!value) return null;
+  const compiled = await getTree();
+  const slug = compiled.byTerm.get(normaliseTerm(value));
+  return slug ? compiled.bySlug.get(slug) : null;
+}
+
+/**
+ * Names of a category and every category below it, for filtering
+ * ("Audio" → ["Audio", "Headphones", "Earphones"]).
+ * @param {string} value - name, slug or alias
+ * @returns {Promise<string[]|null>} null if no such category
+ */
+async function expandCategory(value) {
+  const node = await resolveCategory(value);
+  if (!node) return null;
+  const compiled = await getTree();
+  return subtreeSlugs(compiled, node.slug).map((slug) => compiled.bySlug.get(slug).name);
+}
+
+/** Every category name, for vocabularies and error messages */
+async function listCategoryNames() {
+  const compiled = await getTree();
+  return [...compiled.bySlug.values()].map((n) => n.name);
+}
+
+/** Top-level nodes with their descendants nested under `children` */
+async function getCategoryTree() {
+  const compiled = await getTree();
+  return [...compiled.bySlug.values()]
+    .filter((n) => !n.parent)
+    .map((n) => toTreeNode(compiled, n.slug))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/** Every node, flat, by name */
+async function listCategories() {
+  const compiled = await getTree();
+  return [...compiled.bySlug.values()];
+}
+
+/** A node with its ancestors (root first) and direct children; null if unknown */
+async function getCategory(slugOrName) {
+  const node = await resolveCategory(slugOrName);
+  if (!node) return null;
+  const compiled = await getTree();
+
+  const ancestors = [];
+  for (let p = node.parent; p && compiled.bySlug.has(p); p = compiled.bySlug.get(p).parent) {
+    const { name, slug } = compiled.bySlug.get(p);
+    ancestors.unshift({ name, slug });
+  }
+  const children = (compiled.children.get(node.slug) || []).map((slug) => {
+    const { name } = compiled.bySlug.get(slug);
+    return { name, slug };
+  });
+  return { ...node, ancestors, children };
+}
+
+// ──────────────────────────────────────────────
+// Public: changes
+// ──────────────────────────────────────────────
+/** Names, slugs and aliases must each point at one node only */
+function assertTermsFree(compiled, node, terms) {
+  const taken = terms
+    .map(normaliseTerm)
+    .filter((t) => compiled.byTerm.has(t) && compiled.byTerm.get(t) !== node.slug);
+  if (taken.length) {
+    throw httpError(
+      409,
+      "Category name, slug or alias already in use",
+      taken.map((t) => {
+        const owner = compiled.bySlug.get(compiled.byTerm.get(t));
+        return `"${t}" already refers to ${owner.name}`;
+      })
+    );
+  }
+}
+
+/** Slug of the parent given by name, slug or alias; null for top level */
+function parentSlugFor(compiled, slug, parent) {
+  if (!parent) return null;
+  const parentSlug = compiled.byTerm.get(normaliseTerm(parent));
+  if (!parentSlug) throw httpError(400, `Unknown parent category "${parent}"`);
+  if (subtreeSlugs(compiled, slug).includes(parentSlug)) {
+    throw httpError(400, "A category cannot be moved under itself or one of its descendants");
+  }
+  return parentSlug;
+}
+
+/**
+ * @param {{ name: string, slug?: string, parent?: string, aliases?: string[],
+ *           description?: string }} data - parent: name, slug or alias
+ */
+async function createCategory(data) {
+  const compiled = await getTree();
+  const node = withDefaults(data);
+  if (!node.slug) throw httpError(400, "Category slug cannot be empty");
+  if (compiled.bySlug.has(node.slug)) {
+    throw httpError(409, `A category with slug "${node.slug}" already exists`);
+  }
+  assertTermsFree(compiled, node, [node.name, node.slug, ...node.aliases]);
+  node.parent = parentSlugFor(compiled, node.slug, node.parent);
+
+  const created = useDB()
+    ? toResponse(await Category.create(node))
+    : toResponse(categoryStore.create(node));
+  onCategoriesChanged();
+  return created;
+}
+
+/**
+ * Moves a node or edits its aliases / description. Name and slug are fixed.
+ * @returns {Promise<Object|null>} null if no such category
+ */
+async function updateCategory(slugOrName, updates) {
+  const node = await resolveCategory(slugOrName);
+  if (!node) return null;
+  const compiled = await getTree();
+  const { slug } = node;
+
+  const fields = {};
+  if (updates.parent !== undefined) {
+    fields.parent = parentSlugFor(compiled, slug, updates.parent);
+  }
+  if (updates.aliases !== undefined) {
+    fields.aliases = withDefaults({ name: node.name, aliases: updates.aliases }).aliases;
+    assertTermsFree(compiled, node, fields.aliases);
+  }
+  if (updates.description !== undefined) fields.description = updates.description;
+
+  const updated = useDB()
+    ? toResponse(
+        await Category.findOneAndUpdate(
+          { slug },
+          { $set: fields },
+          { new: true, runValidators: true }
+        ).lean()
+      )
+    : toResponse(categoryStore.updateBySlug(slug, fields));
+  onCategoriesChanged();
+  return updated;
+}
+
+/**
+ * Deletes a leaf category no product uses (soft-deleted products included).
+ * @returns {Promise<Object|null>} the deleted node, or null if no such category
+ */
+async function deleteCategory(slugOrName) {
+  const node = await resolveCategory(slugOrName);
+  if (!node) return null;
+  const compiled = await getTree();
+  const { slug } = node;
+
+  if ((compiled.children.get(slug) || []).length) {
+    throw httpError(409, `Category ${node.name} has subcategories; move or delete them first`);
+  }
+  const { pagination } = await productService.getAllProducts({
+    category: node.name,
+    status: "all",
+    limit: 1,
+  });
+  if (pagination.total > 0) {
+    throw httpError(409, `Category ${node.name} is used by ${pagination.total} product(s)`);
+  }
+
+  if (useDB()) await Category.deleteOne({ slug });
+  else categoryStore.deleteBySlug(slug);
+  onCategoriesChanged();
+  return node;
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  resolveCategory,
+  expandCategory,
+  listCategoryNames,
+  getCategoryTree,
+  listCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
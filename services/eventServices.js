@@ -0,0 +1,291 @@
+/**
+ * EventService
+ * ────────────
+ * Shopper engagement feedback loop:
+ *  1. Records impression / click / add-to-cart / purchase events
+ *  2. Maintains per-(query, product) counters → CTR
+ *  3. Feeds product signals back into the catalog:
+ *       click    → viewCount += 1
+ *       purchase → unitsSold += quantity,
+ *                  trackedSalesVelocity = units bought in the last 30 days
+ *     (the imported salesVelocity is left alone; ranking uses the larger)
+ *  4. Serves smoothed CTR scores to the ranking service
+ *
+ * Transparently uses MongoDB when connected, or the in-memory event store.
+ */
+
+const ProductEvent = require("../models/ProductEvent");
+const EngagementStat = require("../models/EngagementStat");
+const eventStore = require("../store/eventStore");
+const productService = require("./productServices");
+const { parseQuery } = require("../utils/queryParser");
+
+const useDB = () => process.env.USE_IN_MEMORY !== "true";
+
+// ──────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────
+const EVENT_TYPES = ["impression", "click", "add_to_cart", "purchase"];
+
+const COUNTER_FIELD = {
+  impression: "impressions",
+  click: "clicks",
+  add_to_cart: "addToCarts",
+  purchase: "purchases",
+};
+
+const ALL_QUERIES = ""; // EngagementStat row holding a product's totals
+const SALES_WINDOW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// CTR smoothing: behaves as if every product had PRIOR_IMPRESSIONS
+// impressions at PRIOR_CTR before real data arrives
+const PRIOR_CTR = 0.05;
+const PRIOR_IMPRESSIONS = 20;
+// Smoothed CTR at or above this maps to a full score of 1
+const TARGET_CTR = 0.25;
+// Product-wide CTR counts for less than CTR on this exact query
+const PRODUCT_CTR_DISCOUNT = 0.5;
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+/** Events share stats with searches that normalise to the same text */
+const queryKey = (query) => (query ? parseQuery(query).normalised : ALL_QUERIES);
+
+const smoothedCtr = (row) =>
+  ((row?.clicks || 0) + PRIOR_CTR * PRIOR_IMPRESSIONS) /
+  ((row?.impressions || 0) + PRIOR_IMPRESSIONS);
+
+const withCtr = (row) => ({
+  query: row.query,
+  productId: row.productId,
+  impressions: row.impressions,
+  clicks: row.clicks,
+  addToCarts: row.addToCarts,
+  purchases: row.purchases,
+  ctr: row.impressions ? +(row.clicks / row.impressions).toFixed(4) : 0,
+  addToCartRate: row.clicks ? +(row.addToCarts / row.clicks).toFixed(4) : 0,
+  conversionRate: row.clicks ? +(row.purchases / row.clicks).toFixed(4) : 0,
+});
+
+const sumRows = (rows) =>
+  rows.reduce(
+    (acc, r) => ({
+      impressions: acc.impressions + r.impressions,
+      clicks: acc.clicks + r.clicks,
+      addToCarts: acc.addToCarts + r.addToCarts,
+      purchases: acc.purchases + r.purchases,
+    }),
+    { impressions: 0, clicks: 0, addToCarts: 0, purchases: 0 }
+  );
+
+/** Collapses a batch into counter increments keyed by "query|productId" */
+function toIncrements(events) {
+  const incs = new Map();
+  const bump = (query, productId, field, n) => {
+    const key = `${query}|${productId}`;
+    const row = incs.get(key) || { query, productId, inc: {} };
+    row.inc[field] = (row.inc[field] || 0) + n;
+    incs.set(key, row);
+  };
+  for (const e of events) {
+    const field = COUNTER_FIELD[e.type];
+    const n = e.type === "purchase" ? e.quantity : 1;
+    bump(ALL_QUERIES, e.productId, field, n);
+    if (e.query) bump(e.query, e.productId, field, n);
+  }
+  return [...incs.values()];
+}
+
+// ──────────────────────────────────────────────
+// Sales velocity (rolling 30-day window)
+// ──────────────────────────────────────────────
+async function purchasedUnitsSince(since, productIds = null) {
+  if (useDB()) {
+    const match = { type: "purchase", createdAt: { $gte: since } };
+    if (productIds) match.productId = { $in: productIds };
+    const rows = await ProductEvent.aggregate([
+      { $match: match },
+      { $group: { _id: "$productId", units: { $sum: "$quantity" } } },
+    ]);
+    return new Map(rows.map((r) => [r._id, r.units]));
+  }
+  return eventStore.purchasedUnitsSince(since);
+}
+
+/**
+ * Recomputes trackedSalesVelocity for the given products (default: every
+ * product that has ever had a recorded purchase). Products with no purchases
+ * in the window drop to 0. Returns the number of products updated.
+ */
+async function refreshSalesVelocity(productIds = null) {
+  const ids =
+    productIds ||
+    (useDB()
+      ? await ProductEvent.distinct("productId", { type: "purchase" })
+      : eventStore.purchasedProductIds());
+  const since = new Date(Date.now() - SALES_WINDOW_DAYS * DAY_MS);
+  const units = await purchasedUnitsSince(since, ids);
+
+  let updated = 0;
+  for (const id of ids) {
+    const product = await productService.getProductById(id);
+    const trackedSalesVelocity = units.get(id) || 0;
+    if (product && (product.trackedSalesVelocity || 0) !== trackedSalesVelocity) {
+      await productService.setCounters(id, { trackedSalesVelocity });
+      updated++;
+    }
+  }
+  return updated;
+}
+
+// ──────────────────────────────────────────────
+// Public: record events
+// ──────────────────────────────────────────────
+/**
+ * @param {{ type: string, productId: string, query?: string, position?: number,
+ *           quantity?: number, sessionId?: string }[]} rawEvents - validated events
+ * @returns {Promise<{ recorded: number, unknownProductIds: string[] }>}
+ */
+async function recordEvents(rawEvents) {
+  const events = rawEvents.map((e) => ({
+    ...e,
+    productId: String(e.productId),
+    query: queryKey(e.query),
+    quantity: e.quantity || 1,
+  }));
+
+  // Reject the whole batch if it references products we do not know
+  const productIds = [...new Set(events.map((e) => e.productId))];
+  const existing = await Promise.all(productIds.map((id) => productService.getProductById(id)));
+  const unknownProductIds = productIds.filter((_, i) => !existing[i]);
+  if (unknownProductIds.length) return { recorded: 0, unknownProductIds };
+
+  // 1. Raw events + counters
+  const increments = toIncrements(events);
+  if (useDB()) {
+    await ProductEvent.insertMany(events);
+    await EngagementStat.bulkWrite(
+      increments.map(({ query, productId, inc }) => ({
+        updateOne: {
+          filter: { query, productId },
+          update: { $inc: inc },
+          upsert: true,
+        },
+      }))
+    );
+  } else {
+    eventStore.addEvents(events);
+    increments.forEach(({ query, productId, inc }) =>
+      eventStore.incrementStat(query, productId, inc)
+    );
+  }
+
+  // 2. Product signals
+  const catalogIncs = new Map();
+  for (const e of events) {
+    const inc = catalogIncs.get(e.productId) || {};
+    if (e.type === "click") inc.viewCount = (inc.viewCount || 0) + 1;
+    if (e.type === "purchase") inc.unitsSold = (inc.unitsSold || 0) + e.quantity;
+    catalogIncs.set(e.productId, inc);
+  }
+  for (const [productId, inc] of catalogIncs) {
+    if (Object.keys(inc).length) await productService.incrementCounters(productId, inc);
+  }
+
+  const purchased = [...catalogIncs].filter(([, inc]) => inc.unitsSold).map(([id]) => id);
+  if (purchased.length) await refreshSalesVelocity(purchased);
+
+  return { recorded: events.length, unknownProductIds: [] };
+}
+
+// ──────────────────────────────────────────────
+// Public: CTR for ranking
+// ──────────────────────────────────────────────
+/**
+ * Smoothed CTR score in [0, 1] per candidate for a query.
+ * Uses CTR on this exact query when available, else the product's overall
+ * CTR at a discount. Products with no data score at the prior.
+ *
+ * @param {string}   normalisedQuery - parsedQuery.normalised
+ * @param {string[]} productIds
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getCtrScores(normalisedQuery, productIds) {
+  const ids = productIds.map(String);
+  let queryRows;
+  let totalRows;
+  if (useDB()) {
+    const rows = await EngagementStat.find({
+      productId: { $in: ids },
+      query: { $in: [normalisedQuery || ALL_QUERIES, ALL_QUERIES] },
+    }).lean();
+    queryRows = normalisedQuery ? rows.filter((r) => r.query === normalisedQuery) : [];
+    totalRows = rows.filter((r) => r.query === ALL_QUERIES);
+  } else {
+    queryRows = normalisedQuery ? eventStore.statsForQuery(normalisedQuery, ids) : [];
+    totalRows = eventStore.statsForQuery(ALL_QUERIES, ids);
+  }
+
+  const byId = (rows) => new Map(rows.map((r) => [r.productId, r]));
+  const perQuery = byId(queryRows);
+  const perProduct = byId(totalRows);
+  const toScore = (ctr) => Math.max(0, Math.min(1, ctr / TARGET_CTR));
+
+  return new Map(
+    ids.map((id) => {
+      if (perQuery.get(id)?.impressions) return [id, toScore(smoothedCtr(perQuery.get(id)))];
+      if (perProduct.get(id)?.impressions) {
+        const prior = smoothedCtr(null);
+        const ctr = prior + (smoothedCtr(perProduct.get(id)) - prior) * PRODUCT_CTR_DISCOUNT;
+        return [id, toScore(ctr)];
+      }
+      return [id, toScore(smoothedCtr(null))];
+    })
+  );
+}
+
+// ──────────────────────────────────────────────
+// Public: CTR reports
+// ──────────────────────────────────────────────
+/** Per-product engagement for one query, highest CTR first */
+async function getQueryStats(query, { limit = 20 } = {}) {
+  const key = queryKey(query);
+  const rows = useDB()
+    ? await EngagementStat.find({ query: key }).lean()
+    : eventStore.statsForQuery(key);
+  const products = rows
+    .map(withCtr)
+    .sort((a, b) => b.ctr - a.ctr || b.clicks - a.clicks)
+    .slice(0, limit);
+  return { query: key, totals: withCtr({ query: key, ...sumRows(rows) }), products };
+}
+
+/** A product's overall engagement plus its best-performing queries */
+async function getProductStats(productId, { limit = 20 } = {}) {
+  const id = String(productId);
+  const rows = useDB()
+    ? await EngagementStat.find({ productId: id }).lean()
+    : eventStore.statsForProduct(id);
+  const total = rows.find((r) => r.query === ALL_QUERIES);
+  const queries = rows
+    .filter((r) => r.query !== ALL_QUERIES)
+    .map(withCtr)
+    .sort((a, b) => b.clicks - a.clicks || b.ctr - a.ctr)
+    .slice(0, limit);
+  return {
+    productId: id,
+    totals: withCtr(total || { query: ALL_QUERIES, productId: id, ...sumRows([]) }),
+    queries,
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordEvents,
+  refreshSalesVelocity,
+  getCtrScores,
+  getQueryStats,
+  getProductStats,
+};
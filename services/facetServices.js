@@ -0,0 +1,136 @@
+/**
+ * FacetService
+ * ────────────
+ * Computes filter-sidebar facet counts over a ranked candidate set.
+ *
+ * Facets are computed after ranking, on the same candidate list in both
+ * MongoDB and in-memory mode, so counts always agree with the results
+ * the user can page through.
+ *
+ * Supported facets:
+ *  - brand, category, color, fulfillmentType  (top-level product fields)
+ *  - price                                     (fixed INR buckets, on the unit
+ *                                               price at ?qty= when given)
+ *  - any other name                            (treated as a metadata key)
+ *
+ * Metadata stored as a number under an attribute schema is shown with its
+ * unit ("8GB"), the same text older products store and filters accept.
+ */
+
+const { formatAttributeValue } = require("./attributeSchemaServices");
+
+// ──────────────────────────────────────────────
+// Constants
+// ──────────────────────────────────────────────
+const FIELD_FACETS = ["brand", "category", "color", "fulfillmentType"];
+
+const DEFAULT_FACETS = [...FIELD_FACETS, "price", "ram", "storage", "os"];
+
+// Upper bound is exclusive; `to: null` means open-ended
+const PRICE_BUCKETS = [
+  { key: "0-10000", from: 0, to: 10000 },
+  { key: "10000-20000", from: 10000, to: 20000 },
+  { key: "20000-30000", from: 20000, to: 30000 },
+  { key: "30000-50000", from: 30000, to: 50000 },
+  { key: "50000-80000", from: 50000, to: 80000 },
+  { key: "80000+", from: 80000, to: null },
+];
+
+const MAX_FACET_VALUES = parseInt(process.env.MAX_FACET_VALUES || "20", 10);
+const FACET_NAME_PATTERN = /^[A-Za-z0-9_]+$/;
+// "__proto__", "constructor", "toString", ... would read through to Object.prototype
+const RESERVED_FACET_NAMES = new Set(Object.getOwnPropertyNames(Object.prototype));
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+const metaValue = (product, key) => {
+  const meta = product.metadata;
+  if (!meta) return undefined;
+  if (typeof meta.get === "function") return meta.get(key);
+  return Object.prototype.hasOwnProperty.call(meta, key) ? meta[key] : undefined;
+};
+
+/** The price the search filtered and sorted on: the unit price at ?qty= if given */
+const effectivePrice = (product) =>
+  product.quantityPricing ? product.quantityPricing.unitPrice : product.price || 0;
+
+/** Counts distinct values, most frequent first (ties alphabetical) */
+function countValues(products, getValue) {
+  const counts = new Map();
+  for (const p of products) {
+    const raw = getValue(p);
+    if (raw === undefined || raw === null || raw === "") continue;
+    const value = String(raw);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, MAX_FACET_VALUES);
+}
+
+function countPriceBuckets(products) {
+  return PRICE_BUCKETS.map((bucket) => ({
+    ...bucket,
+    count: products.filter((p) => {
+      const price = effectivePrice(p);
+      return price >= bucket.from && (bucket.to === null || price < bucket.to);
+    }).length,
+  }));
+}
+
+// ──────────────────────────────────────────────
+// Public: parse the ?facets= query parameter
+// ──────────────────────────────────────────────
+/**
+ * "brand,price,ram" → ["brand", "price", "ram"]
+ * Missing param → DEFAULT_FACETS. Empty string or "none" → [].
+ * Names that are not plain identifiers, or are Object.prototype keys, are dropped.
+ *
+ * @param {string|undefined} param
+ * @returns {string[]}
+ */
+function parseFacetParam(param) {
+  if (param === undefined) return DEFAULT_FACETS;
+  const value = String(param).trim();
+  if (!value || value === "none") return [];
+  return [
+    ...new Set(
+      value
+        .split(",")
+        .map((f) => f.trim())
+        .filter((f) => FACET_NAME_PATTERN.test(f) && !RESERVED_FACET_NAMES.has(f))
+    ),
+  ];
+}
+
+// ──────────────────────────────────────────────
+// Public: compute facet counts
+// ──────────────────────────────────────────────
+/**
+ * @param {Object[]} products - full ranked candidate set (not just one page)
+ * @param {string[]} facetNames - output of parseFacetParam()
+ * @param {Map} [attributeSchemas] - AttributeSchemaService.getAttributeSchemas()
+ * @returns {Object<string, Object[]>} facet name → [{ value, count }] or price buckets
+ */
+function computeFacets(products, facetNames = DEFAULT_FACETS, attributeSchemas) {
+  const facets = {};
+  for (const name of facetNames) {
+    if (name === "price") {
+      facets.price = countPriceBuckets(products);
+    } else if (FIELD_FACETS.includes(name)) {
+      facets[name] = countValues(products, (p) => p[name]);
+    } else {
+      facets[name] = countValues(products, (p) => {
+        const value = metaValue(p, name);
+        return typeof value === "number"
+          ? formatAttributeValue(attributeSchemas, p.category, name, value)
+          : value;
+      });
+    }
+  }
+  return facets;
+}
+
+module.exports = { computeFacets, parseFacetParam, DEFAULT_FACETS, PRICE_BUCKETS };
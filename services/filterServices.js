@@ -0,0 +1,309 @@
+/**
+ * FilterService
+ * ─────────────
+ * Explicit search filters (brand, price, rating, stock, metadata attributes…)
+ * supplied as query params. These are hard filters: they are applied in
+ * both retrieval paths and take precedence over anything parseQuery()
+ * inferred from the free-text query.
+ *
+ * Normalised filter shape (every key optional):
+ *  {
+ *    brand:           string[],
+ *    color:           string[],
+ *    fulfillmentType: string[],
+ *    minPrice:        number,
+ *    maxPrice:        number,
+ *    minRating:       number,
+ *    inStock:         boolean,
+ *    attributes:      { [metadataKey]: string[] }
+ *  }
+ *
+ * List values match case-insensitively and exactly (any value in the list).
+ *
+ * Attribute values also match metadata stored as numbers under a category's
+ * attribute schema: attr.ram=8GB matches both "8GB" and 8.
+ *
+ * Numeric thresholds parsed from the query text ("4+ stars", "at least
+ * 5000mah") arrive as parsedQuery.numericFilters and are applied in both
+ * retrieval paths too.
+ *
+ * Functions that look at metadata take the compiled attribute schemas
+ * (AttributeSchemaService.getAttributeSchemas()) to know each number's unit.
+ */
+
+const { UNITS, parseQuantity } = require("../utils/units");
+const { attributeDef } = require("./attributeSchemaServices");
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const exactRegex = (v) => new RegExp(`^${escapeRegex(v)}$`, "i");
+
+const equalsAny = (value, list) => {
+  const v = String(value ?? "").toLowerCase();
+  return list.some((item) => String(item).toLowerCase() === v);
+};
+
+const metaValue = (product, key) => {
+  const meta = product.metadata;
+  if (!meta) return undefined;
+  return typeof meta.get === "function" ? meta.get(key) : meta[key];
+};
+
+const hasPriceFilter = (filters) =>
+  filters.minPrice !== undefined || filters.maxPrice !== undefined;
+
+// ──────────────────────────────────────────────
+// Numeric specs (parsedQuery.numericFilters)
+// ──────────────────────────────────────────────
+/**
+ * Where each spec lives and its unit (see utils/units). Metadata written
+ * under an attribute schema holds plain numbers in the schema's unit;
+ * older metadata holds text ("5000mAh", "6.1 inches") with the unit
+ * written out.
+ */
+const NUMERIC_SPECS = {
+  rating: { field: "rating" },
+  ram: { metadataKeys: ["ram"], unit: "GB" },
+  storage: { metadataKeys: ["storage"], unit: "GB" },
+  battery: { metadataKeys: ["battery"], unit: "mAh" },
+  screenSize: { metadataKeys: ["screenSize", "displaySize"], unit: "inches" },
+};
+
+// Captures (number, unit spelling) in text values
+Object.values(NUMERIC_SPECS)
+  .filter((spec) => spec.unit)
+  .forEach((spec) => {
+    const spellings = Object.keys(UNITS[spec.unit].aliases)
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegex);
+    spec.pattern = new RegExp(`(\\d+(?:\\.\\d+)?)\\s*(${spellings.join("|")})(?![a-z])`, "i");
+  });
+
+const RANGE_OPERATORS = ["gt", "gte", "lt", "lte"];
+
+const inRange = (value, range) =>
+  value !== null &&
+  value !== undefined &&
+  (range.gt === undefined || value > range.gt) &&
+  (range.gte === undefined || value >= range.gte) &&
+  (range.lt === undefined || value < range.lt) &&
+  (range.lte === undefined || value <= range.lte);
+
+const toMongoRange = (range) =>
+  Object.fromEntries(
+    RANGE_OPERATORS.filter((op) => range[op] !== undefined).map((op) => [`$${op}`, range[op]])
+  );
+
+/** Categories whose schema stores `key` as a number in `unit` */
+const categoriesWithUnit = (attributeSchemas = new Map(), key, unit) =>
+  [...attributeSchemas.values()]
+    .filter((schema) => schema.attributes.get(key)?.unit === unit)
+    .map((schema) => schema.category);
+
+/** Spec value in its unit, or null if the product does not state it */
+function specValue(product, spec, attributeSchemas) {
+  if (spec.field) return product[spec.field] ?? null;
+  for (const key of spec.metadataKeys) {
+    const value = metaValue(product, key);
+    if (typeof value === "number") {
+      if (attributeDef(attributeSchemas, product.category, key)?.unit === spec.unit) return value;
+      continue;
+    }
+    const match = spec.pattern.exec(String(value ?? ""));
+    if (match) return parseFloat(match[1]) * UNITS[spec.unit].aliases[match[2].toLowerCase()];
+  }
+  return null;
+}
+
+/** Aggregation expression: does text in metadata.<key> state a number in range? (MongoDB 4.2+) */
+function textRangeExpr(key, spec, range) {
+  const captures = "$$spec.captures";
+  const value = {
+    $multiply: [
+      { $toDouble: { $arrayElemAt: [captures, 0] } },
+      {
+        $switch: {
+          branches: Object.entries(UNITS[spec.unit].aliases).map(([spelling, factor]) => ({
+            case: { $eq: [{ $toLower: { $arrayElemAt: [captures, 1] } }, spelling] },
+            then: factor,
+          })),
+          default: 1,
+        },
+      },
+    ],
+  };
+  return {
+    $let: {
+      vars: {
+        spec: {
+          $regexFind: {
+            input: { $toString: `$metadata.${key}` },
+            regex: spec.pattern.source,
+            options: "i",
+          },
+        },
+      },
+      in: {
+        $and: [
+          { $ne: ["$$spec", null] },
+          ...RANGE_OPERATORS.filter((op) => range[op] !== undefined).map((op) => ({
+            [`$${op}`]: [value, range[op]],
+          })),
+        ],
+      },
+    },
+  };
+}
+
+/** Canonical numbers an attribute filter value stands for ("8GB" → [8]) */
+function attributeNumbers(attributeSchemas = new Map(), key, values) {
+  const units = new Set();
+  attributeSchemas.forEach((schema) => {
+    const def = schema.attributes.get(key);
+    if (def?.type === "number") units.add(def.unit);
+  });
+  const numbers = values.flatMap((v) => [...units].map((unit) => parseQuantity(v, unit)));
+  return [...new Set(numbers.filter((n) => n !== null))];
+}
+
+// ──────────────────────────────────────────────
+// Public: merge explicit filters into the parsed query
+// ──────────────────────────────────────────────
+/**
+ * Explicit filters override the parser's inferred entities so that ranking
+ * (intent bonus, price-range bonus) agrees with the hard filters.
+ * Price is applied through parsedQuery.minPrice/maxPrice, which both
+ * retrieval paths already honour.
+ *
+ * @param {Object} parsedQuery - output of queryParser.parseQuery()
+ * @param {Object} filters     - normalised filter object
+ * @returns {Object} a new parsedQuery
+ */
+function applyFilterOverrides(parsedQuery, filters = {}) {
+  const merged = { ...parsedQuery };
+
+  if (hasPriceFilter(filters)) {
+    merged.minPrice = filters.minPrice ?? null;
+    merged.maxPrice = filters.maxPrice ?? null;
+    merged.priceExplicit = true;
+  }
+  if (filters.brand) {
+    merged.brand = filters.brand.length === 1 ? filters.brand[0] : null;
+  }
+  if (filters.color) {
+    merged.color = filters.color.length === 1 ? filters.color[0].toLowerCase() : null;
+  }
+
+  // An explicit rating or attribute filter replaces the parsed threshold
+  const numericFilters = { ...(parsedQuery.numericFilters || {}) };
+  if (filters.minRating !== undefined) delete numericFilters.rating;
+  Object.entries(NUMERIC_SPECS).forEach(([name, spec]) => {
+    if ((spec.metadataKeys || []).some((key) => filters.attributes?.[key])) {
+      delete numericFilters[name];
+    }
+  });
+  merged.numericFilters = numericFilters;
+
+  return merged;
+}
+
+// ──────────────────────────────────────────────
+// Public: MongoDB filter fragment
+// ──────────────────────────────────────────────
+/**
+ * Builds the non-price part of the Mongo filter. Keys returned here should
+ * replace any parser-derived keys of the same name.
+ */
+function toMongoFilter(filters = {}, attributeSchemas) {
+  const filter = {};
+
+  if (filters.brand) filter.brand = { $in: filters.brand.map(exactRegex) };
+  if (filters.color) filter.color = { $in: filters.color.map(exactRegex) };
+  if (filters.fulfillmentType) filter.fulfillmentType = { $in: filters.fulfillmentType };
+  if (filters.minRating !== undefined) filter.rating = { $gte: filters.minRating };
+  if (filters.inStock === true) filter.stock = { $gt: 0 };
+  if (filters.inStock === false) filter.stock = 0;
+
+  Object.entries(filters.attributes || {}).forEach(([key, values]) => {
+    filter[`metadata.${key}`] = {
+      $in: [...values.map(exactRegex), ...attributeNumbers(attributeSchemas, key, values)],
+    };
+  });
+
+  return filter;
+}
+
+/**
+ * Mongo filter for parsedQuery.numericFilters. Explicit filters (toMongoFilter)
+ * should be applied after this so they win on shared keys. Metadata specs
+ * go under $and, so callers may still add a top-level $or.
+ */
+function toMongoNumericFilter(numericFilters = {}, attributeSchemas) {
+  const filter = {};
+  const clauses = [];
+
+  Object.entries(numericFilters).forEach(([name, range]) => {
+    const spec = NUMERIC_SPECS[name];
+    if (!spec) return;
+    if (spec.field) {
+      filter[spec.field] = toMongoRange(range);
+      return;
+    }
+    const alternatives = spec.metadataKeys.flatMap((key) => {
+      const categories = categoriesWithUnit(attributeSchemas, key, spec.unit);
+      return [
+        ...(categories.length
+          ? [{ category: { $in: categories }, [`metadata.${key}`]: toMongoRange(range) }]
+          : []),
+        { $expr: textRangeExpr(key, spec, range) },
+      ];
+    });
+    clauses.push({ $or: alternatives });
+  });
+
+  if (clauses.length) filter.$and = clauses;
+  return filter;
+}
+
+// ──────────────────────────────────────────────
+// Public: in-memory predicate
+// ──────────────────────────────────────────────
+/** Mirrors toMongoFilter() for plain product objects */
+function matchesFilters(product, filters = {}, attributeSchemas) {
+  if (filters.brand && !equalsAny(product.brand, filters.brand)) return false;
+  if (filters.color && !equalsAny(product.color, filters.color)) return false;
+  if (filters.fulfillmentType && !filters.fulfillmentType.includes(product.fulfillmentType)) {
+    return false;
+  }
+  if (filters.minRating !== undefined && (product.rating || 0) < filters.minRating) return false;
+  if (filters.inStock === true && !(product.stock > 0)) return false;
+  if (filters.inStock === false && product.stock > 0) return false;
+
+  for (const [key, values] of Object.entries(filters.attributes || {})) {
+    const value = metaValue(product, key);
+    const matches =
+      typeof value === "number"
+        ? attributeNumbers(attributeSchemas, key, values).includes(value)
+        : equalsAny(value, values);
+    if (!matches) return false;
+  }
+  return true;
+}
+
+/** Mirrors toMongoNumericFilter() for plain product objects */
+function matchesNumericFilters(product, numericFilters = {}, attributeSchemas) {
+  return Object.entries(numericFilters).every(([name, range]) => {
+    const spec = NUMERIC_SPECS[name];
+    return !spec || inRange(specValue(product, spec, attributeSchemas), range);
+  });
+}
+
+module.exports = {
+  applyFilterOverrides,
+  toMongoFilter,
+  toMongoNumericFilter,
+  matchesFilters,
+  matchesNumericFilters,
+};
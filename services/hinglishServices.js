@@ -0,0 +1,121 @@
+/**
+ * HinglishService
+ * ───────────────
+ * Admin operations on the query parser's Hinglish / regional dictionary.
+ *
+ * Every edit writes a new version file (see utils/hinglishDictionary.js)
+ * and activates it in this process straight away. Other processes pick it
+ * up on restart or through POST /api/v1/admin/hinglish/reload.
+ *
+ * Activating a dictionary also drops state derived from it: typeahead
+ * vocabulary, spell-correction dictionary and cached search responses.
+ */
+
+const dictionaryFiles = require("../utils/hinglishDictionary");
+const { setHinglishDictionary } = require("../utils/queryParser");
+const { invalidateSuggestions } = require("./suggestServices");
+const { invalidateSpellDictionary } = require("./spellCorrectServices");
+const { invalidateSearchCache } = require("./searchCacheServices");
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+const httpError = (statusCode, message, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+};
+
+const summarise = ({ entries, ...meta }) => ({
+  ...meta,
+  entryCount: Object.keys(entries || {}).length,
+});
+
+let active = dictionaryFiles.readLatest();
+
+function activate(doc) {
+  setHinglishDictionary(doc.entries);
+  active = doc;
+  invalidateSuggestions();
+  invalidateSpellDictionary();
+  invalidateSearchCache();
+  return getActiveDictionary();
+}
+
+// ──────────────────────────────────────────────
+// Reads
+// ──────────────────────────────────────────────
+/** The dictionary this process is parsing queries with */
+function getActiveDictionary() {
+  return { ...summarise(active), entries: active.entries };
+}
+
+/** Every version on disk, newest first */
+function listVersions() {
+  return dictionaryFiles
+    .listVersionNumbers()
+    .reverse()
+    .map((version) => dictionaryFiles.readVersion(version))
+    .filter(Boolean)
+    .map((doc) => ({ ...summarise(doc), active: doc.version === active.version }));
+}
+
+/** One version with its entries, or null */
+function getVersion(version) {
+  const doc = dictionaryFiles.readVersion(version);
+  return doc ? { ...doc, active: doc.version === active.version } : null;
+}
+
+// ──────────────────────────────────────────────
+// Writes (each creates a new version)
+// ──────────────────────────────────────────────
+/**
+ * @param {{ entries: Object<string, string>, note?: string }} data - full replacement
+ * @param {{ actor: string }} opts
+ */
+function replaceEntries({ entries, note }, { actor }) {
+  return activate(dictionaryFiles.writeNextVersion({ entries, author: actor, note }));
+}
+
+/**
+ * Adds/overwrites `set` and deletes `remove` from the active dictionary.
+ * @param {{ set?: Object<string, string>, remove?: string[], note?: string }} data
+ * @param {{ actor: string }} opts
+ */
+function updateEntries({ set = {}, remove = [], note }, { actor }) {
+  const unknown = remove.filter((key) => !(key in active.entries));
+  if (unknown.length) throw httpError(404, "Unknown dictionary entries", unknown);
+
+  const entries = { ...active.entries, ...set };
+  remove.forEach((key) => delete entries[key]);
+  return activate(dictionaryFiles.writeNextVersion({ entries, author: actor, note }));
+}
+
+/** Re-publishes an earlier version's entries as the newest version */
+function rollbackTo(version, { note, actor }) {
+  const doc = dictionaryFiles.readVersion(version);
+  if (!doc) throw httpError(404, `Hinglish dictionary v${version} not found`);
+  return activate(
+    dictionaryFiles.writeNextVersion({
+      entries: doc.entries,
+      author: actor,
+      note: note || `Rollback to v${version}`,
+    })
+  );
+}
+
+/** Activates the newest version on disk (e.g. written by another process) */
+function reloadDictionary() {
+  return activate(dictionaryFiles.readLatest());
+}
+
+module.exports = {
+  getActiveDictionary,
+  listVersions,
+  getVersion,
+  replaceEntries,
+  updateEntries,
+  rollbackTo,
+  reloadDictionary,
+};
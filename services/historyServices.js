@@ -0,0 +1,142 @@
+/**
+ * HistoryService
+ * ──────────────
+ * Audit trail for catalog mutations: who changed which fields of a
+ * product, from what, to what, and when.
+ *
+ * ProductService records an entry after every create, update, metadata
+ * merge, soft delete, restore and purge. Engagement counters bumped by the events pipeline
+ * (viewCount, unitsSold) are not audited — they change on every click.
+ *
+ * Transparently uses MongoDB when connected, or the in-memory history store.
+ */
+
+const ProductHistory = require("../models/ProductHistory");
+const historyStore = require("../store/historyStore");
+
+const useDB = () => process.env.USE_IN_MEMORY !== "true";
+
+const SYSTEM_ACTOR = "system";
+
+// Bookkeeping fields that change on every write or are derived on read
+const IGNORED_FIELDS = new Set(["_id", "id", "__v", "createdAt", "updatedAt", "computedDiscount"]);
+
+// ──────────────────────────────────────────────
+// Diffing
+// ──────────────────────────────────────────────
+/** Plain JSON value (Dates → ISO strings, ObjectIds → strings); undefined → null */
+const normalise = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const isEmpty = (value) =>
+  value === null || value === "" || (Array.isArray(value) && value.length === 0);
+
+/** Flattens a product into { field: value }, metadata as "metadata.<key>" */
+function flatten(product) {
+  if (!product) return {};
+  const flat = {};
+  Object.entries(product).forEach(([field, value]) => {
+    if (IGNORED_FIELDS.has(field)) return;
+    if (field === "metadata") {
+      const metadata = value instanceof Map ? Object.fromEntries(value) : value || {};
+      Object.entries(metadata).forEach(([k, v]) => {
+        flat[`metadata.${k}`] = normalise(v);
+      });
+    } else {
+      flat[field] = normalise(value);
+    }
+  });
+  return flat;
+}
+
+/**
+ * Field-level diff between two versions of a product.
+ * Either side may be null (create / hard delete).
+ * @returns {{ field: string, from: *, to: * }[]}
+ */
+function diffProducts(before, after) {
+  const a = flatten(before);
+  const b = flatten(after);
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+  return fields
+    .map((field) => ({ field, from: a[field] ?? null, to: b[field] ?? null }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to))
+    .filter(({ from, to }) => !(isEmpty(from) && isEmpty(to)));
+}
+
+// ──────────────────────────────────────────────
+// Write path
+// ──────────────────────────────────────────────
+/**
+ * Records one history entry per { action, before, after } whose diff is
+ * non-empty. Never throws — a failed audit write must not undo or fail
+ * the catalog write it describes.
+ *
+ * @param {{ action: "create"|"update"|"metadata"|"delete"|"restore"|"purge",
+ *           before: Object|null, after: Object|null }[]} changes
+ * @param {string} [actor]
+ */
+async function recordChanges(changes, actor = SYSTEM_ACTOR) {
+  const entries = changes
+    .map(({ action, before, after }) => ({
+      productId: String((after || before)._id || (after || before).id),
+      action,
+      actor: actor || SYSTEM_ACTOR,
+      changes: diffProducts(before, after),
+    }))
+    .filter((e) => e.changes.length > 0);
+  if (entries.length === 0) return;
+
+  try {
+    if (useDB()) await ProductHistory.insertMany(entries);
+    else historyStore.add(entries);
+  } catch (err) {
+    console.warn(`⚠️   Failed to record product history: ${err.message}`);
+  }
+}
+
+/** Single-change shorthand for recordChanges */
+const recordChange = (action, before, after, actor) =>
+  recordChanges([{ action, before, after }], actor);
+
+// ──────────────────────────────────────────────
+// Read path
+// ──────────────────────────────────────────────
+/**
+ * A product's history, newest first.
+ * @param {string} productId
+ * @param {{ page?: number, limit?: number, field?: string }} opts
+ *        field — only entries that touched this field (e.g. "price", "metadata.ram")
+ */
+async function getHistory(productId, { page = 1, limit = 50, field } = {}) {
+  const id = String(productId);
+  const skip = (page - 1) * limit;
+  let entries;
+  let total;
+
+  if (useDB()) {
+    const filter = { productId: id };
+    if (field) filter["changes.field"] = field;
+    [entries, total] = await Promise.all([
+      ProductHistory.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+      ProductHistory.countDocuments(filter),
+    ]);
+  } else {
+    const all = historyStore
+      .forProduct(id)
+      .filter((e) => !field || e.changes.some((c) => c.field === field));
+    total = all.length;
+    entries = all.slice(skip, skip + limit);
+  }
+
+  return {
+    productId: id,
+    entries: entries.map(({ _id, __v, ...e }) => ({
+      ...e,
+      // With a field filter, show just that field's change
+      changes: field ? e.changes.filter((c) => c.field === field) : e.changes,
+    })),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+module.exports = { SYSTEM_ACTOR, diffProducts, recordChange, recordChanges, getHistory };
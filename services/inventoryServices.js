@@ -0,0 +1,137 @@
+/**
+ * InventoryService
+ * ────────────────
+ * Stock per warehouse (Product.inventory) and what it means for a given
+ * pincode: whether the product can be delivered there, from which
+ * warehouses and how fast.
+ *
+ * A product is available at a pincode when a warehouse serving that
+ * pincode (see WarehouseService) holds stock of it; its delivery estimate
+ * is the fastest such warehouse's. Products without warehouse inventory
+ * are not available at any pincode.
+ *
+ * Inventory writes go through ProductService, so they are audited and
+ * reach the search index. They also set the product's `stock` to the
+ * total across warehouses, except on products with seller offers, whose
+ * stock follows the buy box (see OfferService).
+ */
+
+const productService = require("./productServices");
+const warehouseService = require("./warehouseServices");
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+const httpError = (statusCode, message, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+};
+
+const normaliseCode = (code) => String(code).trim().toUpperCase();
+
+/** Throws 400 naming every warehouse code that does not exist */
+async function assertWarehousesExist(codes) {
+  const known = new Set((await warehouseService.listWarehouses()).map((w) => w.code));
+  const unknown = codes.filter((c) => !known.has(c));
+  if (unknown.length) throw httpError(400, "Unknown warehouse codes", unknown);
+}
+
+async function saveInventory(product, inventory, actor) {
+  const updates = { inventory };
+  if (!product.offers?.length) updates.stock = inventory.reduce((sum, i) => sum + i.stock, 0);
+  return productService.updateProduct(product._id || product.id, updates, { actor });
+}
+
+// ──────────────────────────────────────────────
+// Public: availability
+// ──────────────────────────────────────────────
+/**
+ * Where a product can be delivered from, given getServiceability() for a
+ * pincode. Pure; search calls it for every candidate.
+ *
+ * @param {Object} product
+ * @param {Map<string, Object>} serviceability - warehouse code → { deliveryDays, ... }
+ * @returns {{ serviceable: boolean, deliveryDays: number|null, stock: number,
+ *             warehouses: Object[] }} warehouses: those in stock that serve
+ *          the pincode, fastest first
+ */
+function availabilityFor(product, serviceability) {
+  const warehouses = (product.inventory || [])
+    .filter((i) => i.stock > 0 && serviceability.has(i.warehouseCode))
+    .map((i) => ({ ...serviceability.get(i.warehouseCode), stock: i.stock }))
+    .sort((a, b) => a.deliveryDays - b.deliveryDays || b.stock - a.stock);
+  return {
+    serviceable: warehouses.length > 0,
+    deliveryDays: warehouses.length ? warehouses[0].deliveryDays : null,
+    stock: warehouses.reduce((sum, w) => sum + w.stock, 0),
+    warehouses,
+  };
+}
+
+/**
+ * @param {string} productId
+ * @param {string} pincode
+ * @returns {Promise<Object|null>} availabilityFor() plus the product's id and
+ *          the pincode; null if no such product
+ */
+async function getAvailability(productId, pincode) {
+  const product = await productService.getProductById(productId);
+  if (!product) return null;
+  const serviceability = await warehouseService.getServiceability(pincode);
+  return {
+    productId: String(product._id || product.id),
+    pincode,
+    ...availabilityFor(product, serviceability),
+  };
+}
+
+// ──────────────────────────────────────────────
+// Public: inventory writes
+// ──────────────────────────────────────────────
+/**
+ * Replaces a product's warehouse inventory.
+ * @param {{ warehouseCode: string, stock: number }[]} rows - one per warehouse
+ * @returns {Promise<Object|null>} the updated product, or null if no such product
+ */
+async function setInventory(productId, rows, { actor } = {}) {
+  const product = await productService.getProductById(productId);
+  if (!product) return null;
+
+  const inventory = rows.map((r) => ({
+    warehouseCode: normaliseCode(r.warehouseCode),
+    stock: r.stock,
+  }));
+  const codes = inventory.map((i) => i.warehouseCode);
+  const repeated = [...new Set(codes.filter((c, i) => codes.indexOf(c) !== i))];
+  if (repeated.length) throw httpError(400, "Each warehouse may appear once", repeated);
+  await assertWarehousesExist(codes);
+
+  return saveInventory(product, inventory, actor);
+}
+
+/**
+ * Sets a product's stock at one warehouse, keeping the others.
+ * @returns {Promise<Object|null>} the updated product, or null if no such product
+ */
+async function setWarehouseStock(productId, warehouseCode, stock, { actor } = {}) {
+  const product = await productService.getProductById(productId);
+  if (!product) return null;
+
+  const code = normaliseCode(warehouseCode);
+  await assertWarehousesExist([code]);
+  const inventory = [
+    ...(product.inventory || []).filter((i) => i.warehouseCode !== code),
+    { warehouseCode: code, stock },
+  ].sort((a, b) => a.warehouseCode.localeCompare(b.warehouseCode));
+
+  return saveInventory(product, inventory, actor);
+}
+
+module.exports = {
+  availabilityFor,
+  getAvailability,
+  setInventory,
+  setWarehouseStock,
+};
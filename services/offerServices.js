@@ -0,0 +1,212 @@
+/**
+ * OfferService
+ * ────────────
+ * Per-seller offers on a product and buy-box selection between them.
+ *
+ * Every offer change re-runs selectBuyBox() and writes the product's
+ * offers together with the winner: product.buyBox holds the winning offer
+ * and price / mrp / stock / fulfillmentType mirror it, so search filters,
+ * facets, sorting and ranking see the offer a shopper would buy. A
+ * product whose sellers are all suspended, or that loses its last offer,
+ * has no buy box and shows as out of stock.
+ *
+ * Buy box: among offers from active sellers — in-stock ones if there are
+ * any — the highest of
+ *   0.60 × (lowest price / offer price)
+ *   0.25 × seller rating / 5
+ *   0.15 × fulfillment (express 1, standard 0.6, seller_fulfilled 0.3)
+ * wins; ties go to the lower price.
+ *
+ * Offers are stored on the product (Product.offers); writes go through
+ * ProductService, so they are audited and reach the search index.
+ */
+
+const productService = require("./productServices");
+const sellerService = require("./sellerServices");
+
+const BUY_BOX_WEIGHTS = { price: 0.6, sellerRating: 0.25, fulfillment: 0.15 };
+const FULFILLMENT_SCORES = { express: 1, standard: 0.6, seller_fulfilled: 0.3 };
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+const httpError = (statusCode, message, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+};
+
+const discountOf = ({ price, mrp }) => (mrp > 0 ? Math.round(((mrp - price) / mrp) * 100) : 0);
+
+/** An offer as stored: seller fields copied from the seller, discount derived */
+const toOffer = (seller, data) => {
+  const offer = {
+    sellerId: String(seller._id),
+    sellerName: seller.name,
+    sellerRating: seller.rating || 0,
+    price: data.price,
+    mrp: data.mrp,
+    stock: data.stock ?? 0,
+    fulfillmentType: data.fulfillmentType || "seller_fulfilled",
+  };
+  return { ...offer, discountPercent: Math.max(0, discountOf(offer)) };
+};
+
+const sameOffer = (a, b) => a && b && a.sellerId === b.sellerId;
+
+// ──────────────────────────────────────────────
+// Buy box
+// ──────────────────────────────────────────────
+/**
+ * Picks the offer shown (and sold) by default.
+ * @param {Object[]} offers
+ * @param {(sellerId: string) => boolean} [isEligible] - false for suspended sellers
+ * @returns {Object|null} null if no offer may win
+ */
+function selectBuyBox(offers, isEligible = () => true) {
+  const live = offers.filter((o) => isEligible(o.sellerId));
+  if (live.length === 0) return null;
+  const inStock = live.filter((o) => o.stock > 0);
+  const pool = inStock.length ? inStock : live;
+
+  const lowest = Math.min(...pool.map((o) => o.price));
+  const score = (o) =>
+    BUY_BOX_WEIGHTS.price * (o.price > 0 ? lowest / o.price : 1) +
+    BUY_BOX_WEIGHTS.sellerRating * ((o.sellerRating || 0) / 5) +
+    BUY_BOX_WEIGHTS.fulfillment * (FULFILLMENT_SCORES[o.fulfillmentType] || 0);
+
+  return pool.reduce((best, o) => {
+    const diff = score(o) - score(best);
+    if (Math.abs(diff) > 1e-9) return diff > 0 ? o : best;
+    return o.price < best.price ? o : best;
+  });
+}
+
+/** Product updates for a new set of offers: the offers, the winner and its mirrored fields */
+async function withBuyBox(offers) {
+  const sellers = await sellerService.getSellersByIds(offers.map((o) => o.sellerId));
+  const buyBox = selectBuyBox(offers, (id) => sellers.get(id)?.isActive === true);
+  if (!buyBox) return { offers, buyBox: null, stock: 0 };
+
+  const { price, mrp, stock, fulfillmentType, discountPercent } = buyBox;
+  return { offers, buyBox, price, mrp, stock, fulfillmentType, discountPercent };
+}
+
+async function saveOffers(productId, offers, actor) {
+  return productService.updateProduct(productId, await withBuyBox(offers), { actor });
+}
+
+/** Offers with the buy box first, then cheapest first */
+const toOfferList = (product) => ({
+  productId: String(product._id || product.id),
+  buyBox: product.buyBox || null,
+  offers: (product.offers || [])
+    .map((o) => ({ ...o, isBuyBox: Boolean(sameOffer(o, product.buyBox)) }))
+    .sort((a, b) => b.isBuyBox - a.isBuyBox || a.price - b.price),
+});
+
+// ──────────────────────────────────────────────
+// Public: offers on one product
+// ──────────────────────────────────────────────
+/** @returns {Promise<Object|null>} null if no such product */
+async function listOffers(productId) {
+  const product = await productService.getProductById(productId);
+  return product ? toOfferList(product) : null;
+}
+
+/**
+ * Creates or replaces a seller's offer on a product. The first offer hands
+ * the product's price and stock over to its offers.
+ *
+ * @param {{ price: number, mrp: number, stock?: number, fulfillmentType?: string }} data
+ * @param {{ actor?: string }} [opts]
+ * @returns {Promise<{ created: boolean, offers: Object }|null>} offers: the
+ *          product's offers after the change; null if no such product.
+ *          Throws 400 for an unknown seller.
+ */
+async function putOffer(productId, sellerId, data, { actor } = {}) {
+  const product = await productService.getProductById(productId);
+  if (!product) return null;
+  const seller = await sellerService.getSeller(sellerId);
+  if (!seller) throw httpError(400, `Unknown seller ${sellerId}`);
+
+  const offer = toOffer(seller, data);
+  const current = product.offers || [];
+  const created = !current.some((o) => sameOffer(o, offer));
+  const offers = [...current.filter((o) => !sameOffer(o, offer)), offer];
+
+  const updated = await saveOffers(product._id || product.id, offers, actor);
+  return { created, offers: toOfferList(updated) };
+}
+
+/**
+ * Changes some fields of an existing offer (e.g. a stock update).
+ * @returns {Promise<Object|null>} the product's offers, or null if no such product
+ */
+async function updateOffer(productId, sellerId, updates, { actor } = {}) {
+  const product = await productService.getProductById(productId);
+  if (!product) return null;
+  const existing = (product.offers || []).find((o) => o.sellerId === String(sellerId));
+  if (!existing) throw httpError(404, `Seller ${sellerId} has no offer on product ${productId}`);
+
+  const seller = await sellerService.getSeller(sellerId);
+  const offer = toOffer(seller, { ...existing, ...updates });
+  const offers = product.offers.map((o) => (sameOffer(o, offer) ? offer : o));
+  return toOfferList(await saveOffers(product._id || product.id, offers, actor));
+}
+
+/** @returns {Promise<Object|null>} the product's remaining offers, or null if no such product */
+async function removeOffer(productId, sellerId, { actor } = {}) {
+  const product = await productService.getProductById(productId);
+  if (!product) return null;
+  const offers = (product.offers || []).filter((o) => o.sellerId !== String(sellerId));
+  if (offers.length === (product.offers || []).length) {
+    throw httpError(404, `Seller ${sellerId} has no offer on product ${productId}`);
+  }
+  return toOfferList(await saveOffers(product._id || product.id, offers, actor));
+}
+
+// ──────────────────────────────────────────────
+// Public: one seller across products
+// ──────────────────────────────────────────────
+/** Every offer the seller has, with whether it currently wins the buy box */
+async function getSellerOffers(sellerId) {
+  const products = await productService.getProductsBySeller(sellerId);
+  return products.map((p) => {
+    const offer = p.offers.find((o) => o.sellerId === String(sellerId));
+    return {
+      productId: String(p._id || p.id),
+      title: p.title,
+      isActive: p.isActive,
+      offer,
+      isBuyBox: Boolean(sameOffer(offer, p.buyBox)),
+    };
+  });
+}
+
+/**
+ * Copies a seller's current name and rating onto their offers and re-runs
+ * buy-box selection on those products (after a seller update).
+ * @returns {Promise<number>} products updated
+ */
+async function refreshSellerOffers(sellerId, { actor } = {}) {
+  const seller = await sellerService.getSeller(sellerId);
+  if (!seller) return 0;
+  const products = await productService.getProductsBySeller(seller._id);
+  for (const p of products) {
+    const offers = p.offers.map((o) => (o.sellerId === seller._id ? toOffer(seller, o) : o));
+    await saveOffers(p._id || p.id, offers, actor);
+  }
+  return products.length;
+}
+
+module.exports = {
+  selectBuyBox,
+  listOffers,
+  putOffer,
+  updateOffer,
+  removeOffer,
+  getSellerOffers,
+  refreshSellerOffers,
+};
@@ -0,0 +1,154 @@
+/**
+ * PricingService
+ * ──────────────
+ * Quantity price breaks for bulk (B2B) buyers.
+ *
+ * A product's `price` is its unit price for a single unit; Product.priceTiers
+ * lower it from a quantity up:
+ *   price 450, tiers [{ minQty: 10, price: 420 }, { minQty: 50, price: 390 }]
+ *   → 1-9 units ₹450 each, 10-49 ₹420, 50+ ₹390.
+ *
+ * Tiers are checked against the price when written (priceTierErrors). A
+ * product with seller offers takes its price from the buy box, which may
+ * later drop below a tier; the unit price is never above `price`.
+ *
+ * Search with ?qty= filters, ranks and sorts on the unit price at that
+ * quantity (see SearchService / RankingService).
+ */
+
+const MAX_TIERS = 10;
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+const discountOf = (price, mrp) =>
+  mrp > 0 ? Math.max(0, Math.round(((mrp - price) / mrp) * 100)) : 0;
+
+/** Tiers by quantity, smallest first */
+const sortTiers = (tiers = []) =>
+  [...tiers]
+    .map(({ minQty, price }) => ({ minQty, price }))
+    .sort((a, b) => a.minQty - b.minQty);
+
+// ──────────────────────────────────────────────
+// Public: validation
+// ──────────────────────────────────────────────
+/**
+ * Problems with a product's tiers, given its single-unit price. Each tier
+ * must start at a different quantity and be cheaper than the one below it.
+ *
+ * @param {{ minQty: number, price: number }[]} tiers
+ * @param {number} price - single-unit price
+ * @returns {string[]} empty if the tiers are valid
+ */
+function priceTierErrors(tiers = [], price) {
+  const errors = [];
+  if (tiers.length > MAX_TIERS) errors.push(`A product can have at most ${MAX_TIERS} price tiers`);
+
+  let previous = { minQty: 1, price };
+  sortTiers(tiers).forEach((tier) => {
+    if (tier.minQty === previous.minQty) {
+      errors.push(`More than one price tier starts at ${tier.minQty} units`);
+    } else if (tier.price >= previous.price) {
+      const below =
+        previous.minQty === 1 ? "the single-unit price" : `the price from ${previous.minQty} units`;
+      errors.push(
+        `Price tier from ${tier.minQty} units (${tier.price}) must be below ` +
+          `${below} (${previous.price})`
+      );
+    }
+    previous = tier;
+  });
+  return errors;
+}
+
+// ──────────────────────────────────────────────
+// Public: unit price at a quantity
+// ──────────────────────────────────────────────
+/**
+ * @param {Object} product
+ * @param {number} qty - units bought (1 or more)
+ * @returns {{ qty: number, unitPrice: number, discountPercent: number, tierMinQty: number }}
+ *          tierMinQty: quantity the applied tier starts at (1 for the base price)
+ */
+function unitPriceFor(product, qty) {
+  const tier = sortTiers(product.priceTiers)
+    .filter((t) => t.minQty <= qty && t.price < product.price)
+    .pop();
+  const unitPrice = tier ? tier.price : product.price;
+  return {
+    qty,
+    unitPrice,
+    discountPercent: discountOf(unitPrice, product.mrp),
+    tierMinQty: tier ? tier.minQty : 1,
+  };
+}
+
+/**
+ * unitPriceFor() as an aggregation expression: the price of the last tier
+ * (by minQty) the quantity reaches that is below `price`, else `price`
+ */
+const unitPriceExpr = (qty) => ({
+  $let: {
+    vars: {
+      tier: {
+        $reduce: {
+          input: { $ifNull: ["$priceTiers", []] },
+          initialValue: { minQty: 0, price: "$price" },
+          in: {
+            $cond: [
+              {
+                $and: [
+                  { $lte: ["$$this.minQty", qty] },
+                  { $lt: ["$$this.price", "$price"] },
+                  { $gte: ["$$this.minQty", "$$value.minQty"] },
+                ],
+              },
+              "$$this",
+              "$$value",
+            ],
+          },
+        },
+      },
+    },
+    in: "$$tier.price",
+  },
+});
+
+/**
+ * MongoDB filter clauses for a unit-price range at a quantity. The exact
+ * bounds are checked on unitPriceExpr(); the plain clauses before it narrow
+ * the candidates with indexable fields: the single-unit price or a tier the
+ * quantity reaches must be under maxPrice, and the single-unit price (never
+ * below the unit price) must be over minPrice. Returned for $and.
+ *
+ * @param {{ minPrice?: number, maxPrice?: number }} range
+ * @param {number} qty
+ * @returns {Object[]}
+ */
+function toMongoUnitPriceClauses({ minPrice, maxPrice }, qty) {
+  const clauses = [];
+  const bounds = [];
+  if (maxPrice != null) {
+    clauses.push({
+      $or: [
+        { price: { $lte: maxPrice } },
+        { priceTiers: { $elemMatch: { minQty: { $lte: qty }, price: { $lte: maxPrice } } } },
+      ],
+    });
+    bounds.push({ $lte: [unitPriceExpr(qty), maxPrice] });
+  }
+  if (minPrice != null) {
+    clauses.push({ price: { $gte: minPrice } });
+    bounds.push({ $gte: [unitPriceExpr(qty), minPrice] });
+  }
+  if (bounds.length) clauses.push({ $expr: { $and: bounds } });
+  return clauses;
+}
+
+module.exports = {
+  sortTiers,
+  priceTierErrors,
+  unitPriceFor,
+  toMongoUnitPriceClauses,
+};
@@ -4,14 +4,46 @@
  * Data-access layer for products.
  * Transparently uses MongoDB when connected, or falls back to the
  * in-memory store if the database is unavailable.
+ *
+ * Every mutation accepts `{ actor }` and is recorded in the product's
+ * change history (see HistoryService).
+ *
+ * Metadata is checked against the category's attribute schema and stored
+ * in canonical form (see AttributeSchemaService).
+ *
+ * Once a product has seller offers, its price and stock belong to the buy
+ * box and are only written through OfferService.
+ *
+ * Quantity price tiers are stored smallest quantity first and must stay
+ * below the single-unit price (see PricingService).
  */
 
+const { EventEmitter } = require("events");
 const Product = require("../models/Product");
 const inMemoryStore = require("../store/inMemoryStore");
+const { recordChange, recordChanges } = require("./historyServices");
+const { normaliseMetadata } = require("./attributeSchemaServices");
+const { sortTiers, priceTierErrors } = require("./pricingServices");
 
+// ──────────────────────────────────────────────
+// Change events
+// ──────────────────────────────────────────────
+/**
+ * Emits "change" after every catalog mutation:
+ *   { type: "create" | "update" | "counters" | "delete" | "restore" | "purge" | "bulk",
+ *     productId, product }
+ * `product` is the saved plain object (omitted for "purge" and "bulk").
+ * "counters" marks engagement-only writes (views, units sold, velocity).
+ * Lets derived state (search index, caches) stay in sync without the
+ * service knowing about it.
+ */
+const catalogEvents = new EventEmitter();
 
-
-
+const emitChange = (type, product) => {
+  if (!product) return product;
+  catalogEvents.emit("change", { type, productId: String(product._id || product.id), product });
+  return product;
+};
 // ──────────────────────────────────────────────
 // Mode detection
 // ──────────────────────────────────────────────
@@ -31,36 +63,68 @@ const toResponse = (doc) => {
   return obj;
 };
 
+const httpError = (statusCode, message, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+};
+
+// Mirrored from the buy-box offer on products that have offers
+const OFFER_FIELDS = ["price", "mrp", "stock", "fulfillmentType"];
+
+/** Throws 400 if the tiers do not fit the single-unit price */
+const assertPriceTiers = (tiers, price) => {
+  const errors = priceTierErrors(tiers, price);
+  if (errors.length) throw httpError(400, "Invalid price tiers", errors);
+};
+
+/** Auto-generates search tags from title + brand + model + color + category */
+const buildSearchTags = (data) => {
+  const tagString = [data.title, data.brand, data.model, data.color, data.category]
+    .filter(Boolean)
+    .join(" ");
+  return [
+    ...new Set(
+      tagString
+        .toLowerCase()
+        .split(/\s+/)
+        .filter((t) => t.length > 2)
+    ),
+  ];
+};
+
 // ──────────────────────────────────────────────
 // CREATE
 // ──────────────────────────────────────────────
 /**
  * Stores a new product.
  * Auto-computes discountPercent and builds searchTags if not supplied.
+ * Throws 400 if the metadata does not fit the category's attribute schema,
+ * or the price tiers the price.
  */
-const createProduct = async (data) => {
+const createProduct = async (data, { actor } = {}) => {
+  data.metadata = await normaliseMetadata(data.category, data.metadata);
+  if (data.priceTiers) {
+    assertPriceTiers(data.priceTiers, data.price);
+    data.priceTiers = sortTiers(data.priceTiers);
+  }
+
   // Auto-generate search tags from title + brand + model
   if (!data.searchTags || data.searchTags.length === 0) {
-    const tagString = [data.title, data.brand, data.model, data.color, data.category]
-      .filter(Boolean)
-      .join(" ");
-    data.searchTags = [
-      ...new Set(
-        tagString
-          .toLowerCase()
-          .split(/\s+/)
-          .filter((t) => t.length > 2)
-      ),
-    ];
-  }
-
-  if (useDB()) {
-    const product = new Product(data);
-    await product.save();
-    return toResponse(product);
+    data.searchTags = buildSearchTags(data);
+  }
+
+  let product;
+  if (useDB()) {
+    const doc = new Product(data);
+    await doc.save();
+    product = toResponse(doc);
   } else {
-    return toResponse(inMemoryStore.create(data));
+    product = toResponse(inMemoryStore.create(data));
   }
+  await recordChange("create", null, product, actor);
+  return emitChange("create", product);
 };
 
 // ──────────────────────────────────────────────
@@ -75,16 +139,33 @@ const getProductById = async (id) => {
   }
 };
 
+// ──────────────────────────────────────────────
+// List filters (shared by listing and export)
+// ──────────────────────────────────────────────
+/**
+ * status: "active" (default) | "deleted" (soft-deleted only) | "all"
+ * category: one name, or several (a category and its subcategories)
+ */
+const toListFilter = ({ category, brand, status = "active" } = {}) => {
+  const filter = {};
+  if (status !== "all") filter.isActive = status === "active";
+  if (category) filter.category = Array.isArray(category) ? { $in: category } : category;
+  if (brand) filter.brand = new RegExp(brand, "i");
+  return filter;
+};
+
+const matchesListFilter = (p, { category, brand } = {}) =>
+  (!category || [].concat(category).includes(p.category)) &&
+  (!brand || Boolean((p.brand || "").match(new RegExp(brand, "i"))));
+
 // ──────────────────────────────────────────────
 // READ ALL (paginated)
 // ──────────────────────────────────────────────
-const getAllProducts = async ({ page = 1, limit = 20, category, brand } = {}) => {
+const getAllProducts = async ({ page = 1, limit = 20, category, brand, status } = {}) => {
   const skip = (page - 1) * limit;
 
   if (useDB()) {
-    const filter = { isActive: true };
-    if (category) filter.category = category;
-    if (brand) filter.brand = new RegExp(brand, "i");
+    const filter = toListFilter({ category, brand, status });
 
     const [products, total] = await Promise.all([
       Product.find(filter).skip(skip).limit(limit).lean({ virtuals: true }),
@@ -96,9 +177,9 @@ const getAllProducts = async ({ page = 1, limit = 20, category, brand } = {}) =>
       pagination: { page, limit, total, pages: Math.ceil(total / limit) },
     };
   } else {
-    let all = inMemoryStore.findAll({ limit: 10000 });
-    if (category) all = all.filter((p) => p.category === category);
-    if (brand) all = all.filter((p) => (p.brand || "").match(new RegExp(brand, "i")));
+    const all = inMemoryStore
+      .findAll({ limit: 10000, status })
+      .filter((p) => matchesListFilter(p, { category, brand }));
     const total = all.length;
     const products = all.slice(skip, skip + limit);
     return {
@@ -108,55 +189,304 @@ const getAllProducts = async ({ page = 1, limit = 20, category, brand } = {}) =>
   }
 };
 
+// ──────────────────────────────────────────────
+// STREAM (export) — one product at a time, never the whole catalog
+// ──────────────────────────────────────────────
+/**
+ * Async iterator over products matching { category, brand, status }.
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* streamProducts(filters = {}) {
+  if (useDB()) {
+    const cursor = Product.find(toListFilter(filters)).lean({ virtuals: true }).cursor();
+    try {
+      for await (const doc of cursor) yield toResponse(doc);
+    } finally {
+      // Also runs when the consumer stops early (client went away)
+      await cursor.close();
+    }
+  } else {
+    for (const doc of inMemoryStore.scan({ status: filters.status })) {
+      if (matchesListFilter(doc, filters)) yield toResponse(doc);
+    }
+  }
+}
+
+/** Distinct metadata keys across products matching { category, brand } */
+const getMetadataKeys = async (filters = {}) => {
+  if (useDB()) {
+    const rows = await Product.aggregate([
+      { $match: toListFilter(filters) },
+      { $project: { keys: { $map: { input: { $objectToArray: "$metadata" }, in: "$$this.k" } } } },
+      { $unwind: "$keys" },
+      { $group: { _id: "$keys" } },
+    ]);
+    return rows.map((r) => r._id).sort();
+  }
+  const keys = new Set();
+  for (const doc of inMemoryStore.scan({ status: filters.status })) {
+    if (matchesListFilter(doc, filters)) Object.keys(doc.metadata || {}).forEach((k) => keys.add(k));
+  }
+  return [...keys].sort();
+};
+
+// ──────────────────────────────────────────────
+// VARIANTS — active members of the given variant groups
+// ──────────────────────────────────────────────
+const getProductsByVariantGroups = async (groupIds) => {
+  const ids = groupIds.map(String);
+  if (ids.length === 0) return [];
+  if (useDB()) {
+    const docs = await Product.find({ variantGroupId: { $in: ids }, isActive: true }).lean({
+      virtuals: true,
+    });
+    return docs.map(toResponse);
+  }
+  const wanted = new Set(ids);
+  return [...inMemoryStore.scan()].filter((p) => wanted.has(p.variantGroupId)).map(toResponse);
+};
+
+// ──────────────────────────────────────────────
+// OFFERS — products (any status) with an offer from the seller
+// ──────────────────────────────────────────────
+const getProductsBySeller = async (sellerId) => {
+  const id = String(sellerId);
+  if (useDB()) {
+    const docs = await Product.find({ "offers.sellerId": id }).lean({ virtuals: true });
+    return docs.map(toResponse);
+  }
+  return [...inMemoryStore.scan({ status: "all" })]
+    .filter((p) => (p.offers || []).some((o) => o.sellerId === id))
+    .map(toResponse);
+};
+
+// ──────────────────────────────────────────────
+// INVENTORY — products (any status) with stock rows at the warehouse
+// ──────────────────────────────────────────────
+const getProductsByWarehouse = async (warehouseCode) => {
+  if (useDB()) {
+    const docs = await Product.find({ "inventory.warehouseCode": warehouseCode }).lean({
+      virtuals: true,
+    });
+    return docs.map(toResponse);
+  }
+  return [...inMemoryStore.scan({ status: "all" })]
+    .filter((p) => (p.inventory || []).some((i) => i.warehouseCode === warehouseCode))
+    .map(toResponse);
+};
+
 // ──────────────────────────────────────────────
 // UPDATE METADATA
 // ──────────────────────────────────────────────
-const updateProductMetadata = async (productId, metadata) => {
+/** Merges metadata in; throws 400 if it does not fit the category's attribute schema */
+const updateProductMetadata = async (productId, updates, { actor } = {}) => {
+  const before = await getProductById(productId);
+  if (!before) return null;
+  const metadata = await normaliseMetadata(before.category, updates, { partial: true });
+
+  let product;
   if (useDB()) {
-    const product = await Product.findById(productId);
-    if (!product) return null;
+    const doc = await Product.findById(productId);
+    if (!doc) return null;
 
     // Merge into existing metadata map
     Object.entries(metadata).forEach(([k, v]) => {
-      product.metadata.set(k, v);
+      doc.metadata.set(k, v);
     });
-    await product.save();
-    return toResponse(product);
+    await doc.save();
+    product = toResponse(doc);
   } else {
-    const updated = inMemoryStore.updateById(productId, { metadata });
-    return toResponse(updated);
+    product = toResponse(inMemoryStore.updateById(productId, { metadata }));
   }
+  await recordChange("metadata", before, product, actor);
+  return emitChange("update", product);
 };
 
 // ──────────────────────────────────────────────
 // UPDATE FULL PRODUCT
 // ──────────────────────────────────────────────
-const updateProduct = async (productId, updates) => {
+/**
+ * Throws 409 for price / stock changes on a product with offers, unless
+ * the offers are written with them (OfferService), 409 for stock changes on
+ * a product with warehouse inventory, unless written with the inventory
+ * (InventoryService), and 400 if a new price
+ * or price tiers leave the tiers above the price. Moving a product to
+ * another category re-checks its metadata against that category's
+ * attribute schema (400 if it does not fit).
+ */
+const updateProduct = async (productId, updates, { actor } = {}) => {
+  const before = await getProductById(productId);
+  if (!before) return null;
+
+  const offerFields = OFFER_FIELDS.filter((f) => updates[f] !== undefined);
+  if (before.offers?.length && !updates.offers && offerFields.length) {
+    throw httpError(
+      409,
+      "Price and stock of a product with seller offers are set through its offers",
+      offerFields.map((f) => `${f} follows the buy-box offer; change it via the product's offers`)
+    );
+  }
+
+  if (
+    before.inventory?.length &&
+    updates.stock !== undefined &&
+    !updates.inventory &&
+    !updates.offers
+  ) {
+    throw httpError(
+      409,
+      "Stock of a product with warehouse inventory is set through its inventory",
+      ["stock is the sum of its warehouse stock; change it via /product/:id/inventory"]
+    );
+  }
+
+  // Buy-box changes may undercut the tiers; unit prices cap at the price then
+  if (!updates.offers && (updates.priceTiers || updates.price !== undefined)) {
+    const priceTiers = sortTiers(updates.priceTiers || before.priceTiers);
+    assertPriceTiers(priceTiers, updates.price ?? before.price);
+    if (updates.priceTiers) updates = { ...updates, priceTiers };
+  }
+
+  if (updates.category !== undefined && updates.category !== before.category) {
+    const metadata = await normaliseMetadata(updates.category, before.metadata || {});
+    updates = { ...updates, metadata };
+  }
+
+  // Keep deletedAt in step when isActive is toggled directly
+  if (updates.isActive === false && before.isActive) {
+    updates = { ...updates, deletedAt: new Date().toISOString() };
+  } else if (updates.isActive === true && !before.isActive) {
+    updates = { ...updates, deletedAt: null };
+  }
+
+  let product;
+  if (useDB()) {
+    product = toResponse(
+      await Product.findByIdAndUpdate(productId, updates, {
+        new: true,
+        runValidators: true,
+      })
+    );
+  } else {
+    product = toResponse(inMemoryStore.updateById(productId, updates));
+  }
+  if (product) await recordChange("update", before, product, actor);
+  return emitChange("update", product);
+};
+
+// ──────────────────────────────────────────────
+// ENGAGEMENT COUNTERS
+// ──────────────────────────────────────────────
+/**
+ * Atomically adds to numeric counters, e.g. { viewCount: 1, unitsSold: 2 }.
+ * Used by the events pipeline instead of read-modify-write updates.
+ * Not recorded in product history (these move on every click).
+ */
+const incrementCounters = async (productId, inc) => {
   if (useDB()) {
-    const product = await Product.findByIdAndUpdate(productId, updates, {
-      new: true,
-      runValidators: true,
-    });
-    return toResponse(product);
+    const product = await Product.findByIdAndUpdate(productId, { $inc: inc }, { new: true });
+    return emitChange("counters", toResponse(product));
   } else {
-    return toResponse(inMemoryStore.updateById(productId, updates));
+    const doc = inMemoryStore.findById(productId);
+    if (!doc) return null;
+    const updates = Object.fromEntries(
+      Object.entries(inc).map(([field, n]) => [field, (doc[field] || 0) + n])
+    );
+    return emitChange("counters", toResponse(inMemoryStore.updateById(productId, updates)));
   }
 };
 
+/** Overwrites derived counters, e.g. { trackedSalesVelocity: 12 }; no history either */
+const setCounters = async (productId, values) => {
+  const product = useDB()
+    ? await Product.findByIdAndUpdate(productId, { $set: values }, { new: true })
+    : inMemoryStore.updateById(productId, values);
+  return emitChange("counters", toResponse(product));
+};
+
 // ──────────────────────────────────────────────
 // DELETE (soft delete)
 // ──────────────────────────────────────────────
-const deleteProduct = async (productId) => {
+const deleteProduct = async (productId, { actor } = {}) => {
+  const before = await getProductById(productId);
+  if (!before) return null;
+  if (!before.isActive) return before; // already deleted — keep the original deletedAt
+
+  const updates = { isActive: false, deletedAt: new Date().toISOString() };
+  let product;
   if (useDB()) {
-    const product = await Product.findByIdAndUpdate(
-      productId,
-      { isActive: false },
-      { new: true }
-    );
-    return toResponse(product);
+    product = toResponse(await Product.findByIdAndUpdate(productId, updates, { new: true }));
+  } else {
+    product = toResponse(inMemoryStore.updateById(productId, updates));
+  }
+  if (product) await recordChange("delete", before, product, actor);
+  return emitChange("delete", product);
+};
+
+// ──────────────────────────────────────────────
+// RESTORE (undo soft delete)
+// ──────────────────────────────────────────────
+const restoreProduct = async (productId, { actor } = {}) => {
+  const before = await getProductById(productId);
+  if (!before) return null;
+
+  const updates = { isActive: true, deletedAt: null };
+  let product;
+  if (useDB()) {
+    product = toResponse(await Product.findByIdAndUpdate(productId, updates, { new: true }));
+  } else {
+    product = toResponse(inMemoryStore.updateById(productId, updates));
+  }
+  if (product) await recordChange("restore", before, product, actor);
+  return emitChange("restore", product);
+};
+
+// ──────────────────────────────────────────────
+// PURGE (permanent delete of old soft-deleted products)
+// ──────────────────────────────────────────────
+/**
+ * Permanently removes products soft-deleted at or before `olderThanDays`
+ * days ago. Products deleted before deletedAt existed fall back to
+ * updatedAt. History entries are kept.
+ *
+ * @param {{ olderThanDays: number, dryRun?: boolean, actor?: string }} opts
+ * @returns {Promise<{ cutoff: string, purgedCount: number, productIds: string[] }>}
+ */
+const purgeDeletedProducts = async ({ olderThanDays, dryRun = false, actor } = {}) => {
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+
+  let expired;
+  if (useDB()) {
+    expired = (
+      await Product.find({
+        isActive: false,
+        $or: [
+          { deletedAt: { $lte: cutoff } },
+          { deletedAt: null, updatedAt: { $lte: cutoff } },
+        ],
+      }).lean({ virtuals: true })
+    ).map(toResponse);
   } else {
-    return inMemoryStore.updateById(productId, { isActive: false });
+    const iso = cutoff.toISOString();
+    expired = inMemoryStore
+      .findAll({ limit: Infinity, status: "deleted" })
+      .filter((p) => (p.deletedAt || p.updatedAt) <= iso)
+      .map(toResponse);
+  }
+
+  const productIds = expired.map((p) => String(p._id));
+  if (!dryRun && productIds.length) {
+    if (useDB()) await Product.deleteMany({ _id: { $in: productIds } });
+    else productIds.forEach((id) => inMemoryStore.deleteById(id));
+
+    await recordChanges(
+      expired.map((p) => ({ action: "purge", before: p, after: null })),
+      actor
+    );
+    productIds.forEach((productId) => catalogEvents.emit("change", { type: "purge", productId }));
   }
+
+  return { cutoff: cutoff.toISOString(), purgedCount: productIds.length, productIds };
 };
 
 // ──────────────────────────────────────────────
@@ -167,6 +497,18 @@ const getCatalogCount = async () => {
   return inMemoryStore.count;
 };
 
+/** Active and soft-deleted product counts */
+const getCatalogCounts = async () => {
+  if (useDB()) {
+    const [active, deleted] = await Promise.all([
+      Product.countDocuments({ isActive: true }),
+      Product.countDocuments({ isActive: false }),
+    ]);
+    return { active, deleted };
+  }
+  return { active: inMemoryStore.count, deleted: inMemoryStore.deletedCount };
+};
+
 // ──────────────────────────────────────────────
 // FETCH ALL FOR SEARCH (returns plain objects)
 // ──────────────────────────────────────────────
@@ -181,26 +523,131 @@ const getAllForSearch = async () => {
 };
 
 // ──────────────────────────────────────────────
-// BULK INSERT (used by seed script)
+// BULK INSERT (seed script + bulk import API)
 // ──────────────────────────────────────────────
-const bulkInsert = async (products) => {
+const BULK_BATCH = 100;
+
+/** insertMany skips save hooks, so derive what pre("save") would have set */
+const withDerivedFields = (data) => {
+  const doc = { ...data };
+  if (!doc.searchTags || doc.searchTags.length === 0) doc.searchTags = buildSearchTags(doc);
+  if (doc.mrp && doc.mrp > 0) {
+    doc.discountPercent = Math.round(((doc.mrp - doc.price) / doc.mrp) * 100);
+  }
+  if (doc.currency === "Rupee") doc.currency = "INR";
+  if (doc.priceTiers) doc.priceTiers = sortTiers(doc.priceTiers);
+  return doc;
+};
+
+/**
+ * Inserts one batch; returns per-item { productId, product } or { errors }.
+ * `product` is dropped before bulkInsert returns.
+ */
+async function insertBatchToDB(batch) {
+  const docs = batch.map((data) => new Product(withDerivedFields(data)));
+  const results = docs.map((doc) => {
+    const err = doc.validateSync();
+    return err
+      ? { errors: Object.values(err.errors).map((e) => e.message) }
+      : { productId: String(doc._id), product: toResponse(doc) };
+  });
+
+  const valid = docs.filter((_, i) => results[i].productId);
+  if (valid.length === 0) return results;
+
+  try {
+    await Product.insertMany(valid, { ordered: false });
+  } catch (err) {
+    if (!err.writeErrors) throw err;
+    // ordered:false keeps going; map each write error back to its doc by _id
+    const failed = new Map(
+      err.writeErrors.map((we) => [String(we.getOperation()._id), we.errmsg || we.message])
+    );
+    results.forEach((r, i) => {
+      if (r.productId && failed.has(r.productId)) {
+        results[i] = { errors: [failed.get(r.productId)] };
+      }
+    });
+  }
+  return results;
+}
+
+/** { data } with canonical metadata, or { errors } if it does not fit the schema */
+async function withNormalisedMetadata(data) {
+  try {
+    return { data: { ...data, metadata: await normaliseMetadata(data.category, data.metadata) } };
+  } catch (err) {
+    if (err.statusCode !== 400) throw err;
+    return { errors: err.details };
+  }
+}
+
+/**
+ * Inserts many products in batches of BULK_BATCH without stopping at the
+ * first failure. Rows whose metadata does not fit their category's
+ * attribute schema fail on their own.
+ *
+ * @param {Object[]} products
+ * @param {{ actor?: string, metadataNormalised?: boolean }} [opts] -
+ *        metadataNormalised: the caller already ran normaliseMetadata on
+ *        every row (bulk import API), so it is not run twice
+ * @returns {Promise<{ insertedCount: number, results: ({ productId: string } | { errors: string[] })[] }>}
+ *          results are in input order
+ */
+const bulkInsert = async (products, { actor, metadataNormalised = false } = {}) => {
+  const prepared = metadataNormalised
+    ? products.map((data) => ({ data }))
+    : await Promise.all(products.map(withNormalisedMetadata));
+  const valid = prepared.filter((p) => p.data).map((p) => p.data);
+
+  let validResults;
   if (useDB()) {
-    const docs = await Product.insertMany(products, { ordered: false });
-    return docs.length;
+    validResults = [];
+    for (let i = 0; i < valid.length; i += BULK_BATCH) {
+      validResults.push(...(await insertBatchToDB(valid.slice(i, i + BULK_BATCH))));
+    }
   } else {
-    const docs = inMemoryStore.bulkInsert(products);
-    return docs.length;
+    validResults = inMemoryStore
+      .bulkInsert(valid.map(withDerivedFields))
+      .map((doc) => ({ productId: String(doc._id), product: toResponse(doc) }));
   }
+
+  // Back into input order
+  const next = validResults[Symbol.iterator]();
+  const results = prepared.map((p) => (p.errors ? { errors: p.errors } : next.next().value));
+
+  const inserted = results.filter((r) => r.productId);
+  await recordChanges(
+    inserted.map((r) => ({ action: "create", before: null, after: r.product })),
+    actor
+  );
+
+  if (inserted.length > 0) catalogEvents.emit("change", { type: "bulk" });
+  return {
+    insertedCount: inserted.length,
+    results: results.map(({ product, ...r }) => r),
+  };
 };
 
 module.exports = {
   createProduct,
   getProductById,
   getAllProducts,
+  streamProducts,
+  getMetadataKeys,
+  getProductsByVariantGroups,
+  getProductsBySeller,
+  getProductsByWarehouse,
   updateProductMetadata,
   updateProduct,
   deleteProduct,
+  restoreProduct,
+  purgeDeletedProducts,
+  incrementCounters,
+  setCounters,
   getCatalogCount,
+  getCatalogCounts,
   getAllForSearch,
   bulkInsert,
+  catalogEvents,
 };
\ No newline at end of file
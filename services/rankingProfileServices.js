@@ -0,0 +1,170 @@
+/**
+ * RankingProfileService
+ * ─────────────────────
+ * Named ranking profiles (weights + scoring constants) loaded from a JSON
+ * config file, so merchandising can retune ranking without a deploy.
+ *
+ * File: config/rankingProfiles.json (override with RANKING_PROFILES_PATH)
+ *
+ *  {
+ *    "profiles": {
+ *      "<name>": {
+ *        "description": "...",
+ *        "weights": { textRelevance, quality, popularity, stock, commercial, intentBonus, ctr? },
+ *        "params":  { globalMean, confidencePrior, logNormBases: {...}, discountLogBase },
+ *        "intents": { cheap: true, ... }   // forced on for every query
+ *      }
+ *    }
+ *  }
+ *
+ * Rules:
+ *  - a "default" profile is required
+ *  - weights must sum to 1 (ctr is optional and defaults to 0)
+ *  - params missing from a profile are inherited from "default"
+ *
+ * A failed reload keeps the previously loaded profiles active.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Joi = require("joi");
+
+const PROFILES_PATH =
+  process.env.RANKING_PROFILES_PATH || path.join(__dirname, "../config/rankingProfiles.json");
+const DEFAULT_PROFILE = "default";
+const WEIGHT_SUM_TOLERANCE = 0.001;
+
+/** Fallbacks for params the "default" profile itself leaves out */
+const BUILTIN_PARAMS = {
+  globalMean: 3.5,
+  confidencePrior: 50,
+  logNormBases: { unitsSold: 50000, salesVelocity: 2000, viewCount: 100000 },
+  discountLogBase: 70,
+};
+
+// ──────────────────────────────────────────────
+// Validation schemas
+// ──────────────────────────────────────────────
+const weight = Joi.number().min(0).max(1).required();
+
+const weightsSchema = Joi.object({
+  textRelevance: weight,
+  quality: weight,
+  popularity: weight,
+  stock: weight,
+  commercial: weight,
+  intentBonus: weight,
+  ctr: Joi.number().min(0).max(1).optional().default(0),
+}).custom((weights, helpers) => {
+  const sum = Object.values(weights).reduce((a, b) => a + b, 0);
+  if (Math.abs(sum - 1) > WEIGHT_SUM_TOLERANCE) {
+    return helpers.message({ custom: "weights must sum to 1 (got {{#sum}})" }, { sum: +sum.toFixed(4) });
+  }
+  return weights;
+});
+
+const paramsSchema = Joi.object({
+  globalMean: Joi.number().min(0).max(5),
+  confidencePrior: Joi.number().min(0),
+  logNormBases: Joi.object({
+    unitsSold: Joi.number().greater(0),
+    salesVelocity: Joi.number().greater(0),
+    viewCount: Joi.number().greater(0),
+  }),
+  discountLogBase: Joi.number().greater(0),
+});
+
+const profileSchema = Joi.object({
+  description: Joi.string().allow("").optional(),
+  weights: weightsSchema.required(),
+  params: paramsSchema.optional().default({}),
+  intents: Joi.object()
+    .pattern(
+      Joi.string().valid("cheap", "latest", "best", "premium", "moreStorage", "strong"),
+      Joi.boolean()
+    )
+    .optional()
+    .default({}),
+});
+
+const configSchema = Joi.object({
+  profiles: Joi.object()
+    .pattern(/^[a-z0-9-]+$/, profileSchema)
+    .min(1)
+    .required(),
+});
+
+// ──────────────────────────────────────────────
+// Loading
+// ──────────────────────────────────────────────
+const mergeParams = (...layers) =>
+  layers.reduce(
+    (acc, p = {}) => ({
+      ...acc,
+      ...p,
+      logNormBases: { ...acc.logNormBases, ...(p.logNormBases || {}) },
+    }),
+    {}
+  );
+
+/** The file is server config, not request input: a bad one is a 500 */
+const configError = (message, details) => {
+  const err = new Error(message);
+  err.statusCode = 500;
+  if (details) err.details = details;
+  return err;
+};
+
+/** Reads + validates the config file; returns Map<name, profile> */
+function readProfiles() {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(PROFILES_PATH, "utf8"));
+  } catch (err) {
+    throw configError(`Could not read ranking profiles from ${PROFILES_PATH}: ${err.message}`);
+  }
+
+  const { error, value } = configSchema.validate(raw, { abortEarly: false });
+  if (error) {
+    throw configError("Invalid ranking profiles config", error.details.map((d) => d.message));
+  }
+  if (!value.profiles[DEFAULT_PROFILE]) {
+    throw configError(`Ranking profiles config must define a "${DEFAULT_PROFILE}" profile`);
+  }
+
+  const defaultParams = mergeParams(BUILTIN_PARAMS, value.profiles[DEFAULT_PROFILE].params);
+  return new Map(
+    Object.entries(value.profiles).map(([name, profile]) => [
+      name,
+      { name, ...profile, params: mergeParams(defaultParams, profile.params) },
+    ])
+  );
+}
+
+let profiles = readProfiles();
+let loadedAt = new Date();
+
+// ──────────────────────────────────────────────
+// Public API
+// ──────────────────────────────────────────────
+/** Returns the named profile, or null if it does not exist */
+function getProfile(name = DEFAULT_PROFILE) {
+  return profiles.get(name) || null;
+}
+
+function listProfiles() {
+  return {
+    source: PROFILES_PATH,
+    loadedAt: loadedAt.toISOString(),
+    profiles: [...profiles.values()],
+  };
+}
+
+/** Re-reads the config file; throws (and keeps current profiles) if invalid */
+function reloadProfiles() {
+  profiles = readProfiles();
+  loadedAt = new Date();
+  return listProfiles();
+}
+
+module.exports = { getProfile, listProfiles, reloadProfiles, DEFAULT_PROFILE };
@@ -4,35 +4,31 @@
  * Computes a composite ranking score for each candidate product
  * against a parsed query intent.
  *
- * Score components (total = 1.0):
+ * Score components (total = 1.0), "default" profile weights:
  *  ┌─────────────────────────────────┬────────┐
  *  │ Component                       │ Weight │
  *  ├─────────────────────────────────┼────────┤
- *  │ Text Relevance                  │  0.30  │
- *  │ Quality (rating + trust)        │  0.22  │
- *  │ Popularity (sold + velocity)    │  0.18  │
+ *  │ Text Relevance                  │  0.28  │
+ *  │ Quality (rating + trust)        │  0.20  │
+ *  │ Popularity (sold + velocity)    │  0.16  │
  *  │ Stock / Availability            │  0.08  │
  *  │ Commercial (discount + price)   │  0.10  │
  *  │ Intent Bonus (cheap/new/etc.)   │  0.12  │
+ *  │ CTR (clicks for this query)     │  0.06  │
  *  └─────────────────────────────────┴────────┘
  *
  * All sub-scores are normalised to [0, 1] before weighting.
+ *
+ * Weights and scoring constants come from a named ranking profile
+ * (see rankingProfileServices / config/rankingProfiles.json).
  */
 
 const Fuse = require("fuse.js");
+const { getProfile } = require("./rankingProfileServices");
 
 // ──────────────────────────────────────────────
 // Constants
 // ──────────────────────────────────────────────
-const WEIGHTS = {
-  textRelevance: 0.30,
-  quality: 0.22,
-  popularity: 0.18,
-  stock: 0.08,
-  commercial: 0.10,
-  intentBonus: 0.12,
-};
-
 const CURRENT_YEAR = new Date().getFullYear();
 
 // ──────────────────────────────────────────────
@@ -48,13 +44,32 @@ const logNorm = (v, base = 1000) => {
   return clamp(Math.log1p(v) / Math.log1p(base));
 };
 
+// ──────────────────────────────────────────────
+// Helper: the offer a shopper would buy
+// ──────────────────────────────────────────────
+/** The buy-box winner for products with seller offers, else the product's own listing */
+const bestOffer = (product) => product.buyBox || product;
+
+/**
+ * Unit price and discount the shopper pays: at the order quantity on
+ * quantity searches (product.quantityPricing set), else the best offer's
+ */
+const unitPricing = (product) => {
+  if (product.quantityPricing) {
+    const { unitPrice, discountPercent } = product.quantityPricing;
+    return { price: unitPrice, discountPercent };
+  }
+  const { price, discountPercent } = bestOffer(product);
+  return { price, discountPercent };
+};
+
 // ──────────────────────────────────────────────
 // 1. TEXT RELEVANCE
 // ──────────────────────────────────────────────
 /**
  * Computes text relevance using a combination of:
  *  - Fuse.js fuzzy score against title + brand + tags
- *  - Token-level overlap (how many query tokens appear in the product)
+ *  - Token-level overlap (how many query tokens, or their synonyms, appear in the product)
  */
 function computeTextRelevance(product, parsedQuery, fuseScoreMap) {
   // Fuse score is in [0,1] where 0 = perfect. Invert it.
@@ -73,8 +88,15 @@ function computeTextRelevance(product, parsedQuery, fuseScoreMap) {
     .join(" ")
     .toLowerCase();
 
+  // A token also counts as present when one of its synonyms is
   const tokens = parsedQuery.tokens || [];
-  const matchedTokens = tokens.filter((t) => haystack.includes(t)).length;
+  const synonymsOf = (t) =>
+    (parsedQuery.expansions || [])
+      .filter((e) => e.term.split(" ").includes(t))
+      .flatMap((e) => e.synonyms);
+  const matchedTokens = tokens.filter(
+    (t) => haystack.includes(t) || synonymsOf(t).some((s) => haystack.includes(s))
+  ).length;
   const tokenOverlap = tokens.length > 0 ? matchedTokens / tokens.length : 0;
 
   // Title starts-with bonus
@@ -94,7 +116,7 @@ function computeTextRelevance(product, parsedQuery, fuseScoreMap) {
  *  - Return rate (inverted)
  *  - Complaint rate (inverted)
  */
-function computeQualityScore(product) {
+function computeQualityScore(product, params) {
   const rating = product.rating || 0;
   const reviews = product.reviewCount || 0;
   const returnRate = product.returnRate ?? 5;
@@ -102,9 +124,8 @@ function computeQualityScore(product) {
 
   // Bayesian-style confidence adjustment:
   // rating_score = (C * m + rating * n) / (C + n)
-  // where m = global mean (3.5), C = confidence prior (50 reviews)
-  const GLOBAL_MEAN = 3.5;
-  const CONFIDENCE_PRIOR = 50;
+  // where m = global mean, C = confidence prior (in reviews) — from the profile
+  const { globalMean: GLOBAL_MEAN, confidencePrior: CONFIDENCE_PRIOR } = params;
   const adjustedRating =
     (CONFIDENCE_PRIOR * GLOBAL_MEAN + rating * reviews) / (CONFIDENCE_PRIOR + reviews);
   const ratingScore = adjustedRating / 5;
@@ -122,25 +143,42 @@ function computeQualityScore(product) {
 /**
  * Log-normalises unitsSold and salesVelocity.
  * salesVelocity (last-30-day sales) weighted higher to reflect recency.
+ * The imported figure stands until tracked purchases overtake it.
  */
-function computePopularityScore(product) {
-  const soldScore = logNorm(product.unitsSold || 0, 50000);
-  const velocityScore = logNorm(product.salesVelocity || 0, 2000);
-  const viewScore = logNorm(product.viewCount || 0, 100000);
+function computePopularityScore(product, params) {
+  const bases = params.logNormBases;
+  const soldScore = logNorm(product.unitsSold || 0, bases.unitsSold);
+  const velocity = Math.max(product.salesVelocity || 0, product.trackedSalesVelocity || 0);
+  const velocityScore = logNorm(velocity, bases.salesVelocity);
+  const viewScore = logNorm(product.viewCount || 0, bases.viewCount);
   return clamp(soldScore * 0.5 + velocityScore * 0.35 + viewScore * 0.15);
 }
 
 // ──────────────────────────────────────────────
 // 4. STOCK / AVAILABILITY SCORE
 // ──────────────────────────────────────────────
+/**
+ * Next-day delivery → +0.15, then 0.05 less per extra day, down to -0.25
+ * for 9+ days.
+ */
+const deliveryBonus = (days) => Math.max(-0.25, Math.min(0.15, 0.2 - 0.05 * days));
+
+/**
+ * Scores the best offer's stock and fulfillment. On pincode searches
+ * (product.availability set) it scores the stock that can reach the
+ * pincode and its delivery estimate instead.
+ */
 function computeStockScore(product) {
-  if (!product.stock || product.stock === 0) return 0;
+  const { availability } = product;
+  const { stock, fulfillmentType } = availability || bestOffer(product);
+  if (!stock || stock === 0) return 0;
 
-  // Express fulfillment gets a bonus
-  const fulfillmentBonus = product.fulfillmentType === "express" ? 0.15 : 0;
+  // Fast delivery to the pincode, or else express fulfillment, gets a bonus
+  const expressBonus = fulfillmentType === "express" ? 0.15 : 0;
+  const fulfillmentBonus = availability ? deliveryBonus(availability.deliveryDays) : expressBonus;
 
   // Stock level: 1-10 = low, 11-50 = medium, 51+ = good
-  const stockLevel = product.stock >= 50 ? 1 : product.stock >= 10 ? 0.75 : 0.5;
+  const stockLevel = stock >= 50 ? 1 : stock >= 10 ? 0.75 : 0.5;
   return clamp(stockLevel + fulfillmentBonus);
 }
 
@@ -150,11 +188,13 @@ function computeStockScore(product) {
 /**
  * Higher discount → higher commercial score.
  * Also rewards products in-stock compared to MRP.
+ * Uses the best offer's discount, or the one at the order quantity.
  */
-function computeCommercialScore(product) {
-  const discount = product.discountPercent || 0;
-  // Log-scale: 5% discount gives ~0.4, 30% gives ~0.8, 60% gives ~1.0
-  const discountScore = clamp(Math.log1p(discount) / Math.log1p(70));
+function computeCommercialScore(product, params) {
+  const discount = unitPricing(product).discountPercent || 0;
+  // Log-scale (base params.discountLogBase, 70 by default): at 70, 5% discount
+  // gives ~0.4, 30% gives ~0.8, 60% gives ~1.0
+  const discountScore = clamp(Math.log1p(discount) / Math.log1p(params.discountLogBase));
   return discountScore;
 }
 
@@ -172,12 +212,13 @@ function computeCommercialScore(product) {
  */
 function computeIntentBonus(product, parsedQuery) {
   const { intent, color, storageGB, ramGB, maxPrice, minPrice, priceExplicit } = parsedQuery;
+  const pricing = unitPricing(product);
   let bonus = 0;
 
   if (intent.cheap) {
     // Reward high discount and low absolute price
-    const discountBonus = clamp((product.discountPercent || 0) / 50);
-    const priceBonus = product.price < 20000 ? 0.3 : product.price < 40000 ? 0.15 : 0;
+    const discountBonus = clamp((pricing.discountPercent || 0) / 50);
+    const priceBonus = pricing.price < 20000 ? 0.3 : pricing.price < 40000 ? 0.15 : 0;
     bonus += discountBonus * 0.5 + priceBonus * 0.5;
   }
 
@@ -197,7 +238,7 @@ function computeIntentBonus(product, parsedQuery) {
   }
 
   if (intent.premium) {
-    const price = product.price || 0;
+    const price = pricing.price || 0;
     if (price > 80000) bonus += 0.6;
     else if (price > 50000) bonus += 0.3;
     else if (price > 30000) bonus += 0.1;
@@ -239,9 +280,9 @@ function computeIntentBonus(product, parsedQuery) {
 
   // Price range match
   if (priceExplicit) {
-    const price = product.price || 0;
+    const price = pricing.price || 0;
     const inRange =
-      (maxPrice ? price <= maxPrice : true) && (minPrice ? price >= minPrice : true);
+      (maxPrice == null || price <= maxPrice) && (minPrice == null || price >= minPrice);
     if (!inRange) bonus -= 0.8; // Heavy penalty for out-of-range products
     else bonus += 0.4;
   }
@@ -249,27 +290,41 @@ function computeIntentBonus(product, parsedQuery) {
   return clamp(bonus);
 }
 
+// ──────────────────────────────────────────────
+// 7. CTR (ENGAGEMENT)
+// ──────────────────────────────────────────────
+/**
+ * Smoothed click-through rate for this query, precomputed by the event
+ * service (see eventServices.getCtrScores). Products without an entry
+ * score 0 — the caller is expected to supply every candidate.
+ */
+function computeCtrScore(product, ctrMap) {
+  return clamp(ctrMap.get(String(product._id || product.id)) || 0);
+}
+
 // ──────────────────────────────────────────────
 // Out-of-stock penalty
 // ──────────────────────────────────────────────
 function outOfStockPenalty(product) {
-  return product.stock === 0 ? 0.5 : 1.0;
+  return (product.availability || bestOffer(product)).stock === 0 ? 0.5 : 1.0;
 }
 
 // ──────────────────────────────────────────────
 // Public: build Fuse index for a product set
 // ──────────────────────────────────────────────
+const FUSE_KEYS = [
+  { name: "title", weight: 0.5 },
+  { name: "brand", weight: 0.25 },
+  { name: "searchTags", weight: 0.15 },
+  { name: "description", weight: 0.05 },
+  { name: "model", weight: 0.05 },
+];
+
 function buildFuseIndex(products) {
   return new Fuse(products, {
     includeScore: true,
     threshold: parseFloat(process.env.FUZZY_MATCH_THRESHOLD || "0.45"),
-    keys: [
-      { name: "title", weight: 0.5 },
-      { name: "brand", weight: 0.25 },
-      { name: "searchTags", weight: 0.15 },
-      { name: "description", weight: 0.05 },
-      { name: "model", weight: 0.05 },
-    ],
+    keys: FUSE_KEYS,
   });
 }
 
@@ -280,16 +335,29 @@ function buildFuseIndex(products) {
  * @param {Object[]} candidates  - array of product plain objects
  * @param {Object}   parsedQuery - output of queryParser.parseQuery()
  * @param {Map}      fuseScoreMap - productId → fuse score (0=perfect)
+ * @param {Object}   [profile]    - ranking profile (defaults to "default")
+ * @param {Map}      [ctrMap]     - productId → CTR score in [0,1]
  * @returns {Object[]} sorted by descending finalScore, with score attached
  */
-function rankProducts(candidates, parsedQuery, fuseScoreMap) {
+function rankProducts(
+  candidates,
+  parsedQuery,
+  fuseScoreMap,
+  profile = getProfile(),
+  ctrMap = new Map()
+) {
+  const { weights: WEIGHTS, params, intents } = profile;
+  // Profiles may force intents on (e.g. "clearance" always ranks as if "cheap")
+  const query = { ...parsedQuery, intent: { ...parsedQuery.intent, ...intents } };
+
   const scored = candidates.map((product) => {
-    const textScore = computeTextRelevance(product, parsedQuery, fuseScoreMap);
-    const qualityScore = computeQualityScore(product);
-    const popularityScore = computePopularityScore(product);
+    const textScore = computeTextRelevance(product, query, fuseScoreMap);
+    const qualityScore = computeQualityScore(product, params);
+    const popularityScore = computePopularityScore(product, params);
     const stockScore = computeStockScore(product);
-    const commercialScore = computeCommercialScore(product);
-    const intentScore = computeIntentBonus(product, parsedQuery);
+    const commercialScore = computeCommercialScore(product, params);
+    const intentScore = computeIntentBonus(product, query);
+    const ctrScore = computeCtrScore(product, ctrMap);
 
     const rawScore =
       textScore * WEIGHTS.textRelevance +
@@ -297,7 +365,8 @@ function rankProducts(candidates, parsedQuery, fuseScoreMap) {
       popularityScore * WEIGHTS.popularity +
       stockScore * WEIGHTS.stock +
       commercialScore * WEIGHTS.commercial +
-      intentScore * WEIGHTS.intentBonus;
+      intentScore * WEIGHTS.intentBonus +
+      ctrScore * WEIGHTS.ctr;
 
     // Apply out-of-stock penalty at the end
     const finalScore = rawScore * outOfStockPenalty(product);
@@ -311,6 +380,7 @@ function rankProducts(candidates, parsedQuery, fuseScoreMap) {
         stock: +stockScore.toFixed(3),
         commercial: +commercialScore.toFixed(3),
         intent: +intentScore.toFixed(3),
+        ctr: +ctrScore.toFixed(3),
         final: +finalScore.toFixed(4),
       },
     };
@@ -321,4 +391,41 @@ function rankProducts(candidates, parsedQuery, fuseScoreMap) {
   return scored;
 }
 
-module.exports = { rankProducts, buildFuseIndex };
\ No newline at end of file
+// ──────────────────────────────────────────────
+// Public: user-selectable sort orders
+// ──────────────────────────────────────────────
+/**
+ * Comparators for non-relevance sorts. Missing values always sort last;
+ * ties fall back to the composite relevance score. Price and discount
+ * sorts use the unit price at the order quantity when there is one.
+ */
+const SORT_COMPARATORS = {
+  price_asc: (a, b) => (unitPricing(a).price ?? Infinity) - (unitPricing(b).price ?? Infinity),
+  price_desc: (a, b) =>
+    (unitPricing(b).price ?? -Infinity) - (unitPricing(a).price ?? -Infinity),
+  newest: (a, b) => (b.launchYear || 0) - (a.launchYear || 0),
+  rating: (a, b) => (b.rating || 0) - (a.rating || 0),
+  popularity: (a, b) => (b.unitsSold || 0) - (a.unitsSold || 0),
+  discount: (a, b) =>
+    (unitPricing(b).discountPercent || 0) - (unitPricing(a).discountPercent || 0),
+};
+
+const SORT_OPTIONS = ["relevance", ...Object.keys(SORT_COMPARATORS)];
+
+/**
+ * Re-orders an already ranked list (output of rankProducts).
+ * "relevance" keeps the ranked order as-is.
+ *
+ * @param {Object[]} ranked
+ * @param {string}   sort - one of SORT_OPTIONS
+ * @returns {Object[]}
+ */
+function sortRanked(ranked, sort = "relevance") {
+  const compare = SORT_COMPARATORS[sort];
+  if (!compare) return ranked;
+  return [...ranked].sort(
+    (a, b) => compare(a, b) || b._scores.final - a._scores.final
+  );
+}
+
+module.exports = { rankProducts, buildFuseIndex, sortRanked, SORT_OPTIONS, FUSE_KEYS };
\ No newline at end of file
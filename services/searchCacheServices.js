@@ -0,0 +1,125 @@
+/**
+ * SearchCacheService
+ * ──────────────────
+ * LRU + TTL cache of search responses, keyed on the parsed query plus
+ * every option that changes the response (filters, page, sort, ...), so
+ * "sasta phone" and "cheap phone" share an entry.
+ *
+ * The whole cache is dropped on any catalog change (ProductService change
+ * events), variant group edits and ranking profile reloads. Each drop bumps
+ * a generation, so a search that started before it does not store its
+ * (possibly stale) response afterwards. Engagement-driven signals (CTR,
+ * views, sales velocity: "counters" changes) are only picked up when
+ * entries expire.
+ *
+ * Env:
+ *  SEARCH_CACHE_ENABLED  "false" disables caching (default on)
+ *  SEARCH_CACHE_MAX      max cached responses (default 500)
+ *  SEARCH_CACHE_TTL_MS   entry lifetime (default 60000)
+ *  Non-numeric or non-positive sizes fall back to the defaults.
+ */
+
+const LruCache = require("../utils/lruCache");
+const { catalogEvents } = require("./productServices");
+
+const enabled = () => process.env.SEARCH_CACHE_ENABLED !== "false";
+
+const positiveIntEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+};
+
+const cache = new LruCache({
+  max: positiveIntEnv("SEARCH_CACHE_MAX", 500),
+  ttlMs: positiveIntEnv("SEARCH_CACHE_TTL_MS", 60000),
+});
+
+const stats = { hits: 0, misses: 0, bypassed: 0, invalidations: 0, staleStores: 0 };
+
+/** Bumped on every invalidation; responses computed before a bump are not stored */
+let generation = 0;
+
+// ──────────────────────────────────────────────
+// Invalidation
+// ──────────────────────────────────────────────
+function invalidateSearchCache() {
+  if (cache.size > 0) stats.invalidations++;
+  generation++;
+  cache.clear();
+}
+
+catalogEvents.on("change", ({ type }) => {
+  if (type !== "counters") invalidateSearchCache();
+});
+
+// ──────────────────────────────────────────────
+// Public API
+// ──────────────────────────────────────────────
+/**
+ * Cache key for a search. Spelling corrections are left out (they do not
+ * change results); debug responses echo the raw parse, so they also key
+ * on the raw query.
+ * @param {string} rawQuery
+ * @param {Object} parsedQuery
+ * @param {Object} opts - every search option that shapes the response
+ */
+function searchCacheKey(rawQuery, parsedQuery, opts) {
+  const { corrections, ...parsed } = parsedQuery;
+  return JSON.stringify({ parsed, opts, raw: opts.debug ? rawQuery : undefined });
+}
+
+/**
+ * A MISS carries the current generation; pass it back to store().
+ * @param {string} key
+ * @param {{ bypass?: boolean }} [opts]
+ * @returns {{ status: "HIT"|"MISS"|"BYPASS", entry?: Object, generation?: number }}
+ */
+function lookup(key, { bypass = false } = {}) {
+  if (bypass || !enabled()) {
+    stats.bypassed++;
+    return { status: "BYPASS" };
+  }
+  const entry = cache.get(key);
+  if (entry) {
+    stats.hits++;
+    return { status: "HIT", entry };
+  }
+  stats.misses++;
+  return { status: "MISS", generation };
+}
+
+/**
+ * Skipped when the cache was invalidated since the lookup that missed, as
+ * the entry may have been built from the catalog before the change.
+ * @param {string} key
+ * @param {Object} entry
+ * @param {number} missGeneration - generation returned by lookup()
+ */
+function store(key, entry, missGeneration) {
+  if (!enabled()) return;
+  if (missGeneration !== generation) {
+    stats.staleStores++;
+    return;
+  }
+  cache.set(key, entry);
+}
+
+function getSearchCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: enabled(),
+    size: cache.size,
+    max: cache.max,
+    ttlMs: cache.ttlMs,
+    ...stats,
+    hitRate: lookups ? +(stats.hits / lookups).toFixed(4) : 0,
+  };
+}
+
+module.exports = {
+  searchCacheKey,
+  lookup,
+  store,
+  invalidateSearchCache,
+  getSearchCacheStats,
+};
@@ -0,0 +1,146 @@
+/**
+ * SearchIndexService
+ * ──────────────────
+ * Long-lived Fuse.js index over the active catalog.
+ *
+ * Built once (lazily on first search, or on demand via the admin API) and
+ * then kept current incrementally from ProductService change events, so
+ * no request pays for index construction.
+ *
+ *  - In-memory mode: the index is the candidate source.
+ *  - MongoDB mode:   candidates still come from MongoDB; the index only
+ *                    supplies the fuzzy relevance score. Writes made by
+ *                    other processes are picked up on the next rebuild.
+ */
+
+const productService = require("./productServices");
+const { buildFuseIndex, FUSE_KEYS } = require("./rankingServices");
+
+// ──────────────────────────────────────────────
+// State
+// ──────────────────────────────────────────────
+let fuse = null;
+let products = new Map(); // productId → plain product
+let builtAt = null;
+let building = null;
+let pendingEvents = []; // changes that arrive while a rebuild is running
+
+const idOf = (p) => String(p._id || p.id);
+
+// ──────────────────────────────────────────────
+// Incremental updates
+// ──────────────────────────────────────────────
+function removeFromIndex(productId) {
+  const id = String(productId);
+  if (!products.has(id)) return;
+  products.delete(id);
+  fuse.remove((doc) => idOf(doc) === id);
+}
+
+/** True when none of the fields Fuse indexes differ between two versions */
+const sameSearchableText = (a, b) =>
+  FUSE_KEYS.every(({ name }) => JSON.stringify(a[name]) === JSON.stringify(b[name]));
+
+function upsertInIndex(product) {
+  const id = idOf(product);
+  const existing = products.get(id);
+
+  // Counter/price/stock-only updates: patch the indexed object in place
+  // (Fuse returns the same object reference) instead of re-tokenising it
+  if (existing && product.isActive !== false && sameSearchableText(existing, product)) {
+    Object.assign(existing, product);
+    return;
+  }
+
+  removeFromIndex(id);
+  if (product.isActive === false) return;
+  products.set(id, product);
+  fuse.add(product);
+}
+
+/** Drops the index; the next search rebuilds it */
+function resetIndex() {
+  fuse = null;
+  products = new Map();
+}
+
+function applyEvent({ type, productId, product }) {
+  if (type === "bulk") {
+    // Large imports are cheaper to pick up with a single rebuild
+    resetIndex();
+    return;
+  }
+  if (!product) removeFromIndex(productId);
+  else upsertInIndex(product);
+}
+
+productService.catalogEvents.on("change", (event) => {
+  if (building) pendingEvents.push(event);
+  else if (fuse) applyEvent(event);
+});
+
+// ──────────────────────────────────────────────
+// Build
+// ──────────────────────────────────────────────
+/**
+ * Rebuilds the index from the data store, replaying writes made meanwhile.
+ * A bulk import during the build leaves the index empty instead, so the
+ * next search builds it again from the imported catalog.
+ */
+function rebuildIndex() {
+  if (building) return building;
+
+  pendingEvents = [];
+  building = productService
+    .getAllForSearch()
+    .then((all) => {
+      if (pendingEvents.some((e) => e.type === "bulk")) {
+        resetIndex();
+        return getIndexStats();
+      }
+      products = new Map(all.map((p) => [idOf(p), p]));
+      fuse = buildFuseIndex([...products.values()]);
+      builtAt = new Date();
+      pendingEvents.forEach(applyEvent);
+      return getIndexStats();
+    })
+    .finally(() => {
+      pendingEvents = [];
+      building = null;
+    });
+  return building;
+}
+
+async function ensureIndex() {
+  while (!fuse) await rebuildIndex();
+}
+
+// ──────────────────────────────────────────────
+// Public API
+// ──────────────────────────────────────────────
+/**
+ * Fuzzy search over the whole index.
+ * @param {string} query
+ * @returns {Promise<{ item: Object, score: number }[]>}
+ */
+async function searchIndex(query) {
+  await ensureIndex();
+  return query ? fuse.search(query) : [];
+}
+
+/** All indexed (active) products */
+async function getIndexedProducts() {
+  await ensureIndex();
+  return [...products.values()];
+}
+
+function getIndexStats() {
+  return {
+    ready: Boolean(fuse),
+    rebuilding: Boolean(building),
+    size: products.size,
+    builtAt: builtAt ? builtAt.toISOString() : null,
+  };
+}
+
+module.exports = { searchIndex, getIndexedProducts, rebuildIndex, getIndexStats };
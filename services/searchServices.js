@@ -2,19 +2,49 @@
  * SearchService
  * ─────────────
  * Orchestrates the full search pipeline:
- *  1. Query parsing    (Hinglish, spelling fix, intent/entity extraction)
- *  2. Candidate fetch  (MongoDB full-text search OR in-memory Fuse.js)
+ *  1. Query parsing    (Hinglish, spelling fix, intent/entity extraction,
+ *                       synonym expansion)
+ *     + "did you mean" spelling suggestions learnt from the catalog
+ *  2. Candidate fetch  (MongoDB full-text search OR the persistent Fuse.js index)
  *  3. Ranking          (composite score algorithm)
- *  4. Post-processing  (pagination, debug scores)
+ *  4. Post-processing  (facets, variant collapsing, pagination, debug scores)
+ *  5. Analytics        (every call is logged, fire-and-forget)
+ *
+ * Responses are cached per parsed query + options (see SearchCacheService);
+ * a cache hit skips steps 2-4.
  */
 
 const Product = require("../models/Product");
-const inMemoryStore = require("../store/inMemoryStore");
 
 const { parseQuery } = require("../utils/queryParser");
-const { rankProducts, buildFuseIndex } = require("./rankingServices");
+const { rankProducts, sortRanked } = require("./rankingServices");
+const { getProfile, DEFAULT_PROFILE } = require("./rankingProfileServices");
+const { logSearch } = require("./analyticsServices");
+const { getCtrScores } = require("./eventServices");
+const { searchIndex, getIndexedProducts } = require("./searchIndexServices");
+const { computeFacets, DEFAULT_FACETS } = require("./facetServices");
+const {
+  applyFilterOverrides,
+  toMongoFilter,
+  toMongoNumericFilter,
+  matchesFilters,
+  matchesNumericFilters,
+} = require("./filterServices");
+const { getVariantSummaries } = require("./variantGroupServices");
+const { correctQuery, countWordHits } = require("./spellCorrectServices");
+const { getSynonymTable } = require("./synonymServices");
+const { getAttributeSchemas } = require("./attributeSchemaServices");
+const { expandCategory } = require("./categoryServices");
+const { getServiceability } = require("./warehouseServices");
+const { availabilityFor } = require("./inventoryServices");
+const { unitPriceFor, toMongoUnitPriceClauses } = require("./pricingServices");
+const searchCache = require("./searchCacheServices");
 
 const MAX_RESULTS = parseInt(process.env.MAX_SEARCH_RESULTS || "100", 10);
+// A spelling suggestion must hit at least this many times more products
+const DID_YOU_MEAN_MIN_GAIN = 2;
+// Misspelled queries matching fewer products than this re-run spell-corrected
+const DID_YOU_MEAN_MAX_MATCHES = parseInt(process.env.DID_YOU_MEAN_MAX_MATCHES || "10", 10);
 const useDB = () => process.env.USE_IN_MEMORY !== "true";
 
 // ──────────────────────────────────────────────
@@ -29,33 +59,96 @@ const toPlain = (doc) => {
   return obj;
 };
 
+/**
+ * Fuse hits for the query and for each synonym rewrite of it
+ * ("boat earbuds" → "boat earphones", "boat tws"), best score per product.
+ */
+async function searchIndexExpanded(parsedQuery) {
+  const { normalised, expansions = [] } = parsedQuery;
+  const queries = [
+    normalised || "",
+    ...expansions.flatMap(({ term, synonyms }) =>
+      synonyms.map((synonym) => ` ${normalised} `.replace(` ${term} `, ` ${synonym} `).trim())
+    ),
+  ];
+
+  const best = new Map();
+  for (const query of queries) {
+    for (const r of await searchIndex(query)) {
+      const id = String(r.item._id);
+      if (!best.has(id) || (r.score ?? 0) < (best.get(id).score ?? 0)) best.set(id, r);
+    }
+  }
+  return [...best.values()].sort((a, b) => (a.score ?? 0) - (b.score ?? 0));
+}
+
+/** Ranked products that actually matched the query (not fallback filler) */
+const matchedOf = ({ ranked, matchedIds }) => ranked.filter((p) => matchedIds.has(String(p._id)));
+
+/** Keeps the first (best-ranked) product of each variant group */
+const collapseByVariantGroup = (ranked) => {
+  const seenGroups = new Set();
+  return ranked.filter((p) => {
+    if (!p.variantGroupId) return true;
+    if (seenGroups.has(p.variantGroupId)) return false;
+    seenGroups.add(p.variantGroupId);
+    return true;
+  });
+};
+
 // ──────────────────────────────────────────────
 // Phase 1: Candidate retrieval via MongoDB
 // ──────────────────────────────────────────────
 async function fetchCandidatesFromDB(parsedQuery, filterOpts) {
-  const { normalised, tokens, brand, color, maxPrice, minPrice, storageGB } = parsedQuery;
+  const { normalised, tokens, expandedTokens = [], brand, color, maxPrice, minPrice, storageGB } =
+    parsedQuery;
 
   const filter = { isActive: true };
 
-  // Price range
-  if (maxPrice || minPrice) {
+  // Price range (at a quantity: on the unit price, added below)
+  if ((maxPrice != null || minPrice != null) && !filterOpts.qty) {
     filter.price = {};
-    if (maxPrice) filter.price.$lte = maxPrice;
-    if (minPrice) filter.price.$gte = minPrice;
+    if (maxPrice != null) filter.price.$lte = maxPrice;
+    if (minPrice != null) filter.price.$gte = minPrice;
   }
 
-  // Category override from caller
-  if (filterOpts.category) filter.category = filterOpts.category;
+  // Category override from caller (with its subcategories)
+  if (filterOpts.categories) filter.category = { $in: filterOpts.categories };
 
   // Brand exact-ish match
   if (brand) filter.brand = new RegExp(brand, "i");
 
+  // Thresholds parsed from the query ("4+ stars", "at least 5000mah")
+  Object.assign(
+    filter,
+    toMongoNumericFilter(parsedQuery.numericFilters, filterOpts.attributeSchemas)
+  );
+
+  // Explicit filters from the caller win over parser-derived ones
+  Object.assign(filter, toMongoFilter(filterOpts.filters, filterOpts.attributeSchemas));
+
+  // Pincode: stocked at a warehouse that delivers there
+  if (filterOpts.serviceability) {
+    const warehouseCodes = [...filterOpts.serviceability.keys()];
+    filter.inventory = {
+      $elemMatch: { warehouseCode: { $in: warehouseCodes }, stock: { $gt: 0 } },
+    };
+  }
+
+  if ((maxPrice != null || minPrice != null) && filterOpts.qty) {
+    const clauses = toMongoUnitPriceClauses({ minPrice, maxPrice }, filterOpts.qty);
+    filter.$and = [...(filter.$and || []), ...clauses];
+  }
+
   let candidates = [];
-  console.log("Porduct details" , Product)
-  // a) Full-text search
+  const matchedIds = new Set();
+  const markMatched = (docs) => docs.forEach((d) => matchedIds.add(String(d._id)));
+
+  // a) Full-text search ($text ORs the words, so synonyms just widen it)
   if (normalised) {
+    const textSearch = [normalised, ...expandedTokens].join(" ");
     const textResults = await Product.find(
-      { ...filter, $text: { $search: normalised } },
+      { ...filter, $text: { $search: textSearch } },
       { score: { $meta: "textScore" } }
     )
       .sort({ score: { $meta: "textScore" } })
@@ -63,10 +156,11 @@ async function fetchCandidatesFromDB(parsedQuery, filterOpts) {
       .lean({ virtuals: true });
 
     candidates.push(...textResults);
+    markMatched(textResults);
   }
 
   // b) Regex fallback on title/brand (catches typo survivors + short queries)
-  const regexTerms = tokens.map((t) => new RegExp(t, "i"));
+  const regexTerms = [...tokens, ...expandedTokens].map((t) => new RegExp(t, "i"));
   if (regexTerms.length) {
     const regexResults = await Product.find({
       ...filter,
@@ -79,9 +173,11 @@ async function fetchCandidatesFromDB(parsedQuery, filterOpts) {
       .limit(MAX_RESULTS * 2)
       .lean({ virtuals: true });
     candidates.push(...regexResults);
+    markMatched(regexResults);
   }
 
   // c) If nothing yet, fetch top products by category or brand
+  //    (not marked as matched — these are filler, not query hits)
   if (candidates.length === 0) {
     candidates = await Product.find(filter)
       .sort({ rating: -1, unitsSold: -1 })
@@ -91,7 +187,7 @@ async function fetchCandidatesFromDB(parsedQuery, filterOpts) {
 
   // Deduplicate by _id
   const seen = new Set();
-  return candidates
+  const unique = candidates
     .map(toPlain)
     .filter((p) => {
       const id = String(p._id);
@@ -100,27 +196,29 @@ async function fetchCandidatesFromDB(parsedQuery, filterOpts) {
       return true;
     })
     .slice(0, MAX_RESULTS * 2);
+
+  return { candidates: unique, matchedIds };
 }
 
 // ──────────────────────────────────────────────
-// Phase 1 (alt): Candidate retrieval via Fuse.js
+// Phase 1 (alt): Candidate retrieval via the persistent Fuse.js index
 // ──────────────────────────────────────────────
 async function fetchCandidatesFromMemory(parsedQuery, filterOpts) {
-  let allProducts = inMemoryStore.findAll({ limit: 1000000 }).map(toPlain);
-console.log("All prduct details",allProducts)
-  // Apply hard filters before fuzzy search
-  if (filterOpts.category) {
-    allProducts = allProducts.filter((p) => p.category === filterOpts.category);
-  }
-  if (parsedQuery.maxPrice) {
-    allProducts = allProducts.filter((p) => p.price <= parsedQuery.maxPrice);
-  }
-  if (parsedQuery.minPrice) {
-    allProducts = allProducts.filter((p) => p.price >= parsedQuery.minPrice);
-  }
+  // Hard filters are applied to index hits instead of before indexing,
+  // so the shared index never has to be rebuilt per request
+  const priceOf = (p) => (filterOpts.qty ? unitPriceFor(p, filterOpts.qty).unitPrice : p.price);
+  const passesFilters = (p) =>
+    (!filterOpts.categories || filterOpts.categories.includes(p.category)) &&
+    (parsedQuery.maxPrice == null || priceOf(p) <= parsedQuery.maxPrice) &&
+    (parsedQuery.minPrice == null || priceOf(p) >= parsedQuery.minPrice) &&
+    matchesNumericFilters(p, parsedQuery.numericFilters, filterOpts.attributeSchemas) &&
+    (!filterOpts.filters || matchesFilters(p, filterOpts.filters, filterOpts.attributeSchemas)) &&
+    (!filterOpts.serviceability || availabilityFor(p, filterOpts.serviceability).serviceable);
 
-  const fuse = buildFuseIndex(allProducts);
-  const results = fuse.search(parsedQuery.normalised || "", { limit: MAX_RESULTS * 2 });
+  const allProducts = (await getIndexedProducts()).filter(passesFilters);
+  const results = (await searchIndexExpanded(parsedQuery))
+    .filter((r) => passesFilters(r.item))
+    .slice(0, MAX_RESULTS * 2);
 
   // If few results, supplement with full catalog (ranking will sort it out)
   let candidates;
@@ -132,54 +230,215 @@ console.log("All prduct details",allProducts)
     candidates = results.map((r) => r.item);
   }
 
-  return { candidates, fuseResults: results };
+  const matchedIds = new Set(results.map((r) => String(r.item._id)));
+  return { candidates, fuseResults: results, matchedIds };
 }
 
 // ──────────────────────────────────────────────
-// Main search function
+// Phase 2: Retrieval + ranking for one parsed query
 // ──────────────────────────────────────────────
 /**
- * @param {string} rawQuery
- * @param {{ page?: number, limit?: number, category?: string, debug?: boolean }} opts
+ * @param {{ categories?: string[], serviceability?: Map, qty?: number }} opts -
+ *        categories: the requested category and its subcategories;
+ *        serviceability: the warehouses serving the requested pincode;
+ *        qty: units per order, for quantity price tiers
+ * @returns {Promise<{ ranked: Object[], matchedIds: Set<string> }>} matchedIds
+ *          excludes fallback filler
  */
-async function search(rawQuery, opts = {}) {
-  const { page = 1, limit = 20, category, debug = false } = opts;
-
-  // 1. Parse query
-  const parsedQuery = parseQuery(rawQuery);
+async function retrieveAndRank(
+  parsedQuery,
+  { categories, filters, attributeSchemas, serviceability, qty, sort, profile }
+) {
+  const filterOpts = { categories, filters, attributeSchemas, serviceability, qty };
 
-  // 2. Retrieve candidates
+  // Retrieve candidates
   let candidates;
+  let matchedIds;
   let fuseScoreMap = new Map();
 
   if (useDB()) {
-    candidates = await fetchCandidatesFromDB(parsedQuery, { category });
-    // For DB mode, build a Fuse index on candidates for the relevance score
-    const fuse = buildFuseIndex(candidates);
-    const fuseResults = fuse.search(parsedQuery.normalised || "");
+    ({ candidates, matchedIds } = await fetchCandidatesFromDB(parsedQuery, filterOpts));
+    // For DB mode, take the relevance score from the persistent index
+    const candidateIds = new Set(candidates.map((p) => String(p._id)));
+    const fuseResults = await searchIndexExpanded(parsedQuery);
     fuseResults.forEach((r) => {
       const id = String(r.item._id);
-      fuseScoreMap.set(id, r.score ?? 0);
+      if (candidateIds.has(id)) fuseScoreMap.set(id, r.score ?? 0);
     });
   } else {
-    const { candidates: c, fuseResults } = await fetchCandidatesFromMemory(parsedQuery, {
-      category,
-    });
+    const { candidates: c, fuseResults, matchedIds: m } = await fetchCandidatesFromMemory(
+      parsedQuery,
+      filterOpts
+    );
     candidates = c;
+    matchedIds = m;
     fuseResults.forEach((r) => {
       const id = String(r.item._id);
       fuseScoreMap.set(id, r.score ?? 0);
     });
   }
 
-  // 3. Rank candidates
-  const ranked = rankProducts(candidates, parsedQuery, fuseScoreMap);
+  // Delivery estimates for the pincode feed the availability score
+  if (serviceability) {
+    candidates = candidates.map((p) => ({
+      ...p,
+      availability: availabilityFor(p, serviceability),
+    }));
+  }
 
-  // 4. Paginate
+  // Unit prices at the order quantity feed price, discount and intent scores
+  if (qty) {
+    candidates = candidates.map((p) => ({ ...p, quantityPricing: unitPriceFor(p, qty) }));
+  }
+
+  // Rank candidates. Explicit sorts drop the fallback filler that only
+  // makes sense when ordered by relevance, then re-order.
+  // A reload may have dropped the requested profile since it was validated
+  const rankingProfile = getProfile(profile) || getProfile(DEFAULT_PROFILE);
+  const ctrMap = rankingProfile.weights.ctr
+    ? await getCtrScores(parsedQuery.normalised, candidates.map((p) => String(p._id)))
+    : new Map();
+  let ranked = rankProducts(candidates, parsedQuery, fuseScoreMap, rankingProfile, ctrMap);
+  if (sort !== "relevance") {
+    ranked = sortRanked(
+      ranked.filter((p) => matchedIds.has(String(p._id))),
+      sort
+    );
+  }
+
+  return { ranked, matchedIds };
+}
+
+// ──────────────────────────────────────────────
+// Main search function
+// ──────────────────────────────────────────────
+/**
+ * @param {string} rawQuery
+ * @param {{ page?: number, limit?: number, category?: string, debug?: boolean, facets?: string[], filters?: Object, sort?: string, profile?: string, collapseVariants?: boolean }} opts
+ *        filters          — normalised explicit filters (see filterServices)
+ *        sort             — one of rankingServices.SORT_OPTIONS (default "relevance")
+ *        profile          — ranking profile name (default "default")
+ *        collapseVariants — one result per variant group, with the group's options
+ *        pincode          — only products deliverable there, ranked by delivery time too
+ *        qty              — units per order: filter, rank and sort on the unit price then
+ *        nocache          — skip the response cache (read and write)
+ * @returns {Promise<Object>} response body plus `cacheStatus`: "HIT" | "MISS" | "BYPASS".
+ *          meta.didYouMean is a spell-corrected query that finds far more
+ *          products; meta.correctedQuery is set when results are for it instead
+ *          of the query as typed (the original matched nothing).
+ */
+async function search(rawQuery, opts = {}) {
+  const {
+    page = 1,
+    limit = 20,
+    category,
+    debug = false,
+    facets = DEFAULT_FACETS,
+    filters = {},
+    sort = "relevance",
+    profile = DEFAULT_PROFILE,
+    collapseVariants = false,
+    pincode,
+    qty,
+    nocache = false,
+  } = opts;
+  const startTime = Date.now();
+
+  // 1. Parse query, then let explicit filters override inferred entities
+  const [synonyms, attributeSchemas] = await Promise.all([
+    getSynonymTable(),
+    getAttributeSchemas(),
+  ]);
+  const parsedQuery = applyFilterOverrides(parseQuery(rawQuery, { synonyms }), filters);
+
+  const recordSearch = ({ ranked, matchedCount }) =>
+    logSearch({
+      rawQuery,
+      parsedQuery,
+      opts: { page, category, filters, sort, profile },
+      ranked,
+      matchedCount,
+      latencyMs: Date.now() - startTime,
+    });
+
+  // Identical search seen recently? Serve it, but still record it
+  const cacheKey = searchCache.searchCacheKey(rawQuery, parsedQuery, {
+    page,
+    limit,
+    category,
+    debug,
+    facets,
+    filters,
+    sort,
+    profile,
+    collapseVariants,
+    pincode,
+    qty,
+  });
+  const cached = searchCache.lookup(cacheKey, { bypass: nocache });
+  if (cached.status === "HIT") {
+    const { response, corrections } = cached.entry;
+    parsedQuery.corrections = corrections;
+    recordSearch(cached.entry);
+    return { ...response, meta: { ...response.meta, query: rawQuery }, cacheStatus: "HIT" };
+  }
+
+  // 2-3. Retrieve and rank candidates
+  // An unknown category is kept as-is, so it matches nothing
+  const categories = category ? (await expandCategory(category)) || [category] : null;
+  const serviceability = pincode ? await getServiceability(pincode) : null;
+  const rankOpts = { categories, filters, attributeSchemas, serviceability, qty, sort, profile };
+  let { ranked, matchedIds } = await retrieveAndRank(parsedQuery, rankOpts);
+
+  // 3b. "Did you mean": suggest a spell-corrected query when its corrected
+  //     words hit clearly more products than the typed words do. Queries
+  //     that already matched plenty are judged on those matches alone; the
+  //     rest re-run the corrected query, and if the typed words hit nothing,
+  //     serve the corrected results instead.
+  let didYouMean = null;
+  let correctedQuery = null;
+  const spelling = await correctQuery(parsedQuery.normalised);
+  if (spelling.correctedQuery) {
+    const matched = matchedOf({ ranked, matchedIds });
+    const rerun = matched.length < DID_YOU_MEAN_MAX_MATCHES;
+    let corrected = null;
+    if (rerun) {
+      const correctedParse = applyFilterOverrides(
+        parseQuery(spelling.correctedQuery, { synonyms }),
+        filters
+      );
+      corrected = await retrieveAndRank(correctedParse, rankOpts);
+    }
+    const typedHits = countWordHits(matched, spelling.corrections.map((c) => c.from));
+    const correctedHits = countWordHits(
+      corrected ? matchedOf(corrected) : matched,
+      spelling.corrections.map((c) => c.to)
+    );
+    if (correctedHits >= Math.max(1, typedHits * DID_YOU_MEAN_MIN_GAIN)) {
+      didYouMean = spelling.correctedQuery;
+      parsedQuery.corrections = [...parsedQuery.corrections, ...spelling.corrections];
+      if (corrected && typedHits === 0) {
+        correctedQuery = spelling.correctedQuery;
+        ({ ranked, matchedIds } = corrected);
+      }
+    }
+  }
+
+  // 4. Facets over the full ranked set (before collapsing and pagination,
+  //    so counts stay per SKU)
+  const facetCounts = computeFacets(ranked, facets, attributeSchemas);
+
+  // 5. Collapse variant groups to their best-ranked representative
+  const results = collapseVariants ? collapseByVariantGroup(ranked) : ranked;
+
+  // 6. Paginate
   const skip = (page - 1) * limit;
-  const paginated = ranked.slice(skip, skip + limit);
+  const paginated = results.slice(skip, skip + limit);
+  const variantSummaries = collapseVariants
+    ? await getVariantSummaries(paginated.map((p) => p.variantGroupId).filter(Boolean))
+    : new Map();
 
-  // 5. Shape response
+  // 7. Shape response
   const data = paginated.map((p) => {
     const item = {
       productId: p._id || p.id,
@@ -198,23 +457,64 @@ async function search(rawQuery, opts = {}) {
       color: p.color,
       fulfillmentType: p.fulfillmentType,
     };
+    if (p.buyBox) {
+      // Price, stock and fulfillment above are the buy-box offer's
+      const { sellerId, sellerName, sellerRating } = p.buyBox;
+      item.buyBox = { sellerId, sellerName, sellerRating };
+      item.offerCount = p.offers.length;
+    }
+    if (p.availability) {
+      const [fastest] = p.availability.warehouses;
+      item.delivery = {
+        pincode,
+        deliveryDays: p.availability.deliveryDays,
+        warehouseCode: fastest.code,
+        stock: p.availability.stock,
+      };
+    }
+    if (p.quantityPricing) {
+      // sellingPrice above stays the single-unit price
+      item.quantityPricing = p.quantityPricing;
+    }
+    if (variantSummaries.has(p.variantGroupId)) {
+      item.variantGroup = variantSummaries.get(p.variantGroupId);
+    }
     if (debug) {
       item._scores = p._scores;
     }
     return item;
   });
 
-  return {
+  // 8. Record analytics without delaying the response
+  const matchedCount = matchedOf({ ranked, matchedIds }).length;
+  recordSearch({ ranked, matchedCount });
+
+  const response = {
     data,
+    facets: facetCounts,
     meta: {
       query: rawQuery,
       parsedQuery: debug ? parsedQuery : undefined,
-      totalCandidates: ranked.length,
+      filters,
+      sort,
+      profile,
+      collapseVariants,
+      didYouMean,
+      correctedQuery,
+      totalCandidates: results.length,
       page,
       limit,
-      totalPages: Math.ceil(ranked.length / limit),
+      totalPages: Math.ceil(results.length / limit),
     },
   };
+  if (cached.status === "MISS") {
+    searchCache.store(
+      cacheKey,
+      { response, ranked, matchedCount, corrections: parsedQuery.corrections },
+      cached.generation
+    );
+  }
+  return { ...response, cacheStatus: cached.status };
 }
 
 module.exports = { search };
\ No newline at end of file
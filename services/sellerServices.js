@@ -0,0 +1,154 @@
+/**
+ * SellerService
+ * ─────────────
+ * Merchants that list offers on products. A seller's name, rating and
+ * active flag feed buy-box selection, so changing them re-runs it for
+ * every product the seller offers (see OfferService).
+ *
+ * Transparently uses MongoDB when connected, or the in-memory store.
+ */
+
+const Seller = require("../models/Seller");
+const sellerStore = require("../store/sellerStore");
+const productService = require("./productServices");
+
+const useDB = () => process.env.USE_IN_MEMORY !== "true";
+
+// Fields copied onto offers or read by buy-box selection
+const BUY_BOX_FIELDS = ["name", "rating", "isActive"];
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+const idOf = (doc) => String(doc._id || doc.id);
+
+const toResponse = (doc) => {
+  if (!doc) return null;
+  const obj = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const { __v, ...rest } = obj;
+  return { ...rest, _id: idOf(obj), id: idOf(obj) };
+};
+
+const httpError = (statusCode, message, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+async function findByName(name) {
+  if (useDB()) {
+    const pattern = new RegExp(`^${escapeRegExp(name)}$`, "i");
+    return toResponse(await Seller.findOne({ name: pattern }).lean());
+  }
+  return toResponse(sellerStore.findByName(name));
+}
+
+/** Seller names are unique, ignoring case */
+async function assertNameFree(name, id = null) {
+  const existing = await findByName(name);
+  if (existing && existing._id !== id) {
+    throw httpError(409, `A seller named "${existing.name}" already exists`);
+  }
+}
+
+// ──────────────────────────────────────────────
+// Reads
+// ──────────────────────────────────────────────
+/** @param {{ isActive?: boolean }} [filters] */
+async function listSellers({ isActive } = {}) {
+  if (useDB()) {
+    const filter = isActive === undefined ? {} : { isActive };
+    return (await Seller.find(filter).sort({ name: 1 }).lean()).map(toResponse);
+  }
+  return sellerStore.findAll({ isActive }).map(toResponse);
+}
+
+async function getSeller(id) {
+  if (useDB()) return toResponse(await Seller.findById(id).lean());
+  return toResponse(sellerStore.findById(id));
+}
+
+/**
+ * Sellers by id, for buy-box selection; unknown ids are left out.
+ * @param {string[]} ids
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function getSellersByIds(ids) {
+  const wanted = [...new Set(ids.map(String))];
+  if (wanted.length === 0) return new Map();
+  const sellers = useDB()
+    ? (await Seller.find({ _id: { $in: wanted } }).lean()).map(toResponse)
+    : wanted.map((id) => toResponse(sellerStore.findById(id))).filter(Boolean);
+  return new Map(sellers.map((s) => [s._id, s]));
+}
+
+// ──────────────────────────────────────────────
+// Changes
+// ──────────────────────────────────────────────
+/**
+ * @param {{ name: string, rating?: number, ratingCount?: number, isActive?: boolean,
+ *           description?: string }} data
+ */
+async function createSeller(data) {
+  await assertNameFree(data.name);
+  if (useDB()) return toResponse(await Seller.create(data));
+  return toResponse(sellerStore.create(data));
+}
+
+/**
+ * Updates a seller; name, rating or active changes re-run buy-box
+ * selection on every product the seller offers.
+ * @param {{ actor?: string }} [opts] - recorded in those products' history
+ * @returns {Promise<Object|null>} null if no such seller
+ */
+async function updateSeller(id, updates, { actor } = {}) {
+  const before = await getSeller(id);
+  if (!before) return null;
+  if (updates.name !== undefined) await assertNameFree(updates.name, before._id);
+
+  const seller = useDB()
+    ? toResponse(
+        await Seller.findByIdAndUpdate(before._id, updates, { new: true, runValidators: true })
+      )
+    : toResponse(sellerStore.updateById(before._id, updates));
+
+  if (BUY_BOX_FIELDS.some((f) => updates[f] !== undefined && updates[f] !== before[f])) {
+    // Required lazily: OfferService needs this module for seller lookups
+    await require("./offerServices").refreshSellerOffers(seller._id, { actor });
+  }
+  return seller;
+}
+
+/**
+ * Deletes a seller with no offers left; suspend (isActive: false) to take
+ * a seller out of the buy box without removing their offers.
+ * @returns {Promise<Object|null>} the deleted seller, or null if no such seller
+ */
+async function deleteSeller(id) {
+  const seller = await getSeller(id);
+  if (!seller) return null;
+
+  const products = await productService.getProductsBySeller(seller._id);
+  if (products.length > 0) {
+    throw httpError(
+      409,
+      `Seller ${seller.name} still has offers on ${products.length} product(s); remove them first`
+    );
+  }
+
+  if (useDB()) await Seller.findByIdAndDelete(seller._id);
+  else sellerStore.deleteById(seller._id);
+  return seller;
+}
+
+module.exports = {
+  listSellers,
+  getSeller,
+  getSellersByIds,
+  createSeller,
+  updateSeller,
+  deleteSeller,
+};
@@ -0,0 +1,140 @@
+/**
+ * SpellCorrectService
+ * ───────────────────
+ * "Did you mean" corrections learnt from the live catalog.
+ *
+ * The dictionary is every word in product titles, brands, models and
+ * searchTags, weighted by how often it occurs, plus the words the query
+ * parser itself understands (intents, colors, SPELLING_MAP / Hinglish
+ * targets). It is rebuilt in the background every SPELL_DICTIONARY_REFRESH_MS;
+ * a failed rebuild keeps the previous dictionary.
+ *
+ * Runs on the parser's normalised query, i.e. after SPELLING_MAP and the
+ * Hinglish dictionary have been applied, so those hand-written overrides win.
+ *
+ * A word is corrected only when it is not in the dictionary, is at least
+ * MIN_WORD_LENGTH letters with no digits ("s24" is a model, not a typo),
+ * and a dictionary word lies within its typo budget (maxTyposFor).
+ * Closest word wins; ties go to the more frequent word.
+ */
+
+const productService = require("./productServices");
+const { SPELLING_MAP, COLOR_KEYWORDS, BRANDS, getHinglishMap } = require("../utils/queryParser");
+const { levenshtein, maxTyposFor } = require("../utils/editDistance");
+const { createRefreshingCache } = require("../utils/refreshingCache");
+
+const REFRESH_MS = parseInt(process.env.SPELL_DICTIONARY_REFRESH_MS || "300000", 10);
+const MIN_WORD_LENGTH = 4;
+
+// Words the parser acts on that may not appear in any product text
+const PARSER_WORDS = [
+  "cheap", "budget", "latest", "new", "newest", "recent", "best", "premium", "flagship",
+  "more", "storage", "memory", "high", "large", "strong", "tough", "rugged", "durable",
+  "under", "below", "less", "than", "upto", "within", "rupee", "rupees",
+];
+
+// ──────────────────────────────────────────────
+// Dictionary
+// ──────────────────────────────────────────────
+const wordsOf = (text) => String(text || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+
+/** @returns {Promise<{ words: Map<string, number>, lengths: Map<number, string[]> }>} */
+async function buildDictionary() {
+  const words = new Map();
+  const add = (word, n = 1) => {
+    if (word.length >= 2) words.set(word, (words.get(word) || 0) + n);
+  };
+
+  const products = await productService.getAllForSearch();
+  for (const p of products) {
+    [p.title, p.brand, p.model, ...(p.searchTags || [])].forEach((text) =>
+      wordsOf(text).forEach((w) => add(w))
+    );
+  }
+  [
+    ...PARSER_WORDS,
+    ...COLOR_KEYWORDS,
+    ...BRANDS,
+    ...Object.values(SPELLING_MAP),
+    ...Object.values(getHinglishMap()),
+  ].forEach((text) => wordsOf(text).forEach((w) => add(w, 0)));
+
+  const lengths = new Map();
+  for (const word of words.keys()) {
+    lengths.set(word.length, [...(lengths.get(word.length) || []), word]);
+  }
+  return { words, lengths };
+}
+
+const dictionary = createRefreshingCache(buildDictionary, REFRESH_MS, {
+  name: "spelling dictionary",
+});
+
+// ──────────────────────────────────────────────
+// Correction
+// ──────────────────────────────────────────────
+/** Closest dictionary word within the typo budget, or null */
+function closestWord({ words, lengths }, word) {
+  const maxTypos = maxTyposFor(word);
+  let best = null;
+  for (let len = word.length - maxTypos; len <= word.length + maxTypos; len++) {
+    for (const candidate of lengths.get(len) || []) {
+      const distance = levenshtein(word, candidate, maxTypos);
+      if (distance > maxTypos) continue;
+      const frequency = words.get(candidate);
+      if (
+        !best ||
+        distance < best.distance ||
+        (distance === best.distance && frequency > best.frequency)
+      ) {
+        best = { word: candidate, distance, frequency };
+      }
+    }
+  }
+  return best && best.word;
+}
+
+const isCorrectable = ({ words }, word) =>
+  word.length >= MIN_WORD_LENGTH && /^[a-z]+$/.test(word) && !words.has(word);
+
+/**
+ * @param {string} normalisedQuery - parsedQuery.normalised
+ * @returns {Promise<{ correctedQuery: string|null, corrections: { from: string, to: string }[] }>}
+ *          correctedQuery is null when every word is already known
+ */
+async function correctQuery(normalisedQuery) {
+  const corrections = [];
+  if (!normalisedQuery) return { correctedQuery: null, corrections };
+  const dict = await dictionary.get();
+
+  const corrected = normalisedQuery.replace(/[a-z0-9]+/g, (word) => {
+    if (!isCorrectable(dict, word)) return word;
+    const replacement = closestWord(dict, word);
+    if (!replacement) return word;
+    corrections.push({ from: word, to: replacement });
+    return replacement;
+  });
+
+  return { correctedQuery: corrections.length ? corrected : null, corrections };
+}
+
+/**
+ * How many products contain every one of the words in their title, brand,
+ * model or searchTags — a stricter notion of "matched" than a fuzzy hit,
+ * used to tell whether a correction actually finds better results.
+ */
+function countWordHits(products, words) {
+  return products.filter((p) => {
+    const text = new Set(
+      [p.title, p.brand, p.model, ...(p.searchTags || [])].flatMap((t) => wordsOf(t))
+    );
+    return words.every((w) => text.has(w));
+  }).length;
+}
+
+/** Drops the dictionary so the next request rebuilds it */
+function invalidateSpellDictionary() {
+  dictionary.invalidate();
+}
+
+module.exports = { correctQuery, countWordHits, invalidateSpellDictionary };
@@ -0,0 +1,139 @@
+/**
+ * SuggestService
+ * ──────────────
+ * Typeahead completions for the search box.
+ *
+ * A suggestion vocabulary is built from the catalog (titles, brand + model
+ * phrases, the category tree) plus the parser's dictionaries (BRANDS, SPELLING_MAP,
+ * Hinglish) and kept in process memory. Each keystroke is a linear scan
+ * over that vocabulary — no Fuse index is built per request.
+ *
+ * Matching, best first:
+ *  1. exact prefix of the phrase
+ *  2. exact match starting at a later word in the phrase
+ *  3. typo-tolerant prefix (edit distance scaled to prefix length)
+ * Ties are broken by popularity weight (units sold across products).
+ */
+
+const productService = require("./productServices");
+const categoryService = require("./categoryServices");
+const { BRANDS, SPELLING_MAP, getHinglishMap } = require("../utils/queryParser");
+const { prefixDistance, maxTyposFor } = require("../utils/editDistance");
+const { createRefreshingCache } = require("../utils/refreshingCache");
+
+const REFRESH_MS = parseInt(process.env.SUGGEST_REFRESH_MS || "60000", 10);
+
+// ──────────────────────────────────────────────
+// Vocabulary cache
+// ──────────────────────────────────────────────
+const normalise = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+function addEntry(vocab, text, type, weight = 0, alias = null) {
+  const key = normalise(text);
+  if (!key) return;
+  const entry = vocab.get(key) || { text: key, type, weight: 0, aliases: new Set() };
+  entry.weight += weight;
+  if (alias) entry.aliases.add(normalise(alias));
+  vocab.set(key, entry);
+}
+
+async function buildVocabulary() {
+  const vocab = new Map();
+  const [products, categories] = await Promise.all([
+    productService.getAllForSearch(),
+    categoryService.listCategories(),
+  ]);
+
+  for (const p of products) {
+    const weight = Math.log1p(p.unitsSold || 0);
+    const brand = normalise(p.brand);
+    const model = normalise(p.model);
+
+    addEntry(vocab, p.title, "product", weight);
+    if (brand && model) {
+      // "samsung galaxy s24" and "samsung galaxy"
+      const modelPhrase = model.startsWith(brand) ? model : `${brand} ${model}`;
+      addEntry(vocab, modelPhrase, "model", weight);
+      const family = modelPhrase.split(" ").slice(0, brand.split(" ").length + 1).join(" ");
+      if (family !== modelPhrase) addEntry(vocab, family, "model", weight);
+    }
+    if (brand) addEntry(vocab, brand, "brand", weight);
+  }
+
+  BRANDS.forEach((b) => addEntry(vocab, b, "brand"));
+  categories.forEach((c) => {
+    addEntry(vocab, c.name, "category");
+    c.aliases.forEach((alias) => addEntry(vocab, c.name, "category", 0, alias));
+  });
+
+  // Misspellings / Hinglish words resolve to their corrected form
+  Object.entries(SPELLING_MAP).forEach(([wrong, right]) =>
+    addEntry(vocab, right, "correction", 0, wrong)
+  );
+  Object.entries(getHinglishMap()).forEach(([word, english]) =>
+    addEntry(vocab, english, "correction", 0, word)
+  );
+
+  return vocab;
+}
+
+// Map<text, { text, type, weight, aliases: Set<string> }>. Concurrent keystrokes
+// share one build; the previous vocabulary is served while a refresh runs.
+const vocabulary = createRefreshingCache(buildVocabulary, REFRESH_MS, {
+  name: "suggestion vocabulary",
+});
+
+// ──────────────────────────────────────────────
+// Matching
+// ──────────────────────────────────────────────
+/** Lower is better; null = no match */
+function matchRank(prefix, entry) {
+  const candidates = [entry.text, ...entry.aliases];
+
+  if (candidates.some((c) => c.startsWith(prefix))) return 0;
+  if (entry.text.includes(` ${prefix}`)) return 1;
+
+  const maxTypos = maxTyposFor(prefix);
+  if (maxTypos === 0) return null;
+  const distance = Math.min(...candidates.map((c) => prefixDistance(prefix, c, maxTypos)));
+  return distance <= maxTypos ? 1 + distance : null;
+}
+
+const TYPE_ORDER = { correction: 0, brand: 1, category: 2, model: 3, product: 4 };
+
+// ──────────────────────────────────────────────
+// Public API
+// ──────────────────────────────────────────────
+/**
+ * @param {string} rawPrefix - what the user has typed so far
+ * @param {{ limit?: number }} opts
+ * @returns {Promise<{ text: string, type: string }[]>}
+ */
+async function suggest(rawPrefix, { limit = 8 } = {}) {
+  const prefix = normalise(rawPrefix);
+  if (!prefix) return [];
+
+  const vocab = await vocabulary.get();
+  const matches = [];
+  for (const entry of vocab.values()) {
+    const rank = matchRank(prefix, entry);
+    if (rank !== null) matches.push({ entry, rank });
+  }
+
+  matches.sort(
+    (a, b) =>
+      a.rank - b.rank ||
+      b.entry.weight - a.entry.weight ||
+      TYPE_ORDER[a.entry.type] - TYPE_ORDER[b.entry.type] ||
+      a.entry.text.length - b.entry.text.length
+  );
+
+  return matches.slice(0, limit).map(({ entry }) => ({ text: entry.text, type: entry.type }));
+}
+
+/** Drops the cached vocabulary so the next request rebuilds it */
+function invalidateSuggestions() {
+  vocabulary.invalidate();
+}
+
+module.exports = { suggest, invalidateSuggestions };
@@ -0,0 +1,172 @@
+/**
+ * SynonymService
+ * ──────────────
+ * Merchandiser-managed synonym sets used to expand search queries
+ * ("earbuds" = "earphones" = "tws", "charger" → "adapter").
+ *
+ * Sets are compiled into one expansion table (term → extra terms) that
+ * search passes to parseQuery. The table is cached in process and
+ * rebuilt after any change made here, or every SYNONYM_REFRESH_MS to pick
+ * up changes made by other processes (MongoDB mode); a failed periodic
+ * rebuild keeps the previous table.
+ *
+ * Transparently uses MongoDB when connected, or the in-memory store.
+ */
+
+const SynonymSet = require("../models/SynonymSet");
+const synonymStore = require("../store/synonymStore");
+const { invalidateSearchCache } = require("./searchCacheServices");
+const { createRefreshingCache } = require("../utils/refreshingCache");
+
+const useDB = () => process.env.USE_IN_MEMORY !== "true";
+
+const REFRESH_MS = parseInt(process.env.SYNONYM_REFRESH_MS || "60000", 10);
+const SYNONYM_TYPES = ["two-way", "one-way"];
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+const idOf = (doc) => String(doc._id || doc.id);
+
+const toResponse = (doc) => {
+  if (!doc) return null;
+  const obj = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const { __v, ...rest } = obj;
+  return { ...rest, _id: idOf(obj), id: idOf(obj) };
+};
+
+const httpError = (statusCode, message, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+};
+
+/** Matches how parseQuery normalises queries: lowercase, single spaces */
+const normaliseTerm = (term) => String(term).toLowerCase().replace(/\s+/g, " ").trim();
+
+/** Normalises terms and checks the set still means something */
+function toSetFields({ type, input, synonyms, description }) {
+  const terms = [...new Set(synonyms.map(normaliseTerm).filter(Boolean))];
+  const fields = { type, synonyms: terms, description: description || "" };
+
+  if (type === "one-way") {
+    fields.input = normaliseTerm(input);
+    fields.synonyms = terms.filter((t) => t !== fields.input);
+    if (fields.synonyms.length === 0) {
+      throw httpError(400, "A one-way synonym set needs at least one synonym other than its input");
+    }
+  } else {
+    if (terms.length < 2) {
+      throw httpError(400, "A two-way synonym set needs at least two distinct terms");
+    }
+  }
+  return fields;
+}
+
+// ──────────────────────────────────────────────
+// Expansion table
+// ──────────────────────────────────────────────
+/** Compiles synonym sets into term → extra terms */
+function compileTable(sets) {
+  const expansions = new Map();
+  const add = (term, others) => {
+    const existing = expansions.get(term) || new Set();
+    others.filter((o) => o !== term).forEach((o) => existing.add(o));
+    expansions.set(term, existing);
+  };
+
+  for (const set of sets) {
+    if (set.type === "one-way") add(set.input, set.synonyms);
+    else set.synonyms.forEach((term) => add(term, set.synonyms));
+  }
+  return new Map([...expansions].map(([term, others]) => [term, [...others]]));
+}
+
+async function findAllSets() {
+  if (useDB()) return (await SynonymSet.find({}).sort({ createdAt: 1 }).lean()).map(toResponse);
+  return synonymStore.findAll().map(toResponse);
+}
+
+// Map<term, string[]>; the previous table is served while a rebuild runs
+const table = createRefreshingCache(async () => compileTable(await findAllSets()), REFRESH_MS, {
+  name: "synonym table",
+});
+
+/**
+ * Expansion table for parseQuery's `synonyms` option.
+ * @returns {Promise<Map<string, string[]>>}
+ */
+async function getSynonymTable() {
+  return table.get();
+}
+
+/** Forces a rebuild on next use and drops cached results expanded with the old rules */
+function onSynonymsChanged() {
+  table.invalidate();
+  invalidateSearchCache();
+}
+
+// ──────────────────────────────────────────────
+// CRUD
+// ──────────────────────────────────────────────
+/** @param {{ type?: string, term?: string }} [filter] - term matches input or any synonym */
+async function listSynonymSets({ type, term } = {}) {
+  const wanted = term ? normaliseTerm(term) : null;
+  return (await findAllSets()).filter(
+    (s) =>
+      (!type || s.type === type) &&
+      (!wanted || s.input === wanted || s.synonyms.includes(wanted))
+  );
+}
+
+async function getSynonymSet(id) {
+  if (useDB()) return toResponse(await SynonymSet.findById(id).lean());
+  return toResponse(synonymStore.findById(id));
+}
+
+/**
+ * @param {{ type: "two-way"|"one-way", input?: string, synonyms: string[],
+ *           description?: string }} data
+ */
+async function createSynonymSet(data) {
+  const fields = toSetFields(data);
+  const set = useDB()
+    ? toResponse(await SynonymSet.create(fields))
+    : toResponse(synonymStore.create(fields));
+  onSynonymsChanged();
+  return set;
+}
+
+/** Replaces every field of a set; returns null if it does not exist */
+async function replaceSynonymSet(id, data) {
+  const fields = toSetFields(data);
+  const { input, ...rest } = fields;
+  const update = input ? { $set: fields } : { $set: rest, $unset: { input: 1 } };
+  const set = useDB()
+    ? await SynonymSet.findByIdAndUpdate(id, update, { new: true, runValidators: true }).lean()
+    : synonymStore.replaceById(id, fields);
+  if (set) onSynonymsChanged();
+  return toResponse(set);
+}
+
+/** Returns the deleted set, or null if it does not exist */
+async function deleteSynonymSet(id) {
+  const set = await getSynonymSet(id);
+  if (!set) return null;
+
+  if (useDB()) await SynonymSet.findByIdAndDelete(set._id);
+  else synonymStore.deleteById(set._id);
+  onSynonymsChanged();
+  return set;
+}
+
+module.exports = {
+  SYNONYM_TYPES,
+  getSynonymTable,
+  listSynonymSets,
+  getSynonymSet,
+  createSynonymSet,
+  replaceSynonymSet,
+  deleteSynonymSet,
+};
@@ -0,0 +1,273 @@
+/**
+ * VariantGroupService
+ * ───────────────────
+ * Parent listings that group SKUs differing only in a few attributes
+ * (color, storage, ram, ...). Membership lives on the product
+ * (Product.variantGroupId), so search can collapse results by group
+ * without a join. Group edits drop the search cache, since collapsed
+ * results embed the group's title and options.
+ *
+ * Transparently uses MongoDB when connected, or the in-memory store.
+ */
+
+const VariantGroup = require("../models/VariantGroup");
+const variantGroupStore = require("../store/variantGroupStore");
+const productService = require("./productServices");
+const { invalidateSearchCache } = require("./searchCacheServices");
+
+const useDB = () => process.env.USE_IN_MEMORY !== "true";
+
+const DEFAULT_VARIANT_ATTRIBUTES = ["color", "storage", "ram"];
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+const idOf = (doc) => String(doc._id || doc.id);
+
+const toResponse = (doc) => {
+  if (!doc) return null;
+  const obj = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return { ...obj, _id: idOf(obj), id: idOf(obj) };
+};
+
+const httpError = (statusCode, message, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+};
+
+/** Metadata wins over the top-level field ("Red" over "red" for color) */
+const attributeValue = (product, attr) => {
+  const value = product.metadata?.[attr] ?? product[attr];
+  return value === undefined || value === null || value === "" ? null : value;
+};
+
+const toVariant = (product, attrs) => ({
+  productId: idOf(product),
+  title: product.title,
+  attributes: Object.fromEntries(attrs.map((a) => [a, attributeValue(product, a)])),
+  sellingPrice: product.price,
+  mrp: product.mrp,
+  stock: product.stock,
+  inStock: product.stock > 0,
+});
+
+/** Distinct values per attribute, in variant (price) order */
+const collectOptions = (variants, attrs) =>
+  Object.fromEntries(
+    attrs.map((a) => [
+      a,
+      [...new Set(variants.map((v) => v.attributes[a]).filter((v) => v !== null))],
+    ])
+  );
+
+/** Group doc + its members, cheapest first */
+const withVariants = (group, products) => {
+  const attrs = group.variantAttributes;
+  const variants = products
+    .map((p) => toVariant(p, attrs))
+    .sort((a, b) => a.sellingPrice - b.sellingPrice);
+  return {
+    ...group,
+    variantCount: variants.length,
+    options: collectOptions(variants, attrs),
+    variants,
+  };
+};
+
+/**
+ * Checks products exist and are free to join `groupId`.
+ * Throws 404 for unknown ids and 409 for products in another group.
+ */
+async function assertJoinable(productIds, groupId = null) {
+  const products = await Promise.all(productIds.map((id) => productService.getProductById(id)));
+  const unknown = productIds.filter((_, i) => !products[i]);
+  if (unknown.length) throw httpError(404, "Unknown product ids", unknown);
+
+  const taken = products
+    .filter((p) => p.variantGroupId && p.variantGroupId !== groupId)
+    .map((p) => `${idOf(p)} (group ${p.variantGroupId})`);
+  if (taken.length) throw httpError(409, "Products already belong to another variant group", taken);
+}
+
+const setMembership = (productIds, variantGroupId, actor) =>
+  Promise.all(
+    productIds.map((id) => productService.updateProduct(id, { variantGroupId }, { actor }))
+  );
+
+// ──────────────────────────────────────────────
+// Data access
+// ──────────────────────────────────────────────
+async function findGroup(id) {
+  if (useDB()) return toResponse(await VariantGroup.findById(id).lean());
+  return toResponse(variantGroupStore.findById(id));
+}
+
+async function findGroups(ids) {
+  if (useDB()) return (await VariantGroup.find({ _id: { $in: ids } }).lean()).map(toResponse);
+  return ids.map((id) => variantGroupStore.findById(id)).filter(Boolean).map(toResponse);
+}
+
+// ──────────────────────────────────────────────
+// CRUD
+// ──────────────────────────────────────────────
+/**
+ * @param {{ title: string, description?: string, brand?: string, category?: string,
+ *           model?: string, variantAttributes?: string[], productIds?: string[] }} data
+ * @param {{ actor?: string }} [opts] - recorded in the members' product history
+ */
+async function createGroup({ productIds = [], ...data }, { actor } = {}) {
+  const ids = [...new Set(productIds.map(String))];
+  await assertJoinable(ids);
+
+  const fields = { variantAttributes: DEFAULT_VARIANT_ATTRIBUTES, ...data };
+  const group = useDB()
+    ? toResponse(await VariantGroup.create(fields))
+    : toResponse(variantGroupStore.create(fields));
+
+  await setMembership(ids, group._id, actor);
+  return getGroup(group._id);
+}
+
+/** Group with its active variants and their option values */
+async function getGroup(id) {
+  const group = await findGroup(id);
+  if (!group) return null;
+  return withVariants(group, await productService.getProductsByVariantGroups([group._id]));
+}
+
+async function listGroups({ page = 1, limit = 20, brand, category } = {}) {
+  const skip = (page - 1) * limit;
+  let groups;
+  let total;
+
+  if (useDB()) {
+    const filter = {};
+    if (brand) filter.brand = new RegExp(brand, "i");
+    if (category) filter.category = category;
+    [groups, total] = await Promise.all([
+      VariantGroup.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      VariantGroup.countDocuments(filter),
+    ]);
+  } else {
+    const all = variantGroupStore
+      .findAll()
+      .filter(
+        (g) =>
+          (!category || g.category === category) &&
+          (!brand || Boolean((g.brand || "").match(new RegExp(brand, "i"))))
+      );
+    total = all.length;
+    groups = all.slice(skip, skip + limit);
+  }
+
+  groups = groups.map(toResponse);
+  const members = await productService.getProductsByVariantGroups(groups.map((g) => g._id));
+  const groupsWithVariants = groups.map((g) =>
+    withVariants(g, members.filter((p) => p.variantGroupId === g._id))
+  );
+
+  return {
+    groups: groupsWithVariants,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+async function updateGroup(id, updates) {
+  const group = useDB()
+    ? await VariantGroup.findByIdAndUpdate(id, updates, { new: true, runValidators: true })
+    : variantGroupStore.updateById(id, updates);
+  if (!group) return null;
+  invalidateSearchCache();
+  return getGroup(idOf(group));
+}
+
+/** Deletes the group; its products stay in the catalog as standalone listings */
+async function deleteGroup(id, { actor } = {}) {
+  const group = await findGroup(id);
+  if (!group) return null;
+
+  const members = await productService.getProductsByVariantGroups([group._id]);
+  await setMembership(members.map(idOf), null, actor);
+
+  if (useDB()) await VariantGroup.findByIdAndDelete(group._id);
+  else variantGroupStore.deleteById(group._id);
+  invalidateSearchCache();
+  return group;
+}
+
+// ──────────────────────────────────────────────
+// Membership
+// ──────────────────────────────────────────────
+async function addVariants(id, productIds, { actor } = {}) {
+  const group = await findGroup(id);
+  if (!group) return null;
+
+  const ids = [...new Set(productIds.map(String))];
+  await assertJoinable(ids, group._id);
+  await setMembership(ids, group._id, actor);
+  return getGroup(group._id);
+}
+
+/** Returns the updated group, or null if the group is unknown */
+async function removeVariant(id, productId, { actor } = {}) {
+  const group = await findGroup(id);
+  if (!group) return null;
+
+  const product = await productService.getProductById(productId);
+  if (!product || product.variantGroupId !== group._id) {
+    throw httpError(404, `Product ${productId} is not a variant of group ${group._id}`);
+  }
+  await setMembership([idOf(product)], null, actor);
+  return getGroup(group._id);
+}
+
+// ──────────────────────────────────────────────
+// Search support
+// ──────────────────────────────────────────────
+/**
+ * Group summaries for search results, keyed by group id.
+ * @param {string[]} groupIds
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function getVariantSummaries(groupIds) {
+  const ids = [...new Set(groupIds.map(String))];
+  if (ids.length === 0) return new Map();
+
+  const [groups, members] = await Promise.all([
+    findGroups(ids),
+    productService.getProductsByVariantGroups(ids),
+  ]);
+  return new Map(
+    groups.map((g) => {
+      const { variantCount, options, variants } = withVariants(
+        g,
+        members.filter((p) => p.variantGroupId === g._id)
+      );
+      return [
+        g._id,
+        {
+          groupId: g._id,
+          title: g.title,
+          variantAttributes: g.variantAttributes,
+          variantCount,
+          options,
+          variants,
+        },
+      ];
+    })
+  );
+}
+
+module.exports = {
+  DEFAULT_VARIANT_ATTRIBUTES,
+  createGroup,
+  getGroup,
+  listGroups,
+  updateGroup,
+  deleteGroup,
+  addVariants,
+  removeVariant,
+  getVariantSummaries,
+};
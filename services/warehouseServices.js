@@ -0,0 +1,203 @@
+/**
+ * WarehouseService
+ * ────────────────
+ * Fulfilment centres and the pincodes each one serves.
+ *
+ * A warehouse serves a pincode when one of its service-area prefixes
+ * matches it; the longest matching prefix gives the delivery estimate.
+ * getServiceability() answers "which warehouses reach this pincode, and
+ * how fast" for search and product availability (see InventoryService).
+ *
+ * Warehouses are cached in process and reloaded after any change made
+ * here, or every WAREHOUSE_REFRESH_MS to pick up changes made by other
+ * processes (MongoDB mode); a failed periodic reload keeps the previous ones.
+ *
+ * Transparently uses MongoDB when connected, or the in-memory store.
+ */
+
+const Warehouse = require("../models/Warehouse");
+const warehouseStore = require("../store/warehouseStore");
+const productService = require("./productServices");
+const { invalidateSearchCache } = require("./searchCacheServices");
+const { createRefreshingCache } = require("../utils/refreshingCache");
+
+const useDB = () => process.env.USE_IN_MEMORY !== "true";
+
+const REFRESH_MS = parseInt(process.env.WAREHOUSE_REFRESH_MS || "60000", 10);
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+
+// ──────────────────────────────────────────────
+// Helpers
+// ──────────────────────────────────────────────
+const toResponse = (doc) => {
+  if (!doc) return null;
+  const obj = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const { __v, ...rest } = obj;
+  return { ...rest, _id: String(obj._id || obj.id), id: String(obj._id || obj.id) };
+};
+
+const httpError = (statusCode, message, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+};
+
+const normaliseCode = (code) => String(code).trim().toUpperCase();
+
+/** Each prefix once (Joi has checked each area's shape) */
+function toServiceAreas(areas) {
+  const counts = new Map();
+  areas.forEach((a) => counts.set(a.prefix, (counts.get(a.prefix) || 0) + 1));
+  const duplicates = [...counts]
+    .filter(([, n]) => n > 1)
+    .map(([prefix]) => `prefix ${prefix} is listed more than once`);
+  if (duplicates.length) throw httpError(400, "Service area prefixes must be unique", duplicates);
+  return areas.map(({ prefix, deliveryDays }) => ({ prefix, deliveryDays }));
+}
+
+// ──────────────────────────────────────────────
+// Compiled warehouses
+// ──────────────────────────────────────────────
+const compile = (docs) =>
+  docs
+    .filter((w) => w.isActive)
+    .map((w) => ({
+      code: w.code,
+      name: w.name,
+      city: w.city,
+      areas: [...w.serviceAreas].sort((a, b) => b.prefix.length - a.prefix.length),
+    }));
+
+async function findAllWarehouses() {
+  if (useDB()) return (await Warehouse.find({}).sort({ code: 1 }).lean()).map(toResponse);
+  return warehouseStore.findAll().map(toResponse);
+}
+
+// Active warehouses, service areas longest prefix first; the previous ones
+// are served while a reload runs
+const warehouses = createRefreshingCache(
+  async () => compile(await findAllWarehouses()),
+  REFRESH_MS,
+  { name: "warehouses" }
+);
+
+/** Forces a reload on next use and drops results filtered with the old service areas */
+function onWarehousesChanged() {
+  warehouses.invalidate();
+  invalidateSearchCache();
+}
+
+// ──────────────────────────────────────────────
+// Public: serviceability
+// ──────────────────────────────────────────────
+const isPincode = (value) => PINCODE_PATTERN.test(String(value));
+
+/**
+ * Active warehouses that deliver to a pincode, with their estimates.
+ * @param {string} pincode - six digits
+ * @returns {Promise<Map<string, Object>>} warehouse code → { code, name, city,
+ *          deliveryDays }; empty if no warehouse serves the pincode
+ */
+async function getServiceability(pincode) {
+  const served = new Map();
+  (await warehouses.get()).forEach((w) => {
+    const area = w.areas.find((a) => String(pincode).startsWith(a.prefix));
+    if (area) {
+      const { code, name, city } = w;
+      served.set(code, { code, name, city, deliveryDays: area.deliveryDays });
+    }
+  });
+  return served;
+}
+
+// ──────────────────────────────────────────────
+// Public: CRUD
+// ──────────────────────────────────────────────
+async function listWarehouses() {
+  return findAllWarehouses();
+}
+
+async function getWarehouse(code) {
+  const wanted = normaliseCode(code);
+  if (useDB()) return toResponse(await Warehouse.findOne({ code: wanted }).lean());
+  return toResponse(warehouseStore.findByCode(wanted));
+}
+
+/**
+ * @param {{ code: string, name: string, city?: string, pincode?: string,
+ *           serviceAreas?: { prefix: string, deliveryDays: number }[], isActive?: boolean }} data
+ */
+async function createWarehouse(data) {
+  const fields = {
+    ...data,
+    code: normaliseCode(data.code),
+    serviceAreas: toServiceAreas(data.serviceAreas || []),
+  };
+  if (await getWarehouse(fields.code)) {
+    throw httpError(409, `A warehouse with code ${fields.code} already exists`);
+  }
+
+  const warehouse = useDB()
+    ? toResponse(await Warehouse.create(fields))
+    : toResponse(warehouseStore.create(fields));
+  onWarehousesChanged();
+  return warehouse;
+}
+
+/**
+ * Edits a warehouse; serviceAreas replaces the whole list. The code is fixed.
+ * @returns {Promise<Object|null>} null if no such warehouse
+ */
+async function updateWarehouse(code, updates) {
+  const existing = await getWarehouse(code);
+  if (!existing) return null;
+
+  const fields = { ...updates };
+  if (updates.serviceAreas) fields.serviceAreas = toServiceAreas(updates.serviceAreas);
+
+  const warehouse = useDB()
+    ? toResponse(
+        await Warehouse.findOneAndUpdate(
+          { code: existing.code },
+          { $set: fields },
+          { new: true, runValidators: true }
+        ).lean()
+      )
+    : toResponse(warehouseStore.updateByCode(existing.code, fields));
+  onWarehousesChanged();
+  return warehouse;
+}
+
+/**
+ * Deletes a warehouse no product holds inventory at; set isActive: false
+ * to stop it serving pincodes while keeping its stock records.
+ * @returns {Promise<Object|null>} the deleted warehouse, or null if no such warehouse
+ */
+async function deleteWarehouse(code) {
+  const warehouse = await getWarehouse(code);
+  if (!warehouse) return null;
+
+  const stocked = await productService.getProductsByWarehouse(warehouse.code);
+  if (stocked.length > 0) {
+    throw httpError(
+      409,
+      `Warehouse ${warehouse.code} holds inventory of ${stocked.length} product(s); move it first`
+    );
+  }
+
+  if (useDB()) await Warehouse.deleteOne({ code: warehouse.code });
+  else warehouseStore.deleteByCode(warehouse.code);
+  onWarehousesChanged();
+  return warehouse;
+}
+
+module.exports = {
+  isPincode,
+  getServiceability,
+  listWarehouses,
+  getWarehouse,
+  createWarehouse,
+  updateWarehouse,
+  deleteWarehouse,
+};
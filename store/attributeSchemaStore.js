@@ -0,0 +1,55 @@
+/**
+ * AttributeSchemaStore
+ * ────────────────────
+ * In-memory counterpart of the AttributeSchema collection, used when
+ * MongoDB is not available. One schema per category.
+ */
+
+class AttributeSchemaStore {
+  constructor() {
+    /** @type {Map<string, Object>} category → schema */
+    this._schemas = new Map();
+    this._idCounter = 1;
+  }
+
+  _toDoc(raw) {
+    return { ...raw, id: raw._id, attributes: raw.attributes.map((a) => ({ ...a })) };
+  }
+
+  findByCategory(category) {
+    const doc = this._schemas.get(category);
+    return doc ? this._toDoc(doc) : null;
+  }
+
+  /** All schemas, by category name */
+  findAll() {
+    return [...this._schemas.values()]
+      .sort((a, b) => a.category.localeCompare(b.category))
+      .map(this._toDoc.bind(this));
+  }
+
+  /** Create or replace a category's schema; returns the saved doc */
+  upsert(category, data) {
+    const existing = this._schemas.get(category);
+    const now = new Date().toISOString();
+    const doc = {
+      _id: existing ? existing._id : String(this._idCounter++),
+      category,
+      attributes: data.attributes,
+      strict: Boolean(data.strict),
+      description: data.description || "",
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    };
+    this._schemas.set(category, doc);
+    return this._toDoc(doc);
+  }
+
+  deleteByCategory(category) {
+    return this._schemas.delete(category);
+  }
+}
+
+// Singleton
+const attributeSchemaStore = new AttributeSchemaStore();
+module.exports = attributeSchemaStore;
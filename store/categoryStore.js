@@ -0,0 +1,67 @@
+/**
+ * CategoryStore
+ * ─────────────
+ * In-memory counterpart of the Category collection, used when MongoDB
+ * is not available. Nodes are keyed by slug.
+ */
+
+class CategoryStore {
+  constructor() {
+    /** @type {Map<string, Object>} slug → node */
+    this._nodes = new Map();
+    this._idCounter = 1;
+  }
+
+  _toDoc(raw) {
+    return { ...raw, id: raw._id, aliases: [...raw.aliases] };
+  }
+
+  /** Insert a new node; returns the saved doc */
+  create(data) {
+    const _id = String(this._idCounter++);
+    const now = new Date().toISOString();
+    const doc = {
+      _id,
+      name: data.name,
+      slug: data.slug,
+      parent: data.parent || null,
+      aliases: data.aliases || [],
+      description: data.description || "",
+      createdAt: now,
+      updatedAt: now,
+    };
+    this._nodes.set(doc.slug, doc);
+    return this._toDoc(doc);
+  }
+
+  findBySlug(slug) {
+    const doc = this._nodes.get(slug);
+    return doc ? this._toDoc(doc) : null;
+  }
+
+  /** All nodes, oldest first */
+  findAll() {
+    return [...this._nodes.values()].map(this._toDoc.bind(this));
+  }
+
+  /** Apply partial updates by slug; returns updated doc or null */
+  updateBySlug(slug, updates) {
+    const doc = this._nodes.get(slug);
+    if (!doc) return null;
+    const updated = { ...doc, ...updates, updatedAt: new Date().toISOString() };
+    this._nodes.set(slug, updated);
+    return this._toDoc(updated);
+  }
+
+  deleteBySlug(slug) {
+    return this._nodes.delete(slug);
+  }
+
+  get count() {
+    return this._nodes.size;
+  }
+}
+
+// Singleton
+const categoryStore = new CategoryStore();
+module.exports = categoryStore;
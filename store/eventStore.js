@@ -0,0 +1,104 @@
+/**
+ * EventStore
+ * ──────────
+ * In-memory counterpart of the ProductEvent and EngagementStat collections,
+ * used when MongoDB is not available.
+ *
+ * Raw events are only needed for the rolling 30-day sales window, so
+ * anything older than RETENTION_DAYS is pruned as new events arrive.
+ */
+
+const RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class EventStore {
+  constructor() {
+    /** @type {Object[]} raw events, oldest first */
+    this._events = [];
+    /** @type {Map<string, Object>} "query|productId" → counters */
+    this._stats = new Map();
+    /** @type {Set<string>} products that have ever had a purchase event */
+    this._purchasedProducts = new Set();
+  }
+
+  // ── Helpers ────────────────────────────────────────────────
+  _key(query, productId) {
+    return `${query}|${productId}`;
+  }
+
+  _prune() {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS).toISOString();
+    const firstKept = this._events.findIndex((e) => e.createdAt >= cutoff);
+    if (firstKept > 0) this._events.splice(0, firstKept);
+    else if (firstKept === -1) this._events = [];
+  }
+
+  // ── Events ─────────────────────────────────────────────────
+
+  /** Append raw events; returns the stored docs */
+  addEvents(events) {
+    const now = new Date().toISOString();
+    const docs = events.map((e) => ({ ...e, createdAt: now }));
+    this._events.push(...docs);
+    docs
+      .filter((e) => e.type === "purchase")
+      .forEach((e) => this._purchasedProducts.add(e.productId));
+    this._prune();
+    return docs;
+  }
+
+  /** Units purchased per product since `since` (Date) */
+  purchasedUnitsSince(since) {
+    const cutoff = since.toISOString();
+    const units = new Map();
+    for (const e of this._events) {
+      if (e.type !== "purchase" || e.createdAt < cutoff) continue;
+      units.set(e.productId, (units.get(e.productId) || 0) + (e.quantity || 1));
+    }
+    return units;
+  }
+
+  /** Product IDs that have ever had a purchase event */
+  purchasedProductIds() {
+    return [...this._purchasedProducts];
+  }
+
+  // ── Counters ───────────────────────────────────────────────
+
+  /** Adds `inc` ({ impressions, clicks, ... }) to the (query, product) row */
+  incrementStat(query, productId, inc) {
+    const key = this._key(query, productId);
+    const row = this._stats.get(key) || {
+      query,
+      productId,
+      impressions: 0,
+      clicks: 0,
+      addToCarts: 0,
+      purchases: 0,
+    };
+    Object.entries(inc).forEach(([field, n]) => {
+      row[field] += n;
+    });
+    this._stats.set(key, row);
+    return row;
+  }
+
+  /** Rows for one query, optionally restricted to some products */
+  statsForQuery(query, productIds = null) {
+    if (productIds) {
+      return productIds
+        .map((id) => this._stats.get(this._key(query, id)))
+        .filter(Boolean);
+    }
+    return [...this._stats.values()].filter((row) => row.query === query);
+  }
+
+  /** All rows for one product (including its "" totals row) */
+  statsForProduct(productId) {
+    return [...this._stats.values()].filter((row) => row.productId === String(productId));
+  }
+}
+
+// Singleton
+const eventStore = new EventStore();
+module.exports = eventStore;
@@ -0,0 +1,39 @@
+/**
+ * HistoryStore
+ * ────────────
+ * In-memory counterpart of the ProductHistory collection, used when
+ * MongoDB is not available. Keeps the newest MAX_ENTRIES_PER_PRODUCT
+ * entries for each product.
+ */
+
+const MAX_ENTRIES_PER_PRODUCT = 1000;
+
+class HistoryStore {
+  constructor() {
+    /** @type {Map<string, Object[]>} productId → entries, oldest first */
+    this._entries = new Map();
+    this._idCounter = 1;
+  }
+
+  /** Append entries; returns the stored docs */
+  add(entries) {
+    const now = new Date().toISOString();
+    return entries.map((e) => {
+      const doc = { _id: String(this._idCounter++), ...e, createdAt: now };
+      const list = this._entries.get(doc.productId) || [];
+      list.push(doc);
+      if (list.length > MAX_ENTRIES_PER_PRODUCT) list.shift();
+      this._entries.set(doc.productId, list);
+      return doc;
+    });
+  }
+
+  /** A product's entries, newest first */
+  forProduct(productId) {
+    return [...(this._entries.get(String(productId)) || [])].reverse();
+  }
+}
+
+// Singleton
+const historyStore = new HistoryStore();
+module.exports = historyStore;
@@ -46,6 +46,7 @@ class InMemoryStore {
       mrp: data.mrp || data.price || 0,
       currency: data.currency === "Rupee" ? "INR" : data.currency || "INR",
       discountPercent: this._computeDiscount(data.price, data.mrp),
+      priceTiers: data.priceTiers || [],
       stock: data.stock ?? 0,
       fulfillmentType: data.fulfillmentType || "standard",
       rating: data.rating || 0,
@@ -54,12 +55,18 @@ class InMemoryStore {
       complaintRate: data.complaintRate ?? 2,
       unitsSold: data.unitsSold || 0,
       salesVelocity: data.salesVelocity || 0,
+      trackedSalesVelocity: data.trackedSalesVelocity || 0,
       viewCount: data.viewCount || 0,
       metadata: data.metadata || {},
       searchTags: data.searchTags || [],
       color: data.color || "",
       isActive: data.isActive !== undefined ? data.isActive : true,
+      deletedAt: data.deletedAt || null,
       launchYear: data.launchYear || null,
+      variantGroupId: data.variantGroupId || null,
+      offers: data.offers || [],
+      buyBox: data.buyBox || null,
+      inventory: data.inventory || [],
       createdAt: now,
       updatedAt: now,
     };
@@ -73,14 +80,29 @@ class InMemoryStore {
     return doc ? this._toDoc(doc) : null;
   }
 
-  /** Retrieve all active products */
-  findAll({ limit = 1000, skip = 0 } = {}) {
+  _hasStatus(p, status) {
+    if (status === "all") return true;
+    return status === "deleted" ? !p.isActive : p.isActive;
+  }
+
+  /**
+   * Retrieve products; active only by default
+   * @param {{ limit?: number, skip?: number, status?: "active"|"deleted"|"all" }} opts
+   */
+  findAll({ limit = 1000, skip = 0, status = "active" } = {}) {
     const all = [...this._products.values()]
-      .filter((p) => p.isActive)
+      .filter((p) => this._hasStatus(p, status))
       .slice(skip, skip + limit);
     return all.map(this._toDoc.bind(this));
   }
 
+  /** Lazily iterate products (for streaming exports); active only by default */
+  *scan({ status = "active" } = {}) {
+    for (const p of this._products.values()) {
+      if (this._hasStatus(p, status)) yield this._toDoc(p);
+    }
+  }
+
   /** Retrieve all (for search — caller applies own filter) */
   findAllRaw() {
     return [...this._products.values()];
@@ -99,14 +121,21 @@ class InMemoryStore {
     return this._toDoc(updated);
   }
 
-  /** Delete by id */
+  /** Delete by id (permanent) */
   deleteById(id) {
     return this._products.delete(String(id));
   }
 
-  /** Number of products */
+  /** Number of active products */
   get count() {
-    return this._products.size;
+    let n = 0;
+    for (const p of this._products.values()) if (p.isActive) n++;
+    return n;
+  }
+
+  /** Number of soft-deleted products */
+  get deletedCount() {
+    return this._products.size - this.count;
   }
 
   /** Bulk insert (used by seed script) */
@@ -0,0 +1,64 @@
+/**
+ * RateLimitStore
+ * ──────────────
+ * In-process token buckets for the rate limiter.
+ *
+ * Backend interface (implement the same for a shared store such as Redis,
+ * then install it with middleware/rateLimit.setRateLimitStore):
+ *
+ *   consume(key, { capacity, refillPerSecond }, cost = 1)
+ *     → Promise<{ allowed: boolean, remaining: number,
+ *                 resetSeconds: number,       // until the bucket is full again
+ *                 retryAfterSeconds: number }> // until `cost` tokens are available
+ *
+ * consume must be atomic per key.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryRateLimitStore {
+  /**
+   * @param {{ now?: () => number }} [opts] - clock in ms (injectable for tests)
+   */
+  constructor({ now = Date.now } = {}) {
+    this._now = now;
+    /** @type {Map<string, { tokens: number, updatedAt: number, fullAt: number }>} */
+    this._buckets = new Map();
+    // Forget buckets that have refilled completely — they hold no state
+    this._sweeper = setInterval(() => this._sweep(), SWEEP_INTERVAL_MS);
+    this._sweeper.unref();
+  }
+
+  _sweep() {
+    const now = this._now();
+    for (const [key, bucket] of this._buckets) {
+      if (bucket.fullAt <= now) this._buckets.delete(key);
+    }
+  }
+
+  async consume(key, { capacity, refillPerSecond }, cost = 1) {
+    const now = this._now();
+    const bucket = this._buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    // Refill for the time since the last request
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= cost;
+    if (allowed) bucket.tokens -= cost;
+
+    const missing = capacity - bucket.tokens;
+    bucket.fullAt = now + (missing / refillPerSecond) * 1000;
+    this._buckets.set(key, bucket);
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      resetSeconds: Math.ceil(missing / refillPerSecond),
+      retryAfterSeconds: allowed ? 0 : Math.ceil((cost - bucket.tokens) / refillPerSecond),
+    };
+  }
+}
+
+module.exports = { MemoryRateLimitStore };
@@ -0,0 +1,73 @@
+/**
+ * SellerStore
+ * ───────────
+ * In-memory counterpart of the Seller collection, used when MongoDB is
+ * not available.
+ */
+
+class SellerStore {
+  constructor() {
+    /** @type {Map<string, Object>} */
+    this._sellers = new Map();
+    this._idCounter = 1;
+  }
+
+  _toDoc(raw) {
+    return { ...raw, id: raw._id };
+  }
+
+  /** Insert a new seller; returns the saved doc */
+  create(data) {
+    const _id = String(this._idCounter++);
+    const now = new Date().toISOString();
+    const doc = {
+      _id,
+      name: data.name,
+      rating: data.rating || 0,
+      ratingCount: data.ratingCount || 0,
+      isActive: data.isActive !== undefined ? data.isActive : true,
+      description: data.description || "",
+      createdAt: now,
+      updatedAt: now,
+    };
+    this._sellers.set(_id, doc);
+    return this._toDoc(doc);
+  }
+
+  findById(id) {
+    const doc = this._sellers.get(String(id));
+    return doc ? this._toDoc(doc) : null;
+  }
+
+  /** Case-insensitive exact name match */
+  findByName(name) {
+    const wanted = String(name).toLowerCase();
+    const doc = [...this._sellers.values()].find((s) => s.name.toLowerCase() === wanted);
+    return doc ? this._toDoc(doc) : null;
+  }
+
+  /** All sellers by name; isActive: true | false to filter */
+  findAll({ isActive } = {}) {
+    return [...this._sellers.values()]
+      .filter((s) => isActive === undefined || s.isActive === isActive)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(this._toDoc.bind(this));
+  }
+
+  /** Apply partial updates by id; returns updated doc or null */
+  updateById(id, updates) {
+    const doc = this._sellers.get(String(id));
+    if (!doc) return null;
+    const updated = { ...doc, ...updates, _id: doc._id, updatedAt: new Date().toISOString() };
+    this._sellers.set(String(id), updated);
+    return this._toDoc(updated);
+  }
+
+  deleteById(id) {
+    return this._sellers.delete(String(id));
+  }
+}
+
+// Singleton
+const sellerStore = new SellerStore();
+module.exports = sellerStore;
@@ -0,0 +1,70 @@
+/**
+ * SynonymStore
+ * ────────────
+ * In-memory counterpart of the SynonymSet collection, used when MongoDB
+ * is not available.
+ */
+
+class SynonymStore {
+  constructor() {
+    /** @type {Map<string, Object>} */
+    this._sets = new Map();
+    this._idCounter = 1;
+  }
+
+  _toDoc(raw) {
+    return { ...raw, id: raw._id, synonyms: [...raw.synonyms] };
+  }
+
+  /** Insert a new synonym set; returns the saved doc */
+  create(data) {
+    const _id = String(this._idCounter++);
+    const now = new Date().toISOString();
+    const doc = {
+      _id,
+      type: data.type,
+      input: data.input,
+      synonyms: data.synonyms,
+      description: data.description || "",
+      createdAt: now,
+      updatedAt: now,
+    };
+    this._sets.set(_id, doc);
+    return this._toDoc(doc);
+  }
+
+  findById(id) {
+    const doc = this._sets.get(String(id));
+    return doc ? this._toDoc(doc) : null;
+  }
+
+  /** All sets, oldest first */
+  findAll() {
+    return [...this._sets.values()].map(this._toDoc.bind(this));
+  }
+
+  /** Replace a set's fields by id; returns updated doc or null */
+  replaceById(id, data) {
+    const doc = this._sets.get(String(id));
+    if (!doc) return null;
+    const updated = {
+      _id: doc._id,
+      type: data.type,
+      input: data.input,
+      synonyms: data.synonyms,
+      description: data.description || "",
+      createdAt: doc.createdAt,
+      updatedAt: new Date().toISOString(),
+    };
+    this._sets.set(doc._id, updated);
+    return this._toDoc(updated);
+  }
+
+  deleteById(id) {
+    return this._sets.delete(String(id));
+  }
+}
+
+// Singleton
+const synonymStore = new SynonymStore();
+module.exports = synonymStore;
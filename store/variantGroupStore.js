@@ -0,0 +1,64 @@
+/**
+ * VariantGroupStore
+ * ─────────────────
+ * In-memory counterpart of the VariantGroup collection, used when MongoDB
+ * is not available.
+ */
+
+class VariantGroupStore {
+  constructor() {
+    /** @type {Map<string, Object>} */
+    this._groups = new Map();
+    this._idCounter = 1;
+  }
+
+  _toDoc(raw) {
+    return { ...raw, id: raw._id, variantAttributes: [...raw.variantAttributes] };
+  }
+
+  /** Insert a new group; returns the saved doc */
+  create(data) {
+    const _id = String(this._idCounter++);
+    const now = new Date().toISOString();
+    const doc = {
+      _id,
+      title: data.title,
+      description: data.description || "",
+      brand: data.brand || "",
+      category: data.category || "",
+      model: data.model || "",
+      variantAttributes: data.variantAttributes || ["color", "storage", "ram"],
+      createdAt: now,
+      updatedAt: now,
+    };
+    this._groups.set(_id, doc);
+    return this._toDoc(doc);
+  }
+
+  findById(id) {
+    const doc = this._groups.get(String(id));
+    return doc ? this._toDoc(doc) : null;
+  }
+
+  /** All groups, newest first */
+  findAll() {
+    return [...this._groups.values()].reverse().map(this._toDoc.bind(this));
+  }
+
+  /** Update a group by id; returns updated doc or null */
+  updateById(id, updates) {
+    const doc = this._groups.get(String(id));
+    if (!doc) return null;
+    const updated = { ...doc, ...updates, _id: doc._id, updatedAt: new Date().toISOString() };
+    this._groups.set(doc._id, updated);
+    return this._toDoc(updated);
+  }
+
+  deleteById(id) {
+    return this._groups.delete(String(id));
+  }
+}
+
+// Singleton
+const variantGroupStore = new VariantGroupStore();
+module.exports = variantGroupStore;
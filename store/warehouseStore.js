@@ -0,0 +1,66 @@
+/**
+ * WarehouseStore
+ * ──────────────
+ * In-memory counterpart of the Warehouse collection, used when MongoDB
+ * is not available. Warehouses are keyed by code.
+ */
+
+class WarehouseStore {
+  constructor() {
+    /** @type {Map<string, Object>} code → warehouse */
+    this._warehouses = new Map();
+    this._idCounter = 1;
+  }
+
+  _toDoc(raw) {
+    return { ...raw, id: raw._id, serviceAreas: raw.serviceAreas.map((a) => ({ ...a })) };
+  }
+
+  /** Insert a new warehouse; returns the saved doc */
+  create(data) {
+    const _id = String(this._idCounter++);
+    const now = new Date().toISOString();
+    const doc = {
+      _id,
+      code: data.code,
+      name: data.name,
+      city: data.city || "",
+      pincode: data.pincode || null,
+      serviceAreas: data.serviceAreas || [],
+      isActive: data.isActive !== undefined ? data.isActive : true,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this._warehouses.set(doc.code, doc);
+    return this._toDoc(doc);
+  }
+
+  findByCode(code) {
+    const doc = this._warehouses.get(code);
+    return doc ? this._toDoc(doc) : null;
+  }
+
+  /** All warehouses, by code */
+  findAll() {
+    return [...this._warehouses.values()]
+      .sort((a, b) => a.code.localeCompare(b.code))
+      .map(this._toDoc.bind(this));
+  }
+
+  /** Apply partial updates by code; returns updated doc or null */
+  updateByCode(code, updates) {
+    const doc = this._warehouses.get(code);
+    if (!doc) return null;
+    const updated = { ...doc, ...updates, updatedAt: new Date().toISOString() };
+    this._warehouses.set(code, updated);
+    return this._toDoc(updated);
+  }
+
+  deleteByCode(code) {
+    return this._warehouses.delete(code);
+  }
+}
+
+// Singleton
+const warehouseStore = new WarehouseStore();
+module.exports = warehouseStore;
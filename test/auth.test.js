@@ -0,0 +1,166 @@
+/**
+ * Authentication: API keys, HS256 bearer tokens and the role hierarchy
+ * (middleware/auth, utils/jwt)
+ *
+ * Run: npm test
+ */
+
+process.env.API_KEYS = "storefront:reader:k_read,merch-tool:catalog-editor:k_edit,ops:admin:k_admin";
+process.env.JWT_SECRET = "test-secret";
+delete process.env.AUTH_DISABLED;
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { signJwt, verifyJwt } = require("../utils/jwt");
+const { authenticate, requireRole } = require("../middleware/auth");
+
+const SECRET = process.env.JWT_SECRET;
+const now = () => Math.floor(Date.now() / 1000);
+const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+
+/** Runs a (synchronous) middleware on a fake request; returns { err, req, res } */
+const run = (middleware, { headers = {}, auth } = {}) => {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  const req = { auth, get: (name) => lower[name.toLowerCase()] };
+  const res = {
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    },
+  };
+  let err;
+  middleware(req, res, (e) => {
+    err = e;
+  });
+  return { err, req, res };
+};
+
+// ──────────────────────────────────────────────
+// utils/jwt
+// ──────────────────────────────────────────────
+test("a signed token verifies and returns its claims", () => {
+  const token = signJwt({ sub: "merch-ui", role: "reader" }, SECRET, { ttlSeconds: 60 });
+  const claims = verifyJwt(token, SECRET);
+  assert.equal(claims.sub, "merch-ui");
+  assert.equal(claims.role, "reader");
+});
+
+test("a bad signature is rejected", () => {
+  const token = signJwt({ sub: "merch-ui", role: "reader" }, SECRET);
+  assert.throws(() => verifyJwt(token, "another-secret"), /invalid signature/);
+
+  // Same signature over escalated claims
+  const [header, , signature] = token.split(".");
+  const forged = `${header}.${encode({ sub: "merch-ui", role: "admin" })}.${signature}`;
+  assert.throws(() => verifyJwt(forged, SECRET), /invalid signature/);
+});
+
+test("algorithms other than HS256 are rejected", () => {
+  const claims = encode({ sub: "x", role: "admin" });
+  const unsigned = `${encode({ alg: "none", typ: "JWT" })}.${claims}.`;
+  assert.throws(() => verifyJwt(unsigned, SECRET), /unsupported algorithm "none"/);
+
+  const rs256 = `${encode({ alg: "RS256", typ: "JWT" })}.${claims}.c2ln`;
+  assert.throws(() => verifyJwt(rs256, SECRET), /unsupported algorithm "RS256"/);
+});
+
+test("expired tokens are rejected, within the clock tolerance they are not", () => {
+  const expired = signJwt({ sub: "x", exp: now() - 120 }, SECRET);
+  assert.throws(() => verifyJwt(expired, SECRET), /token expired/);
+
+  const justExpired = signJwt({ sub: "x", exp: now() - 5 }, SECRET);
+  assert.equal(verifyJwt(justExpired, SECRET).sub, "x");
+  assert.throws(() => verifyJwt(justExpired, SECRET, { clockToleranceSeconds: 0 }), /expired/);
+
+  const notYet = signJwt({ sub: "x", nbf: now() + 120 }, SECRET);
+  assert.throws(() => verifyJwt(notYet, SECRET), /not yet valid/);
+});
+
+test("issuer and audience are checked when configured", () => {
+  const token = signJwt({ sub: "x", iss: "idp", aud: ["search"] }, SECRET);
+  assert.equal(verifyJwt(token, SECRET, { issuer: "idp", audience: "search" }).sub, "x");
+  assert.throws(() => verifyJwt(token, SECRET, { issuer: "other" }), /unexpected issuer/);
+  assert.throws(() => verifyJwt(token, SECRET, { audience: "admin" }), /unexpected audience/);
+});
+
+test("malformed tokens are rejected", () => {
+  assert.throws(() => verifyJwt("not-a-token", SECRET), /malformed/);
+  assert.throws(() => verifyJwt("a.b.c", SECRET), /malformed/);
+});
+
+// ──────────────────────────────────────────────
+// authenticate
+// ──────────────────────────────────────────────
+test("a known API key authenticates as its name and role", () => {
+  const { err, req } = run(authenticate, { headers: { "X-API-Key": "k_edit" } });
+  assert.equal(err, undefined);
+  assert.deepEqual(req.auth, { name: "merch-tool", role: "catalog-editor", method: "api-key" });
+});
+
+test("an unknown API key is a 401", () => {
+  const { err } = run(authenticate, { headers: { "X-API-Key": "k_guess" } });
+  assert.equal(err.statusCode, 401);
+  assert.match(err.message, /Invalid API key/);
+});
+
+test("no credentials is a 401 with WWW-Authenticate", () => {
+  const { err, res } = run(authenticate);
+  assert.equal(err.statusCode, 401);
+  assert.match(res.headers["WWW-Authenticate"], /X-API-Key/);
+});
+
+test("a bearer token authenticates with the highest known role it carries", () => {
+  const token = signJwt({ sub: "ops-user", roles: ["reader", "admin", "superuser"] }, SECRET);
+  const { err, req } = run(authenticate, { headers: { Authorization: `Bearer ${token}` } });
+  assert.equal(err, undefined);
+  assert.deepEqual(req.auth, { name: "ops-user", role: "admin", method: "jwt" });
+});
+
+test("bearer tokens with a bad signature, no known role or expiry are refused", () => {
+  const forged = signJwt({ sub: "x", role: "admin" }, "wrong-secret");
+  assert.equal(
+    run(authenticate, { headers: { Authorization: `Bearer ${forged}` } }).err.statusCode,
+    401
+  );
+
+  const noRole = signJwt({ sub: "x", role: "superuser" }, SECRET);
+  assert.equal(
+    run(authenticate, { headers: { Authorization: `Bearer ${noRole}` } }).err.statusCode,
+    403
+  );
+
+  const expired = signJwt({ sub: "x", role: "admin", exp: now() - 3600 }, SECRET);
+  const { err } = run(authenticate, { headers: { Authorization: `Bearer ${expired}` } });
+  assert.equal(err.statusCode, 401);
+  assert.match(err.message, /expired/);
+});
+
+// ──────────────────────────────────────────────
+// requireRole: reader < catalog-editor < admin
+// ──────────────────────────────────────────────
+test("each role includes the ones below it", () => {
+  const allowed = (required, role) =>
+    run(requireRole(required), { auth: { name: "x", role, method: "api-key" } }).err === undefined;
+
+  assert.ok(allowed("reader", "reader"));
+  assert.ok(allowed("reader", "catalog-editor"));
+  assert.ok(allowed("reader", "admin"));
+
+  assert.ok(!allowed("catalog-editor", "reader"));
+  assert.ok(allowed("catalog-editor", "catalog-editor"));
+  assert.ok(allowed("catalog-editor", "admin"));
+
+  assert.ok(!allowed("admin", "reader"));
+  assert.ok(!allowed("admin", "catalog-editor"));
+  assert.ok(allowed("admin", "admin"));
+});
+
+test("a role that is too low is a 403; no auth at all is a 401", () => {
+  const { err } = run(requireRole("admin"), { auth: { name: "x", role: "reader" } });
+  assert.equal(err.statusCode, 403);
+  assert.equal(run(requireRole("reader")).err.statusCode, 401);
+});
+
+test("requireRole refuses unknown role names up front", () => {
+  assert.throws(() => requireRole("owner"), /Unknown role "owner"/);
+});
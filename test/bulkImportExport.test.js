@@ -0,0 +1,147 @@
+/**
+ * Bulk import (per-row results, partial failure, dry run) and catalog
+ * export streaming, through the HTTP API in in-memory mode
+ * (controllers/product.controller)
+ *
+ * Run: npm test
+ */
+
+process.env.USE_IN_MEMORY = "true";
+process.env.AUTH_DISABLED = "true";
+process.env.RATE_LIMIT_DISABLED = "true";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const router = require("../routes/index");
+const errorHandler = require("../middleware/errorhandler");
+const { putAttributeSchema } = require("../services/attributeSchemaServices");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await putAttributeSchema("Mobile Phones", {
+    attributes: [
+      { key: "ram", type: "number", unit: "GB", required: true },
+      { key: "os", type: "enum", values: ["iOS", "Android"] },
+    ],
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api/v1", router);
+  app.use(errorHandler);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+after(() => server.close());
+
+const importRows = async (body, { dryRun = false, csv = false } = {}) => {
+  const res = await fetch(`${baseUrl}/product/bulk${dryRun ? "?dryRun=true" : ""}`, {
+    method: "POST",
+    headers: { "content-type": csv ? "text/csv" : "application/json" },
+    body: csv ? body : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const phone = (title, fields = {}) => ({
+  title,
+  brand: "Bulkphone",
+  category: "Mobile Phones",
+  price: 10000,
+  mrp: 12000,
+  metadata: { ram: "8GB", os: "Android 14" },
+  ...fields,
+});
+
+const MIXED_BATCH = [
+  phone("Bulkphone One"),
+  phone("", {}), // no title
+  phone("Bulkphone Bad Category", { category: "Spaceships" }),
+  phone("Bulkphone Bad Tiers", { priceTiers: [{ minQty: 10, price: 11000 }] }),
+  phone("Bulkphone Bad Metadata", { metadata: { ram: "lots" } }),
+  phone("Bulkphone Two", { metadata: { ram: "12GB", os: "ios" } }),
+];
+
+test("a dry run reports every row and inserts nothing", async () => {
+  const { status, body } = await importRows(MIXED_BATCH, { dryRun: true });
+  assert.equal(status, 200);
+  assert.deepEqual(body.summary, { total: 6, valid: 2, invalid: 4, inserted: 0, failed: 0 });
+
+  const exported = await fetch(`${baseUrl}/product/export?format=jsonl&brand=Bulkphone`);
+  assert.equal((await exported.text()).trim(), "");
+});
+
+test("a mixed batch inserts the valid rows and explains each invalid one", async () => {
+  const { status, body } = await importRows(MIXED_BATCH);
+  assert.equal(status, 201);
+  assert.deepEqual(body.summary, { total: 6, valid: 2, invalid: 4, inserted: 2, failed: 0 });
+
+  const [one, noTitle, badCategory, badTiers, badMetadata, two] = body.rows;
+  assert.equal(one.status, "inserted");
+  assert.ok(one.productId);
+  assert.equal(two.status, "inserted");
+
+  assert.deepEqual(
+    [noTitle, badCategory, badTiers, badMetadata].map((r) => [r.row, r.status]),
+    [
+      [2, "invalid"],
+      [3, "invalid"],
+      [4, "invalid"],
+      [5, "invalid"],
+    ]
+  );
+  assert.match(noTitle.errors.join(), /title/);
+  assert.match(badCategory.errors.join(), /Spaceships/);
+  assert.match(badTiers.errors.join(), /must be below the single-unit price/);
+  assert.match(badMetadata.errors.join(), /metadata\.ram/);
+});
+
+test("a batch with no valid rows is a 400", async () => {
+  const { status, body } = await importRows([phone("")]);
+  assert.equal(status, 400);
+  assert.equal(body.summary.inserted, 0);
+});
+
+test("CSV rows are numbered like a spreadsheet and metadata columns are read", async () => {
+  const csv = [
+    "title,brand,category,price,mrp,metadata.ram",
+    "Csvphone Good,Csvphone,Mobile Phones,9000,9500,6GB",
+    "Csvphone Bad,Csvphone,Mobile Phones,9000,9500,",
+  ].join("\n");
+  const { status, body } = await importRows(csv, { csv: true });
+  assert.equal(status, 201);
+  assert.deepEqual(
+    body.rows.map((r) => [r.row, r.status]),
+    [
+      [2, "inserted"],
+      [3, "invalid"],
+    ]
+  );
+  assert.match(body.rows[1].errors.join(), /metadata\.ram is required/);
+});
+
+test("export streams the imported products as JSONL and CSV", async () => {
+  const jsonl = await fetch(`${baseUrl}/product/export?format=jsonl&brand=Bulkphone`);
+  assert.equal(jsonl.status, 200);
+  assert.match(jsonl.headers.get("content-type"), /ndjson/);
+  const products = (await jsonl.text()).trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(products.map((p) => p.title).sort(), ["Bulkphone One", "Bulkphone Two"]);
+  assert.deepEqual(products.map((p) => p.metadata.os).sort(), ["Android", "iOS"]);
+
+  const csv = await fetch(`${baseUrl}/product/export?format=csv&brand=Bulkphone`);
+  assert.match(csv.headers.get("content-disposition"), /attachment; filename="catalog-.*\.csv"/);
+  const [header, ...lines] = (await csv.text()).trim().split("\n");
+  assert.ok(header.startsWith("productId,title,"));
+  assert.ok(header.includes("metadata.ram"));
+  assert.equal(lines.length, 2);
+});
+
+test("export rejects unknown formats", async () => {
+  const res = await fetch(`${baseUrl}/product/export?format=xml`);
+  assert.equal(res.status, 400);
+});
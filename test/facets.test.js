@@ -0,0 +1,95 @@
+/**
+ * Facets: the ?facets= whitelist and facet counts (services/facetServices)
+ *
+ * Run: npm test
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { computeFacets, parseFacetParam, DEFAULT_FACETS } = require("../services/facetServices");
+
+const phone = (price, fields = {}) => ({
+  category: "Mobile Phones",
+  brand: "Samsung",
+  price,
+  metadata: {},
+  ...fields,
+});
+
+const bucket = (facets, key) => facets.price.find((b) => b.key === key).count;
+
+// ──────────────────────────────────────────────
+// parseFacetParam
+// ──────────────────────────────────────────────
+test("no ?facets= gives the defaults; empty or none gives nothing", () => {
+  assert.deepEqual(parseFacetParam(undefined), DEFAULT_FACETS);
+  assert.deepEqual(parseFacetParam(""), []);
+  assert.deepEqual(parseFacetParam("none"), []);
+});
+
+test("facet names are de-duplicated and must be plain identifiers", () => {
+  assert.deepEqual(parseFacetParam("brand, price,brand,battery"), ["brand", "price", "battery"]);
+  assert.deepEqual(parseFacetParam("brand,metadata.ram,$where,a b"), ["brand"]);
+});
+
+test("Object.prototype keys are not facet names", () => {
+  assert.deepEqual(
+    parseFacetParam("__proto__,constructor,toString,hasOwnProperty,valueOf,ram"),
+    ["ram"]
+  );
+});
+
+// ──────────────────────────────────────────────
+// computeFacets
+// ──────────────────────────────────────────────
+test("field and metadata facets count values, most frequent first", () => {
+  const products = [
+    phone(10000, { brand: "Samsung", metadata: { os: "Android" } }),
+    phone(20000, { brand: "Apple", metadata: { os: "iOS" } }),
+    phone(30000, { brand: "Samsung", metadata: { os: "Android" } }),
+    phone(40000, { brand: "", metadata: {} }),
+  ];
+  const facets = computeFacets(products, ["brand", "os"]);
+  assert.deepEqual(facets.brand, [
+    { value: "Samsung", count: 2 },
+    { value: "Apple", count: 1 },
+  ]);
+  assert.deepEqual(facets.os, [
+    { value: "Android", count: 2 },
+    { value: "iOS", count: 1 },
+  ]);
+});
+
+test("numeric metadata is shown with its schema unit", () => {
+  const schemas = new Map([
+    [
+      "Mobile Phones",
+      {
+        category: "Mobile Phones",
+        strict: false,
+        attributes: new Map([["ram", { key: "ram", type: "number", unit: "GB" }]]),
+      },
+    ],
+  ]);
+  const products = [phone(1, { metadata: { ram: 8 } }), phone(2, { metadata: { ram: 8 } })];
+  assert.deepEqual(computeFacets(products, ["ram"], schemas).ram, [{ value: "8GB", count: 2 }]);
+});
+
+test("metadata facets only read the product's own keys", () => {
+  const products = [phone(1000), phone(2000, { metadata: { os: "Android" } })];
+  assert.deepEqual(computeFacets(products, ["hasOwnProperty"]).hasOwnProperty, []);
+});
+
+test("price buckets have an exclusive upper bound", () => {
+  const facets = computeFacets([phone(9999), phone(10000), phone(95000)], ["price"]);
+  assert.equal(bucket(facets, "0-10000"), 1);
+  assert.equal(bucket(facets, "10000-20000"), 1);
+  assert.equal(bucket(facets, "80000+"), 1);
+});
+
+test("with ?qty=, price buckets use the unit price the search filtered on", () => {
+  const tiered = phone(12000, { quantityPricing: { qty: 50, unitPrice: 9500 } });
+  const facets = computeFacets([tiered, phone(15000)], ["price"]);
+  assert.equal(bucket(facets, "0-10000"), 1);
+  assert.equal(bucket(facets, "10000-20000"), 1);
+});
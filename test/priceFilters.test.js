@@ -0,0 +1,57 @@
+/**
+ * Price filters: a bound of 0 is a real bound, not "no filter"
+ * (services/filterServices, services/pricingServices, services/searchServices)
+ *
+ * Run: npm test
+ */
+
+process.env.USE_IN_MEMORY = "true";
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { applyFilterOverrides } = require("../services/filterServices");
+const { toMongoUnitPriceClauses } = require("../services/pricingServices");
+const productService = require("../services/productServices");
+const { search } = require("../services/searchServices");
+
+const parsed = { normalised: "charger", minPrice: 500, maxPrice: 2000, priceExplicit: false };
+
+before(async () => {
+  await productService.createProduct({
+    title: "Fast Charger 20W",
+    brand: "Portronics",
+    category: "Chargers & Cables",
+    price: 799,
+    mrp: 999,
+    stock: 10,
+  });
+});
+
+const titles = async (filters, qty) => {
+  const { data } = await search("fast charger", { filters, qty, nocache: true, facets: [] });
+  return data.map((p) => p.title);
+};
+
+test("explicit minPrice=0 / maxPrice=0 override the parsed range", () => {
+  const lowest = applyFilterOverrides(parsed, { maxPrice: 0 });
+  assert.equal(lowest.maxPrice, 0);
+  assert.equal(lowest.minPrice, null);
+  assert.equal(lowest.priceExplicit, true);
+
+  const open = applyFilterOverrides(parsed, { minPrice: 0 });
+  assert.equal(open.minPrice, 0);
+  assert.equal(open.maxPrice, null);
+});
+
+test("unit-price clauses are built for a 0 bound", () => {
+  assert.equal(toMongoUnitPriceClauses({ maxPrice: 0 }, 10).length, 2);
+  assert.equal(toMongoUnitPriceClauses({ minPrice: 0 }, 10).length, 2);
+  assert.deepEqual(toMongoUnitPriceClauses({}, 10), []);
+});
+
+test("maxPrice=0 matches nothing that costs money; minPrice=0 keeps everything", async () => {
+  assert.deepEqual(await titles({ maxPrice: 0 }), []);
+  assert.deepEqual(await titles({ maxPrice: 0 }, 10), []);
+  assert.ok((await titles({ minPrice: 0 })).includes("Fast Charger 20W"));
+  assert.ok((await titles({ minPrice: 0, maxPrice: 1000 })).includes("Fast Charger 20W"));
+});
@@ -0,0 +1,160 @@
+/**
+ * Quantity price tiers: validation, the unit price at a quantity and the
+ * MongoDB clauses that filter on it (services/pricingServices)
+ *
+ * Run: npm test
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  priceTierErrors,
+  unitPriceFor,
+  toMongoUnitPriceClauses,
+} = require("../services/pricingServices");
+
+const TIERS = [
+  { minQty: 50, price: 390 },
+  { minQty: 10, price: 420 },
+];
+const product = (price, priceTiers = TIERS) => ({ price, mrp: 500, priceTiers });
+
+// ──────────────────────────────────────────────
+// priceTierErrors
+// ──────────────────────────────────────────────
+test("tiers that get cheaper with quantity are valid, in any order", () => {
+  assert.deepEqual(priceTierErrors(TIERS, 450), []);
+  assert.deepEqual(priceTierErrors([], 450), []);
+  assert.deepEqual(priceTierErrors(undefined, 450), []);
+});
+
+test("a tier must be below the single-unit price and the tier before it", () => {
+  assert.deepEqual(priceTierErrors([{ minQty: 10, price: 450 }], 450), [
+    "Price tier from 10 units (450) must be below the single-unit price (450)",
+  ]);
+  assert.deepEqual(
+    priceTierErrors(
+      [
+        { minQty: 10, price: 420 },
+        { minQty: 50, price: 430 },
+      ],
+      450
+    ),
+    ["Price tier from 50 units (430) must be below the price from 10 units (420)"]
+  );
+});
+
+test("tiers must start at different quantities, at most 10 of them", () => {
+  const duplicate = [
+    { minQty: 10, price: 420 },
+    { minQty: 10, price: 400 },
+  ];
+  assert.deepEqual(priceTierErrors(duplicate, 450), [
+    "More than one price tier starts at 10 units",
+  ]);
+
+  const many = Array.from({ length: 11 }, (_, i) => ({ minQty: i + 2, price: 440 - i }));
+  assert.deepEqual(priceTierErrors(many, 450), ["A product can have at most 10 price tiers"]);
+});
+
+// ──────────────────────────────────────────────
+// unitPriceFor
+// ──────────────────────────────────────────────
+test("the unit price is the last tier the quantity reaches", () => {
+  const at = (qty) => unitPriceFor(product(450), qty);
+  assert.deepEqual(at(1), { qty: 1, unitPrice: 450, discountPercent: 10, tierMinQty: 1 });
+  assert.deepEqual(at(9), { qty: 9, unitPrice: 450, discountPercent: 10, tierMinQty: 1 });
+  assert.deepEqual(at(10), { qty: 10, unitPrice: 420, discountPercent: 16, tierMinQty: 10 });
+  assert.deepEqual(at(49), { qty: 49, unitPrice: 420, discountPercent: 16, tierMinQty: 10 });
+  assert.deepEqual(at(500), { qty: 500, unitPrice: 390, discountPercent: 22, tierMinQty: 50 });
+});
+
+test("tiers not below a lowered price are skipped; the unit price never exceeds it", () => {
+  assert.equal(unitPriceFor(product(400), 10).unitPrice, 400);
+  assert.equal(unitPriceFor(product(400), 50).unitPrice, 390);
+  assert.equal(unitPriceFor(product(380), 50).unitPrice, 380);
+  assert.equal(unitPriceFor({ price: 450, mrp: 500 }, 50).unitPrice, 450);
+});
+
+// ──────────────────────────────────────────────
+// toMongoUnitPriceClauses
+// ──────────────────────────────────────────────
+/** Evaluates the aggregation operators the clauses use against one document */
+const evaluate = (expr, doc, vars = {}) => {
+  if (typeof expr === "string" && expr.startsWith("$$")) {
+    const [name, ...path] = expr.slice(2).split(".");
+    return path.reduce((v, key) => v?.[key], vars[name]);
+  }
+  if (typeof expr === "string" && expr.startsWith("$")) return doc[expr.slice(1)];
+  if (Array.isArray(expr)) return expr.map((e) => evaluate(e, doc, vars));
+  if (expr === null || typeof expr !== "object") return expr;
+
+  const [op] = Object.keys(expr);
+  const arg = expr[op];
+  const all = () => evaluate(arg, doc, vars);
+  switch (op) {
+    case "$let": {
+      const bound = Object.fromEntries(
+        Object.entries(arg.vars).map(([k, v]) => [k, evaluate(v, doc, vars)])
+      );
+      return evaluate(arg.in, doc, { ...vars, ...bound });
+    }
+    case "$reduce":
+      return evaluate(arg.input, doc, vars).reduce(
+        (value, item) => evaluate(arg.in, doc, { ...vars, value, this: item }),
+        evaluate(arg.initialValue, doc, vars)
+      );
+    case "$ifNull": {
+      const [value, fallback] = all();
+      return value ?? fallback;
+    }
+    case "$cond": {
+      const [cond, then, otherwise] = arg;
+      return evaluate(cond, doc, vars) ? evaluate(then, doc, vars) : evaluate(otherwise, doc, vars);
+    }
+    case "$and":
+      return all().every(Boolean);
+    case "$lt":
+      return all()[0] < all()[1];
+    case "$lte":
+      return all()[0] <= all()[1];
+    case "$gte":
+      return all()[0] >= all()[1];
+    default:
+      return Object.fromEntries(Object.entries(expr).map(([k, v]) => [k, evaluate(v, doc, vars)]));
+  }
+};
+
+test("the $expr bound matches unitPriceFor, including tiers above a lowered price", () => {
+  const docs = [
+    product(450),
+    product(400),
+    product(380),
+    product(450, []),
+    { price: 450, mrp: 500 },
+    product(400, [
+      { minQty: 10, price: 300 },
+      { minQty: 50, price: 350 },
+    ]),
+  ];
+  for (const qty of [1, 10, 49, 50, 60]) {
+    for (const minPrice of [300, 350, 395, 400, 420]) {
+      const [, $exprClause] = toMongoUnitPriceClauses({ minPrice }, qty);
+      docs.forEach((doc) => {
+        assert.equal(
+          evaluate($exprClause.$expr, doc),
+          unitPriceFor(doc, qty).unitPrice >= minPrice,
+          `minPrice ${minPrice} at qty ${qty}: ${JSON.stringify(doc)}`
+        );
+      });
+    }
+  }
+});
+
+test("clauses are built for each bound, with one $expr for both", () => {
+  assert.deepEqual(toMongoUnitPriceClauses({}, 10), []);
+  const both = toMongoUnitPriceClauses({ minPrice: 100, maxPrice: 400 }, 10);
+  assert.equal(both.length, 3);
+  assert.deepEqual(both[1], { price: { $gte: 100 } });
+  assert.equal(both[2].$expr.$and.length, 2);
+});
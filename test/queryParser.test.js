@@ -0,0 +1,63 @@
+/**
+ * Query parser: numbers, units and comparison words (utils/quantities)
+ *
+ * Run: npm test
+ */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseQuery } = require("../utils/queryParser");
+
+const parse = (q) => {
+  const { minPrice, maxPrice, priceExplicit, numericFilters } = parseQuery(q);
+  return { minPrice, maxPrice, priceExplicit, numericFilters };
+};
+
+test("model names ending in max / min are not comparisons", () => {
+  assert.deepEqual(parse("iphone 15 pro max 256gb").numericFilters, {});
+  assert.deepEqual(parse("redmi note 13 pro max 6000mah").numericFilters, {});
+  assert.deepEqual(parse("phone min 8gb ram").numericFilters, {});
+});
+
+test("comparison words still apply", () => {
+  assert.equal(parse("phone under 20k").maxPrice, 20000);
+  assert.equal(parse("maximum 30k laptop").maxPrice, 30000);
+  assert.deepEqual(parse("at most 6000mah").numericFilters, { battery: { lte: 6000 } });
+  assert.deepEqual(parse("battery at least 5000mah").numericFilters, {
+    battery: { gte: 5000 },
+  });
+});
+
+test("comparison words must be whole words", () => {
+  const { minPrice, maxPrice } = parse("phone cover 500");
+  assert.ok(minPrice < 500 && maxPrice > 500, "a bare price is approximate, not '> 500'");
+});
+
+test("bounds that refine each other are combined", () => {
+  const { minPrice, maxPrice, priceExplicit } = parse("phone above 20k under 30k");
+  assert.deepEqual({ minPrice, maxPrice, priceExplicit }, {
+    minPrice: 20001,
+    maxPrice: 30000,
+    priceExplicit: true,
+  });
+});
+
+test("strict price bounds exclude the number itself", () => {
+  assert.equal(parse("phone above 20k").minPrice, 20001);
+  assert.equal(parse("earphones over 500").minPrice, 501);
+  assert.equal(parse("phone more than 9999.5").minPrice, 10000);
+  assert.equal(parse("charger below 1000").maxPrice, 999);
+  assert.equal(parse("phone at least 20k").minPrice, 20000);
+  assert.equal(parse("phone from 15k above 20k").minPrice, 20001);
+});
+
+test("contradictory bounds are dropped instead of matching nothing", () => {
+  assert.deepEqual(parse("phone under 10k above 20k"), {
+    minPrice: null,
+    maxPrice: null,
+    priceExplicit: false,
+    numericFilters: {},
+  });
+  assert.deepEqual(parse("battery over 5000mah under 4000mah").numericFilters, {});
+  assert.equal(parse("phone above 20k below 20k").priceExplicit, false);
+});
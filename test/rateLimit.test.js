@@ -0,0 +1,146 @@
+/**
+ * Rate limiting: token buckets (store/rateLimitStore) and the middleware's
+ * 429 / RateLimit-* / Retry-After responses (middleware/rateLimit)
+ *
+ * Run: npm test
+ */
+
+process.env.RATE_LIMIT_WRITE_PER_MINUTE = "60"; // one token a second
+process.env.RATE_LIMIT_WRITE_BURST = "3";
+delete process.env.RATE_LIMIT_DISABLED;
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MemoryRateLimitStore } = require("../store/rateLimitStore");
+const { rateLimit, setRateLimitStore } = require("../middleware/rateLimit");
+
+/** A clock that only moves when told to */
+const fakeClock = () => {
+  let ms = 1_000_000;
+  const now = () => ms;
+  now.advance = (seconds) => {
+    ms += seconds * 1000;
+  };
+  return now;
+};
+
+const POLICY = { capacity: 3, refillPerSecond: 1 };
+
+const drain = async (store, key, n) => {
+  const results = [];
+  for (let i = 0; i < n; i++) results.push(await store.consume(key, POLICY));
+  return results;
+};
+
+// ──────────────────────────────────────────────
+// Token bucket
+// ──────────────────────────────────────────────
+test("a full bucket allows a burst of `capacity` requests, then refuses", async () => {
+  const store = new MemoryRateLimitStore({ now: fakeClock() });
+  const results = await drain(store, "k", 4);
+  assert.deepEqual(results.map((r) => r.allowed), [true, true, true, false]);
+  assert.deepEqual(results.map((r) => r.remaining), [2, 1, 0, 0]);
+  assert.equal(results[3].retryAfterSeconds, 1);
+  assert.equal(results[3].resetSeconds, 3);
+});
+
+test("tokens refill with time, up to the capacity", async () => {
+  const clock = fakeClock();
+  const store = new MemoryRateLimitStore({ now: clock });
+  await drain(store, "k", 3);
+
+  clock.advance(0.5);
+  assert.equal((await store.consume("k", POLICY)).allowed, false);
+
+  clock.advance(0.5);
+  assert.equal((await store.consume("k", POLICY)).allowed, true);
+
+  clock.advance(60); // far longer than a refill: still only `capacity` tokens
+  const burst = await drain(store, "k", 4);
+  assert.deepEqual(burst.map((r) => r.allowed), [true, true, true, false]);
+});
+
+test("a refused request does not use up tokens", async () => {
+  const clock = fakeClock();
+  const store = new MemoryRateLimitStore({ now: clock });
+  await drain(store, "k", 5);
+  clock.advance(1);
+  assert.equal((await store.consume("k", POLICY)).allowed, true);
+});
+
+test("keys have separate buckets", async () => {
+  const store = new MemoryRateLimitStore({ now: fakeClock() });
+  await drain(store, "a", 3);
+  assert.equal((await store.consume("a", POLICY)).allowed, false);
+  assert.equal((await store.consume("b", POLICY)).allowed, true);
+});
+
+test("a cost takes that many tokens at once", async () => {
+  const store = new MemoryRateLimitStore({ now: fakeClock() });
+  assert.equal((await store.consume("k", POLICY, 2)).remaining, 1);
+  const refused = await store.consume("k", POLICY, 2);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.retryAfterSeconds, 1);
+});
+
+// ──────────────────────────────────────────────
+// Middleware
+// ──────────────────────────────────────────────
+const request = async (middleware, { method = "POST", auth, ip = "10.0.0.1" } = {}) => {
+  const res = {
+    headers: {},
+    set(fields, value) {
+      if (typeof fields === "string") this.headers[fields] = value;
+      else Object.assign(this.headers, fields);
+    },
+  };
+  let err = null;
+  await middleware({ method, auth, ip }, res, (e) => {
+    err = e || null;
+  });
+  return { err, headers: res.headers };
+};
+
+test("over the limit: 429 with Retry-After and RateLimit-* headers", async () => {
+  const clock = fakeClock();
+  setRateLimitStore(new MemoryRateLimitStore({ now: clock }));
+  const limit = rateLimit("write");
+  const auth = { name: "merch-tool", method: "api-key" };
+
+  for (let i = 0; i < 3; i++) assert.equal((await request(limit, { auth })).err, null);
+  const { err, headers } = await request(limit, { auth });
+
+  assert.equal(err.statusCode, 429);
+  assert.equal(headers["Retry-After"], "1");
+  assert.equal(headers["RateLimit-Limit"], "3");
+  assert.equal(headers["RateLimit-Remaining"], "0");
+  assert.equal(headers["RateLimit-Policy"], "60;w=60;burst=3");
+
+  clock.advance(1);
+  assert.equal((await request(limit, { auth })).err, null);
+});
+
+test("clients are limited separately: by credential name, else by IP", async () => {
+  setRateLimitStore(new MemoryRateLimitStore({ now: fakeClock() }));
+  const limit = rateLimit("write");
+  const a = { name: "storefront", method: "api-key" };
+
+  for (let i = 0; i < 3; i++) await request(limit, { auth: a });
+  assert.equal((await request(limit, { auth: a })).err.statusCode, 429);
+  assert.equal((await request(limit, { auth: { name: "other", method: "api-key" } })).err, null);
+  assert.equal((await request(limit, { ip: "10.0.0.2" })).err, null);
+});
+
+test("the write policy ignores reads", async () => {
+  setRateLimitStore(new MemoryRateLimitStore({ now: fakeClock() }));
+  const limit = rateLimit("write");
+  for (let i = 0; i < 10; i++) {
+    const { err, headers } = await request(limit, { method: "GET" });
+    assert.equal(err, null);
+    assert.equal(headers["RateLimit-Limit"], undefined);
+  }
+});
+
+test("unknown policies are refused up front", () => {
+  assert.throws(() => rateLimit("uploads"), /Unknown rate limit policy "uploads"/);
+});
@@ -0,0 +1,35 @@
+/**
+ * Search cache invalidation: catalog edits drop it, engagement counters do not
+ *
+ * Run: npm test
+ */
+
+process.env.USE_IN_MEMORY = "true";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const productService = require("../services/productServices");
+const searchCache = require("../services/searchCacheServices");
+
+const cacheEntry = (key) => {
+  const miss = searchCache.lookup(key);
+  searchCache.store(key, { response: {} }, miss.generation);
+};
+
+test("engagement counters leave cached searches in place; a price edit drops them", async () => {
+  const product = await productService.createProduct({
+    title: "Cache Test Phone",
+    category: "Mobile Phones",
+    price: 10000,
+    mrp: 12000,
+  });
+  const id = product._id;
+
+  cacheEntry("phone");
+  await productService.incrementCounters(id, { viewCount: 1 });
+  await productService.setCounters(id, { trackedSalesVelocity: 3 });
+  assert.equal(searchCache.lookup("phone").status, "HIT");
+
+  await productService.updateProduct(id, { price: 9000 });
+  assert.equal(searchCache.lookup("phone").status, "MISS");
+});
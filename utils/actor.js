@@ -0,0 +1,20 @@
+/**
+ * Actor
+ * ─────
+ * Identifies who is making a catalog change, for the product history.
+ * That is the authenticated caller (API key name or JWT `sub`). Only when
+ * authentication is disabled is the self-declared `X-Actor` header used.
+ */
+
+const ACTOR_HEADER = "X-Actor";
+const MAX_ACTOR_LENGTH = 200;
+const ANONYMOUS_ACTOR = "anonymous";
+
+/** Actor for a request; "anonymous" when nobody can be identified */
+function getActor(req) {
+  if (req.auth && req.auth.method !== "disabled") return req.auth.name;
+  const actor = (req.get(ACTOR_HEADER) || "").trim().slice(0, MAX_ACTOR_LENGTH);
+  return actor || ANONYMOUS_ACTOR;
+}
+
+module.exports = { getActor, ACTOR_HEADER, ANONYMOUS_ACTOR };
@@ -0,0 +1,93 @@
+/**
+ * CSV
+ * ───
+ * Minimal RFC 4180 reader/writer for catalog import and export.
+ *  - quoted fields, "" escapes, embedded commas and newlines
+ *  - CRLF or LF line endings, optional UTF-8 BOM
+ */
+
+/**
+ * Parses CSV text into rows of string cells.
+ * @param {string} text
+ * @returns {{ cells: string[], line: number }[]} rows with their 1-based starting line
+ */
+function parseCsvRows(text) {
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    cells.push(cell);
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    // Skip blank lines
+    if (cells.length > 1 || cells[0] !== "") rows.push({ cells, line: rowLine });
+    cells = [];
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      endCell();
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || cells.length) endRow();
+
+  return rows;
+}
+
+/**
+ * Parses CSV text with a header row into records keyed by column name.
+ * @param {string} text
+ * @returns {{ headers: string[], records: { line: number, values: Object<string, string> }[] }}
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return { headers: [], records: [] };
+
+  const headers = header.cells.map((h) => h.trim());
+  const records = rows.map(({ cells, line }) => ({
+    line,
+    values: Object.fromEntries(headers.map((h, i) => [h, cells[i] ?? ""])),
+  }));
+  return { headers, records };
+}
+
+/** Quotes a value only when needed */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  const str = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/** Serialises one row of values to a CSV line (with trailing newline) */
+function toCsvLine(values) {
+  return `${values.map(escapeCsvValue).join(",")}\n`;
+}
+
+module.exports = { parseCsv, parseCsvRows, toCsvLine, escapeCsvValue };
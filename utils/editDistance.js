@@ -0,0 +1,58 @@
+/**
+ * EditDistance
+ * ────────────
+ * Levenshtein distance helpers used for typo-tolerant matching.
+ */
+
+/**
+ * Levenshtein distance between two strings.
+ * Stops early and returns `max + 1` once the distance is known to exceed `max`.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max=Infinity]
+ * @returns {number}
+ */
+function levenshtein(a, b, max = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Distance between a (partially typed) prefix and the closest same-length
+ * start of `text`. Used for typeahead: "samsn" vs "samsung galaxy" → 1.
+ *
+ * @param {string} prefix
+ * @param {string} text
+ * @param {number} [max=Infinity]
+ * @returns {number}
+ */
+function prefixDistance(prefix, text, max = Infinity) {
+  let best = max + 1;
+  for (let len = prefix.length - 1; len <= prefix.length + 1; len++) {
+    if (len < 1 || len > text.length) continue;
+    best = Math.min(best, levenshtein(prefix, text.slice(0, len), max));
+  }
+  return best;
+}
+
+/** Typo budget scaled to word length: 0 for ≤3 chars, 1 for ≤6, else 2 */
+const maxTyposFor = (word) => (word.length <= 3 ? 0 : word.length <= 6 ? 1 : 2);
+
+module.exports = { levenshtein, prefixDistance, maxTyposFor };
@@ -0,0 +1,95 @@
+/**
+ * HinglishDictionary
+ * ──────────────────
+ * Versioned data files behind the query parser's Hinglish / regional
+ * dictionary (romanised word or phrase → English search term).
+ *
+ * Directory: config/hinglish (override with HINGLISH_DICTIONARY_DIR)
+ *
+ *   v1.json, v2.json, ...   — one file per version, never rewritten
+ *   {
+ *     "version": 2,
+ *     "createdAt": "...",
+ *     "author": "...",
+ *     "note": "...",
+ *     "entries": { "sasta": "cheap", "kam daam": "cheap", ... }
+ *   }
+ *
+ * The highest version is the active one. Edits and rollbacks always add a
+ * new file, so every earlier version stays available.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DICTIONARY_DIR =
+  process.env.HINGLISH_DICTIONARY_DIR || path.join(__dirname, "../config/hinglish");
+const VERSION_FILE = /^v(\d+)\.json$/;
+
+const dictionaryError = (statusCode, message) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const versionPath = (version) => path.join(DICTIONARY_DIR, `v${version}.json`);
+
+/** Version numbers present on disk, ascending */
+function listVersionNumbers() {
+  if (!fs.existsSync(DICTIONARY_DIR)) return [];
+  return fs
+    .readdirSync(DICTIONARY_DIR)
+    .map((file) => VERSION_FILE.exec(file))
+    .filter(Boolean)
+    .map((m) => parseInt(m[1], 10))
+    .sort((a, b) => a - b);
+}
+
+/** Reads one version; returns null if it does not exist */
+function readVersion(version) {
+  let raw;
+  try {
+    raw = fs.readFileSync(versionPath(version), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw dictionaryError(500, `Hinglish dictionary v${version} is not valid JSON: ${err.message}`);
+  }
+}
+
+/** The active (highest) version; throws if the directory holds none */
+function readLatest() {
+  const versions = listVersionNumbers();
+  if (versions.length === 0) {
+    throw dictionaryError(500, `No Hinglish dictionary versions found in ${DICTIONARY_DIR}`);
+  }
+  return readVersion(versions[versions.length - 1]);
+}
+
+/**
+ * Writes the next version. Fails with 409 if another writer created the
+ * same version number first.
+ * @param {{ entries: Object<string, string>, author: string, note?: string }} data
+ */
+function writeNextVersion({ entries, author, note = "" }) {
+  const versions = listVersionNumbers();
+  const version = (versions[versions.length - 1] || 0) + 1;
+  const doc = { version, createdAt: new Date().toISOString(), author, note, entries };
+
+  fs.mkdirSync(DICTIONARY_DIR, { recursive: true });
+  try {
+    fs.writeFileSync(versionPath(version), `${JSON.stringify(doc, null, 2)}\n`, { flag: "wx" });
+  } catch (err) {
+    if (err.code === "EEXIST") {
+      throw dictionaryError(409, `Hinglish dictionary v${version} was just created; retry`);
+    }
+    throw err;
+  }
+  return doc;
+}
+
+module.exports = { DICTIONARY_DIR, listVersionNumbers, readVersion, readLatest, writeNextVersion };
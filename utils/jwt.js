@@ -0,0 +1,73 @@
+/**
+ * JWT
+ * ───
+ * Minimal HS256 JSON Web Token signing and verification on top of
+ * node:crypto, so tokens can be checked locally without an identity
+ * provider. Only HS256 is accepted; "alg: none" and RS* tokens are rejected.
+ */
+
+const crypto = require("crypto");
+
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+const base64url = (input) => Buffer.from(input).toString("base64url");
+
+const sign = (data, secret) => crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+/**
+ * @param {Object} payload - claims; `iat` is added, `exp` when ttlSeconds is given
+ * @param {string} secret
+ * @param {{ ttlSeconds?: number }} [opts]
+ * @returns {string}
+ */
+function signJwt(payload, secret, { ttlSeconds } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { iat: now, ...payload };
+  if (ttlSeconds) claims.exp = now + ttlSeconds;
+  const unsigned = `${base64url(JSON.stringify(HEADER))}.${base64url(JSON.stringify(claims))}`;
+  return `${unsigned}.${sign(unsigned, secret)}`;
+}
+
+/**
+ * Verifies signature and time claims; returns the payload.
+ * @param {string} token
+ * @param {string} secret
+ * @param {{ issuer?: string, audience?: string, clockToleranceSeconds?: number }} [opts]
+ * @throws {Error} with a short reason when the token is not acceptable
+ */
+function verifyJwt(token, secret, { issuer, audience, clockToleranceSeconds = 30 } = {}) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) throw new Error("malformed token");
+  const [encodedHeader, encodedPayload, signature] = parts;
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, "base64url").toString("utf8"));
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("malformed token");
+  }
+  if (header.alg !== "HS256") throw new Error(`unsupported algorithm "${header.alg}"`);
+
+  const expected = Buffer.from(sign(`${encodedHeader}.${encodedPayload}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error("invalid signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (payload.exp !== undefined && now > payload.exp + clockToleranceSeconds) {
+    throw new Error("token expired");
+  }
+  if (payload.nbf !== undefined && now < payload.nbf - clockToleranceSeconds) {
+    throw new Error("token not yet valid");
+  }
+  if (issuer && payload.iss !== issuer) throw new Error("unexpected issuer");
+  if (audience && ![].concat(payload.aud).includes(audience)) {
+    throw new Error("unexpected audience");
+  }
+  return payload;
+}
+
+module.exports = { signJwt, verifyJwt };
@@ -0,0 +1,46 @@
+/**
+ * LruCache
+ * ────────
+ * Size-bounded cache with per-entry TTL. A Map keeps insertion order, so
+ * re-inserting on every hit makes the first key the least recently used.
+ */
+
+class LruCache {
+  /**
+   * @param {{ max: number, ttlMs: number }} opts
+   */
+  constructor({ max, ttlMs }) {
+    this.max = max;
+    this.ttlMs = ttlMs;
+    /** @type {Map<string, { value: *, expiresAt: number }>} */
+    this._entries = new Map();
+  }
+
+  /** Cached value, or undefined when missing or expired */
+  get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return undefined;
+    this._entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    this._entries.set(key, entry); // mark as most recently used
+    return entry.value;
+  }
+
+  set(key, value) {
+    this._entries.delete(key);
+    this._entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+    while (this._entries.size > this.max) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+}
+
+module.exports = LruCache;
@@ -0,0 +1,239 @@
+/**
+ * Quantities
+ * ──────────
+ * Numbers in a normalised query, with their units and comparison words:
+ *
+ *   "under 50k"               price  ≤ 50000
+ *   "between 20k and 30k"     price  20000 – 30000
+ *   "20-30k"                  price  20000 – 30000 (the first number borrows the unit)
+ *   "₹1.5 lakh"               price  ≈ 150000 (±30%, no comparison word)
+ *   "above 2 crore"           price  > 20000000
+ *   "more than 6gb ram"       ram    > 6 (GB)
+ *   "at least 5000mah"        battery ≥ 5000 (mAh)
+ *   "6.5 inch and above"      screenSize ≥ 6.5 (inches)
+ *   "4+ stars", "4 star"      rating ≥ 4
+ *
+ * Prices are whole rupees, so strict price bounds become inclusive ones:
+ * "above 500" is minPrice 501, "below 1000" is maxPrice 999.
+ *
+ * Spec ranges use Mongo-style operators ({ gt, gte, lt, lte }) in canonical
+ * units: GB for ram/storage, mAh for battery, inches for screenSize, stars
+ * for rating. A spec with no comparison word ("8gb ram") is not a range;
+ * the parser still reports it as a soft entity (ramGB, storageGB).
+ */
+
+// ──────────────────────────────────────────────
+// Units
+// ──────────────────────────────────────────────
+const PRICE_MULTIPLIERS = {
+  k: 1e3,
+  thousand: 1e3,
+  l: 1e5,
+  lac: 1e5,
+  lacs: 1e5,
+  lakh: 1e5,
+  lakhs: 1e5,
+  cr: 1e7,
+  crore: 1e7,
+  crores: 1e7,
+};
+
+const SPEC_UNITS = {
+  mb: { spec: "storage", scale: 1 / 1024 },
+  gb: { spec: "storage", scale: 1 },
+  tb: { spec: "storage", scale: 1024 },
+  mah: { spec: "battery", scale: 1 },
+  inch: { spec: "screenSize", scale: 1 },
+  inches: { spec: "screenSize", scale: 1 },
+  '"': { spec: "screenSize", scale: 1 },
+  star: { spec: "rating", scale: 1 },
+  stars: { spec: "rating", scale: 1 },
+};
+
+const UNIT_ALTERNATION = [...Object.keys(PRICE_MULTIPLIERS), ...Object.keys(SPEC_UNITS)]
+  .sort((a, b) => b.length - a.length)
+  .join("|");
+
+// [currency] number [+] [unit] [+] — not part of a word or a model name like "s24"
+const QUANTITY = new RegExp(
+  "(?<![a-z])(₹|rs\\.?|inr)?\\s*" + // currency
+    "(?<![a-z0-9.])(\\d+(?:\\.\\d+)?)\\s*(\\+)?\\s*" + // number, "4+"
+    `(${UNIT_ALTERNATION})?(\\+)?(?![a-z0-9])`, // unit, "8gb+"
+  "g"
+);
+
+// ──────────────────────────────────────────────
+// Comparison words
+// ──────────────────────────────────────────────
+// Whole words only, so "cover" is not "over". Bare "max" / "min" are left out:
+// they are usually model names ("iphone 15 pro max 256gb"), not comparisons.
+const prefix = (words, symbol) => new RegExp(`(?:\\b(?:${words})|${symbol})\\s*$`);
+const PREFIX_OPERATORS = [
+  [prefix("at least|atleast|minimum|from|starting(?: at| from)?", ">="), "gte"],
+  [prefix("above|over|more than|greater than|bigger than|larger than|higher than", ">"), "gt"],
+  [prefix("under|upto|up to|within|maximum|at most", "<="), "lte"],
+  [prefix("below|less than|lower than|smaller than|cheaper than", "<"), "lt"],
+];
+
+// Optionally after the spec's noun: "5000mah battery or more"
+const SPEC_NOUN = "(?:ram|storage|battery|screen|display|rating)?";
+const suffix = (words) => new RegExp(`^\\s*${SPEC_NOUN}\\s*(?:${words})\\b`);
+const SUFFIX_OPERATORS = [
+  [suffix("or more|and above|& above|or above|and up|or higher|plus"), "gte"],
+  [suffix("or less|and below|& below|or below|or lower"), "lte"],
+];
+
+const RANGE_JOINER = /^\s*(?:-|–|to|and)\s*$/;
+
+/** Numbers this small with no unit or currency are model numbers, not prices */
+const MIN_BARE_PRICE = 100;
+const APPROX_PRICE_BAND = 0.3;
+
+// ──────────────────────────────────────────────
+// Scanning
+// ──────────────────────────────────────────────
+/** Every number in the query with its unit, position and spec kind */
+function scanQuantities(q) {
+  const found = [];
+  for (const m of q.matchAll(QUANTITY)) {
+    const [text, currency, digits, plusBeforeUnit, rawUnit, plusAfterUnit] = m;
+    const unit = rawUnit || null;
+    const start = m.index + text.length - text.trimStart().length;
+    const end = m.index + text.length;
+    const after = q.slice(end);
+
+    let kind = null;
+    let value = parseFloat(digits);
+    if (unit && PRICE_MULTIPLIERS[unit]) {
+      kind = "price";
+      value *= PRICE_MULTIPLIERS[unit];
+    } else if (unit) {
+      ({ spec: kind } = SPEC_UNITS[unit]);
+      value *= SPEC_UNITS[unit].scale;
+      if (kind === "storage" && /^\s*\+?\s*(?:of\s+)?ram\b/.test(after)) kind = "ram";
+    } else if (currency) {
+      kind = "price";
+    } else if (/^\s*\+?\s*rating\b/.test(after) || /rated\s*$/.test(q.slice(0, start))) {
+      kind = "rating";
+    } else if (value > MIN_BARE_PRICE) {
+      kind = "price";
+    }
+
+    found.push({
+      kind,
+      value,
+      unit,
+      start,
+      end,
+      plus: Boolean(plusBeforeUnit || plusAfterUnit),
+    });
+  }
+  return found;
+}
+
+const operatorBefore = (q, start) =>
+  PREFIX_OPERATORS.find(([pattern]) => pattern.test(q.slice(0, start)))?.[1] || null;
+
+const operatorAfter = (q, end) =>
+  SUFFIX_OPERATORS.find(([pattern]) => pattern.test(q.slice(end)))?.[1] || null;
+
+/** Unitless first half of "20-30k" / "4 to 6 gb" takes the second half's unit */
+function inheritUnit(first, second) {
+  if (first.kind || !second.kind) return first;
+  const scale =
+    second.kind === "price"
+      ? PRICE_MULTIPLIERS[second.unit] || 1
+      : SPEC_UNITS[second.unit]?.scale || 1;
+  return { ...first, kind: second.kind, value: first.value * scale };
+}
+
+/** True when no value satisfies every bound of the range */
+function isEmptyRange({ gt, gte, lt, lte }) {
+  const lows = [gt, gte].filter((v) => v !== undefined);
+  const highs = [lt, lte].filter((v) => v !== undefined);
+  if (!lows.length || !highs.length) return false;
+  const low = Math.max(...lows);
+  const high = Math.min(...highs);
+  return low > high || (low === high && (low === gt || high === lt));
+}
+
+/** The tightest of the defined bounds, or null */
+const tightest = (bounds, pick) => {
+  const defined = bounds.filter((v) => v != null);
+  return defined.length ? pick(...defined) : null;
+};
+
+// ──────────────────────────────────────────────
+// Public API
+// ──────────────────────────────────────────────
+/**
+ * @param {string} q - normalised (lowercase) query
+ * @returns {{
+ *   minPrice: number|null,
+ *   maxPrice: number|null,
+ *   priceExplicit: boolean,
+ *   numericFilters: Object<string, { gt?: number, gte?: number, lt?: number, lte?: number }>
+ * }}
+ */
+function extractQuantities(q) {
+  const quantities = scanQuantities(q);
+  const ranges = []; // [kind, { op: value }]
+
+  for (let i = 0; i < quantities.length; i++) {
+    let current = quantities[i];
+    const next = quantities[i + 1];
+
+    // "between 20k and 30k", "20-30k", "from 4 to 6 gb"
+    if (next && next.kind && RANGE_JOINER.test(q.slice(current.end, next.start))) {
+      current = inheritUnit(current, next);
+      if (current.kind === next.kind) {
+        const [low, high] = [current.value, next.value].sort((a, b) => a - b);
+        ranges.push([current.kind, { gte: low, lte: high }]);
+        i++;
+        continue;
+      }
+    }
+
+    const { kind, value } = current;
+    if (!kind) continue;
+    const op = current.plus
+      ? "gte"
+      : operatorBefore(q, current.start) || operatorAfter(q, current.end);
+
+    if (op) ranges.push([kind, { [op]: value }]);
+    else if (kind === "price") ranges.push(["price", { approx: value }]);
+    else if (kind === "rating") ranges.push(["rating", { gte: value }]); // "4 star"
+  }
+
+  // Later mentions refine earlier ones ("above 20k under 30k"); bounds that
+  // exclude each other ("under 10k above 20k") are dropped, not applied
+  const numericFilters = {};
+  for (const [kind, range] of ranges) numericFilters[kind] = { ...numericFilters[kind], ...range };
+  Object.keys(numericFilters).forEach((kind) => {
+    if (isEmptyRange(numericFilters[kind])) delete numericFilters[kind];
+  });
+
+  let minPrice = null;
+  let maxPrice = null;
+  const price = numericFilters.price;
+  delete numericFilters.price;
+  if (price) {
+    if (price.approx && Object.keys(price).length === 1) {
+      minPrice = Math.round(price.approx * (1 - APPROX_PRICE_BAND));
+      maxPrice = Math.round(price.approx * (1 + APPROX_PRICE_BAND));
+    } else {
+      const lows = [price.gte, price.gt != null ? Math.floor(price.gt) + 1 : undefined];
+      const highs = [price.lte, price.lt != null ? Math.ceil(price.lt) - 1 : undefined];
+      minPrice = tightest(lows, Math.max);
+      maxPrice = tightest(highs, Math.min);
+    }
+  }
+  if (numericFilters.rating) {
+    const { gt, gte, lt, lte } = numericFilters.rating;
+    if ([gt, gte, lt, lte].some((v) => v !== undefined && v > 5)) delete numericFilters.rating;
+  }
+
+  return { minPrice, maxPrice, priceExplicit: Boolean(price), numericFilters };
+}
+
+module.exports = { extractQuantities };
@@ -4,54 +4,59 @@
  * Normalises raw user queries into a structured intent object.
  *
  * Handles:
+ *  - Devanagari queries (सस्ता फोन → sasta phon), transliterated to Latin
  *  - Hinglish keywords (sasta, naya, best, etc.)
  *  - Common spelling mistakes (ifone → iphone, samsng → samsung)
  *  - Intent extraction (cheap | latest | premium | colorMatch | storageMatch)
- *  - Entity extraction (brand, model, color, storage, price cap)
+ *  - Entity extraction (brand, model, color, storage, price range)
+ *  - Numeric thresholds (rating, ram, storage, battery, screen size)
+ *  - Synonym expansion (earbuds → earphones, tws) from a caller-supplied table
  */
 
+const { readLatest } = require("./hinglishDictionary");
+const { hasDevanagari, devanagariToLatin, looseSpelling } = require("./transliterate");
+const { extractQuantities } = require("./quantities");
+
 // ──────────────────────────────────────────────────────────────
-// Hinglish / colloquial → English mapping
+// Hinglish / regional → English mapping
+// Loaded from versioned data files (see utils/hinglishDictionary.js);
+// replaced at runtime through setHinglishDictionary.
 // ──────────────────────────────────────────────────────────────
-const HINGLISH_MAP = {
-  // Price-related
-  sasta: "cheap",
-  sastha: "cheap",
-  "sasta wala": "cheap",
-  "saste mein": "cheap",
-  "kam daam": "cheap",
-  "low price": "cheap",
-  mahenga: "premium",
-  "best deal": "cheap",
-  // Newness-related
-  naya: "latest",
-  "naya wala": "latest",
-  latest: "latest",
-  nayi: "latest",
-  new: "latest",
-  // Quality-related
-  best: "best",
-  badiya: "best",
-  achha: "best",
-  top: "best",
-  // Storage
-  "jyada storage": "more storage",
-  "zyada storage": "more storage",
-  "zyada memory": "more storage",
-  // Durability
-  "strong cover": "strong",
-  "tough cover": "strong",
-  "tanki": "strong",
-  // Colors (Hindi)
-  laal: "red",
-  neela: "blue",
-  safed: "white",
-  kala: "black",
-  peela: "yellow",
-  hara: "green",
-  narangi: "orange",
-  sunhara: "gold",
-};
+const HINGLISH_MAX_PASSES = 3;
+
+let HINGLISH_MAP = {};
+let hinglishPattern = null; // one alternation of every key, longest first
+let hinglishByLooseWord = new Map(); // looseSpelling(word) → word, for transliterations
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Activates a Hinglish dictionary.
+ * @param {Object<string, string>} entries - lowercase word or phrase → English term
+ */
+function setHinglishDictionary(entries) {
+  HINGLISH_MAP = { ...entries };
+  const keys = Object.keys(HINGLISH_MAP).sort((a, b) => b.length - a.length);
+
+  // Whole words only ("top" must not match inside "laptop"); any run of
+  // spaces may separate the words of a phrase
+  const alternation = keys.map((k) => k.split(" ").map(escapeRegExp).join("\\s+")).join("|");
+  hinglishPattern = keys.length
+    ? new RegExp(`(?<![a-z0-9])(?:${alternation})(?![a-z0-9])`, "g")
+    : null;
+
+  hinglishByLooseWord = new Map();
+  keys.flatMap((k) => k.split(" ")).forEach((word) => {
+    if (!hinglishByLooseWord.has(looseSpelling(word))) {
+      hinglishByLooseWord.set(looseSpelling(word), word);
+    }
+  });
+}
+
+/** The active dictionary (a copy) */
+const getHinglishMap = () => ({ ...HINGLISH_MAP });
+
+setHinglishDictionary(readLatest().entries);
 
 // ──────────────────────────────────────────────────────────────
 // Common misspellings → canonical brand/term
@@ -109,12 +114,6 @@ const STORAGE_PATTERN = /(\d+)\s*(gb|tb|mb)/i;
 // ──────────────────────────────────────────────────────────────
 const RAM_PATTERN = /(\d+)\s*(gb|mb)\s*ram/i;
 
-// ──────────────────────────────────────────────────────────────
-// Price patterns  (e.g. "under 50000", "50k", "₹20000")
-// ──────────────────────────────────────────────────────────────
-const PRICE_PATTERN = /(?:under|below|less than|upto|up to|within)?\s*[₹]?\s*(\d+)\s*k?\s*(?:rupee|rs|inr)?/i;
-const PRICE_K_PATTERN = /(\d+)\s*k\b/i; // "50k" → 50000
-
 // ──────────────────────────────────────────────────────────────
 // Known brands
 // ──────────────────────────────────────────────────────────────
@@ -126,6 +125,17 @@ const BRANDS = [
   "boAt", "ptron", "zebronics",
 ];
 
+// ──────────────────────────────────────────────────────────────
+// Tokenising
+// ──────────────────────────────────────────────────────────────
+const STOPWORDS = new Set(["the", "a", "an", "and", "or", "for", "with", "in", "of", "at", "to", "on"]);
+
+const tokenise = (text) =>
+  text
+    .split(/\s+/)
+    .map((t) => t.replace(/[^a-z0-9]/g, ""))
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+
 // ──────────────────────────────────────────────────────────────
 // Public API
 // ──────────────────────────────────────────────────────────────
@@ -144,25 +154,52 @@ const BRANDS = [
  *   ramGB: number|null,
  *   maxPrice: number|null,
  *   minPrice: number|null,
- *   priceExplicit: boolean
+ *   priceExplicit: boolean,
+ *   numericFilters: { rating?, ram?, storage?, battery?, screenSize?: { gt?, gte?, lt?, lte? } },
+ *   corrections: { from: string, to: string }[],
+ *   expansions: { term: string, synonyms: string[] }[],
+ *   expandedTokens: string[],
+ *   transliterated: string|null   // Latin form of a Devanagari query
  * }}
+ *
+ * @param {{ synonyms?: Map<string, string[]> }} [opts]
+ *        synonyms — term → extra terms to search for (see SynonymService).
+ *                   Matched whole-word against the normalised query; the
+ *                   query itself is left unchanged.
  */
-function parseQuery(rawQuery) {
+function parseQuery(rawQuery, { synonyms } = {}) {
   let q = (rawQuery || "").toLowerCase().trim();
 
-  // 1. Apply Hinglish substitutions (longest match first)
-  const hinglishKeys = Object.keys(HINGLISH_MAP).sort((a, b) => b.length - a.length);
-  for (const k of hinglishKeys) {
-    if (q.includes(k)) {
-      q = q.replace(new RegExp(k, "gi"), HINGLISH_MAP[k]);
-    }
+  // 0. Transliterate Devanagari, snapping each word to the dictionary's
+  //    spelling where they differ only loosely (दाम → "dam" → "daam")
+  let transliterated = null;
+  if (hasDevanagari(q)) {
+    q = devanagariToLatin(q).replace(
+      /[a-z]+/g,
+      (word) => hinglishByLooseWord.get(looseSpelling(word)) || word
+    );
+    transliterated = q;
+  }
+
+  // 1. Apply Hinglish substitutions (longest match first, whole words). A
+  //    second pass lets a replaced word complete a phrase: "zyada storej"
+  //    → "zyada storage" → "more storage".
+  for (let pass = 0; pass < HINGLISH_MAX_PASSES && hinglishPattern; pass++) {
+    const replaced = q.replace(hinglishPattern, (m) => HINGLISH_MAP[m.replace(/\s+/g, " ")]);
+    if (replaced === q) break;
+    q = replaced;
   }
 
-  // 2. Apply spelling corrections
+  // 2. Apply spelling corrections (recorded for analytics)
+  const corrections = [];
   const spellingKeys = Object.keys(SPELLING_MAP).sort((a, b) => b.length - a.length);
   for (const k of spellingKeys) {
     if (q.includes(k)) {
-      q = q.replace(new RegExp(`\\b${k}\\b`, "gi"), SPELLING_MAP[k]);
+      const corrected = q.replace(new RegExp(`\\b${k}\\b`, "gi"), SPELLING_MAP[k]);
+      if (corrected !== q && k !== SPELLING_MAP[k]) {
+        corrections.push({ from: k, to: SPELLING_MAP[k] });
+      }
+      q = corrected;
     }
   }
 
@@ -211,47 +248,26 @@ function parseQuery(rawQuery) {
   const ramMatch = RAM_PATTERN.exec(q);
   if (ramMatch) ramGB = parseInt(ramMatch[1], 10);
 
-  // 8. Extract price constraints
-  let maxPrice = null;
-  let minPrice = null;
-  let priceExplicit = false;
-
-  // "50k rupees" or "50k"
-  const kMatch = PRICE_K_PATTERN.exec(q);
-  if (kMatch) {
-    const val = parseInt(kMatch[1], 10) * 1000;
-    // Decide if it's a "max price" or "target price" heuristic
-    if (/under|below|less|upto|within/.test(q)) {
-      maxPrice = val;
-    } else {
-      // Treat as approximate: ±30%
-      minPrice = Math.round(val * 0.7);
-      maxPrice = Math.round(val * 1.3);
-    }
-    priceExplicit = true;
-  }
+  // 8. Extract price constraints and numeric spec thresholds
+  //    ("between 20k and 30k", "₹1.5 lakh", "at least 5000mah", "4+ stars")
+  const { minPrice, maxPrice, priceExplicit, numericFilters } = extractQuantities(q);
 
-  const priceMatch = PRICE_PATTERN.exec(q);
-  if (priceMatch && !kMatch) {
-    const val = parseInt(priceMatch[1], 10);
-    if (val > 100) {
-      // Likely a real price (ignore "16" from "iPhone 16")
-      if (/under|below|less|upto|within/.test(q)) {
-        maxPrice = val;
-      } else {
-        minPrice = Math.round(val * 0.7);
-        maxPrice = Math.round(val * 1.3);
-      }
-      priceExplicit = true;
+  // 9. Tokenise normalised query (remove stopwords)
+  const tokens = tokenise(normalised);
+
+  // 10. Synonym expansion (longest term first, so "power bank" beats "bank")
+  const expansions = [];
+  const terms = synonyms ? [...synonyms.keys()].sort((a, b) => b.length - a.length) : [];
+  let unmatched = ` ${normalised.replace(/\s+/g, " ")} `;
+  for (const term of terms) {
+    if (unmatched.includes(` ${term} `)) {
+      expansions.push({ term, synonyms: synonyms.get(term) });
+      unmatched = unmatched.replace(` ${term} `, "  ");
     }
   }
-
-  // 9. Tokenise normalised query (remove stopwords)
-  const STOPWORDS = new Set(["the", "a", "an", "and", "or", "for", "with", "in", "of", "at", "to", "on"]);
-  const tokens = normalised
-    .split(/\s+/)
-    .map((t) => t.replace(/[^a-z0-9]/g, ""))
-    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+  const expandedTokens = [
+    ...new Set(expansions.flatMap((e) => e.synonyms.flatMap(tokenise))),
+  ].filter((t) => !tokens.includes(t));
 
   return {
     normalised,
@@ -264,7 +280,19 @@ function parseQuery(rawQuery) {
     maxPrice,
     minPrice,
     priceExplicit,
+    numericFilters,
+    corrections,
+    expansions,
+    expandedTokens,
+    transliterated,
   };
 }
 
-module.exports = { parseQuery };
\ No newline at end of file
+module.exports = {
+  parseQuery,
+  setHinglishDictionary,
+  getHinglishMap,
+  BRANDS,
+  SPELLING_MAP,
+  COLOR_KEYWORDS,
+};
\ No newline at end of file
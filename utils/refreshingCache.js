@@ -0,0 +1,68 @@
+/**
+ * RefreshingCache
+ * ───────────────
+ * A value loaded on first use and reloaded once it is older than ttlMs.
+ *
+ *  - Concurrent callers share one in-flight load.
+ *  - A stale value is served at once while the reload runs in the
+ *    background; a failed reload is logged and the stale value kept.
+ *  - Only callers that have to wait for a value (first use, or after
+ *    invalidate()) see a load error.
+ */
+
+/**
+ * @param {() => Promise<*>} load
+ * @param {number} ttlMs
+ * @param {{ name?: string }} [opts] - name: used in log messages
+ * @returns {{ get: () => Promise<*>, invalidate: () => void }}
+ */
+function createRefreshingCache(load, ttlMs, { name = "cache" } = {}) {
+  let value;
+  let loaded = false;
+  let loadedAt = 0;
+  let loading = null;
+  // Bumped by invalidate() so a load started before it cannot store its result
+  let generation = 0;
+
+  const reload = () => {
+    if (!loading) {
+      const started = generation;
+      const pending = load()
+        .then((result) => {
+          if (started === generation) {
+            value = result;
+            loaded = true;
+            loadedAt = Date.now();
+          }
+          return result;
+        })
+        .finally(() => {
+          if (loading === pending) loading = null;
+        });
+      loading = pending;
+    }
+    return loading;
+  };
+
+  return {
+    async get() {
+      if (!loaded) return reload();
+      if (Date.now() - loadedAt > ttlMs) {
+        reload().catch((err) =>
+          console.warn(`⚠️   Refreshing ${name} failed, keeping the previous one: ${err.message}`)
+        );
+      }
+      return value;
+    },
+
+    /** Drops the value; the next get() waits for a fresh load */
+    invalidate() {
+      generation++;
+      value = undefined;
+      loaded = false;
+      loading = null;
+    },
+  };
+}
+
+module.exports = { createRefreshingCache };
@@ -0,0 +1,143 @@
+/**
+ * Transliterate
+ * ─────────────
+ * Devanagari → Latin, the way people spell Hindi words in Hinglish.
+ *
+ * Deliberately lossy: long and short vowels collapse (आ and अ → "a"),
+ * retroflex and dental consonants share letters (ट and त → "t") and the
+ * inherent "a" is dropped where Hindi speakers drop it (लाल → "lal",
+ * not "lala").
+ * Callers should compare the result against a dictionary with looseSpelling,
+ * which applies the same collapsing to Latin keys ("laal" → "lal").
+ */
+
+const VIRAMA = "्";
+const NUKTA = "़";
+
+const VOWELS = {
+  "अ": "a", "आ": "a", "इ": "i", "ई": "i", "उ": "u", "ऊ": "u", "ऋ": "ri",
+  "ए": "e", "ऐ": "ai", "ओ": "o", "औ": "au", "ऑ": "o", "ऍ": "e",
+};
+
+const VOWEL_SIGNS = {
+  "ा": "a", "ि": "i", "ी": "i", "ु": "u", "ू": "u", "ृ": "ri",
+  "े": "e", "ै": "ai", "ो": "o", "ौ": "au", "ॉ": "o", "ॅ": "e",
+};
+
+const CONSONANTS = {
+  "क": "k", "ख": "kh", "ग": "g", "घ": "gh", "ङ": "n",
+  "च": "ch", "छ": "chh", "ज": "j", "झ": "jh", "ञ": "n",
+  "ट": "t", "ठ": "th", "ड": "d", "ढ": "dh", "ण": "n",
+  "त": "t", "थ": "th", "द": "d", "ध": "dh", "न": "n",
+  "प": "p", "फ": "ph", "ब": "b", "भ": "bh", "म": "m",
+  "य": "y", "र": "r", "ल": "l", "व": "v",
+  "श": "sh", "ष": "sh", "स": "s", "ह": "h",
+};
+
+// Consonant + nukta (ज़, फ़, ड़ ...); precomposed forms are decomposed first
+const NUKTA_CONSONANTS = {
+  "क": "q", "ख": "kh", "ग": "g", "ज": "z", "ड": "d", "ढ": "dh", "फ": "f", "य": "y",
+};
+
+const SIGNS = {
+  "ं": "n", // anusvara
+  "ँ": "n", // chandrabindu
+  "ः": "h", // visarga
+  "।": " ", // danda
+  "॥": " ", // double danda
+};
+
+const DEVANAGARI_PATTERN = /[ऀ-ॿ]/;
+
+const hasDevanagari = (text) => DEVANAGARI_PATTERN.test(text || "");
+
+/**
+ * Splits a word into syllable units: { consonant, vowel, inherent, suffix }.
+ * `inherent` marks a consonant that carries the implicit "a".
+ */
+function toUnits(word) {
+  const chars = [...word.normalize("NFD")];
+  const units = [];
+
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    const hasNukta = chars[i + 1] === NUKTA;
+    const consonant = hasNukta ? NUKTA_CONSONANTS[ch] || CONSONANTS[ch] : CONSONANTS[ch];
+    const last = units[units.length - 1];
+
+    if (consonant) {
+      if (hasNukta) i++;
+      const unit = { consonant, vowel: "", inherent: false, suffix: "" };
+      const next = chars[i + 1];
+      if (next === VIRAMA) {
+        i++; // half consonant: no vowel
+      } else if (VOWEL_SIGNS[next]) {
+        unit.vowel = VOWEL_SIGNS[next];
+        i++;
+      } else {
+        unit.vowel = "a";
+        unit.inherent = true;
+      }
+      units.push(unit);
+    } else if (VOWELS[ch]) {
+      units.push({ consonant: "", vowel: VOWELS[ch], inherent: false, suffix: "" });
+    } else if (SIGNS[ch] !== undefined && last) {
+      last.suffix += SIGNS[ch];
+    } else if (ch >= "०" && ch <= "९") {
+      units.push({ consonant: String(ch.charCodeAt(0) - 0x0966), vowel: "", suffix: "" });
+    } else if (ch !== NUKTA && ch !== VIRAMA) {
+      units.push({ consonant: ch, vowel: "", suffix: "" });
+    }
+  }
+  return units;
+}
+
+/**
+ * Schwa deletion: the inherent "a" is silent at the end of a word
+ * (लाल → lal) and between a vowel and a following consonant + vowel
+ * (सुनहरा → sunhara, सबसे → sabse). A nasal sign keeps it (महंगा → mahanga).
+ */
+function deleteSchwas(units) {
+  const hasVowel = (u) => Boolean(u && u.vowel);
+  const lastIndex = units.length - 1;
+  if (units.length > 1 && units[lastIndex].inherent && !units[lastIndex].suffix) {
+    units[lastIndex].vowel = "";
+  }
+  for (let j = 1; j < lastIndex; j++) {
+    const u = units[j];
+    if (u.inherent && !u.suffix && hasVowel(units[j - 1]) && hasVowel(units[j + 1])) {
+      u.vowel = "";
+    }
+  }
+  return units;
+}
+
+/** Transliterates one word; non-Devanagari characters pass through */
+const transliterateWord = (word) =>
+  deleteSchwas(toUnits(word))
+    .map((u) => u.consonant + u.vowel + u.suffix)
+    .join("");
+
+/**
+ * @param {string} text
+ * @returns {string} text with every Devanagari word written in Latin letters
+ */
+function devanagariToLatin(text) {
+  return String(text || "").replace(/[ऀ-ॿ]+/g, transliterateWord);
+}
+
+/**
+ * Spelling-insensitive form for matching transliterations against Latin
+ * keys: doubled vowels collapse and w/v are treated alike.
+ */
+const looseSpelling = (word) =>
+  word
+    .toLowerCase()
+    .replace(/aa+/g, "a")
+    .replace(/ee+|ii+/g, "i")
+    .replace(/oo+|uu+/g, "u")
+    .replace(/w/g, "v")
+    .replace(/ph/g, "f")
+    .replace(/chchh/g, "chh");
+
+module.exports = { hasDevanagari, devanagariToLatin, looseSpelling };
@@ -0,0 +1,71 @@
+/**
+ * Units
+ * ─────
+ * Canonical units for numeric product attributes, and the spellings each
+ * one accepts on write. Values are stored as plain numbers in the
+ * canonical unit; the unit lives in the category's attribute schema.
+ *
+ *   parseQuantity("1TB", "GB")        → 1024
+ *   parseQuantity("5000 mAh", "mAh")  → 5000
+ *   parseQuantity("7.6 inches Foldable", "inches") → 7.6 (words after the unit are a note)
+ *   parseQuantity("50Whr", "mAh")     → null (not a battery capacity in mAh)
+ *   formatQuantity(6.1, "inches")     → "6.1 inches"
+ */
+
+// ──────────────────────────────────────────────
+// Unit table
+// ──────────────────────────────────────────────
+/**
+ * canonical unit → { aliases: { spelling: factor to canonical }, spaced }
+ * `spaced` puts a space between number and unit when formatting.
+ */
+const UNITS = {
+  GB: { aliases: { gb: 1, tb: 1024, mb: 1 / 1024 }, spaced: false },
+  mAh: { aliases: { mah: 1 }, spaced: false },
+  Wh: { aliases: { wh: 1, whr: 1 }, spaced: false },
+  hours: { aliases: { h: 1, hr: 1, hrs: 1, hour: 1, hours: 1 }, spaced: true },
+  inches: { aliases: { in: 1, inch: 1, inches: 1, '"': 1 }, spaced: true },
+  W: { aliases: { w: 1, watt: 1, watts: 1 }, spaced: false },
+  MP: { aliases: { mp: 1 }, spaced: false },
+  kg: { aliases: { kg: 1, g: 0.001 }, spaced: true },
+};
+
+const UNIT_NAMES = Object.keys(UNITS);
+
+// "6.1 inches", "1TB", "5000", "6.5\"", "7.6 inches Foldable"
+const QUANTITY_PATTERN = /^\s*(\d+(?:\.\d+)?)\s*([a-z"]*)(?:\s+([^\d\s].*?))?\s*$/i;
+
+/** Drops float noise from unit conversion (1 / 1024 …) */
+const round = (n) => Math.round(n * 1000) / 1000;
+
+// ──────────────────────────────────────────────
+// Public API
+// ──────────────────────────────────────────────
+/**
+ * Reads a number in the given canonical unit. Plain numbers, and strings
+ * without a unit, are taken to be in that unit already. Descriptive words
+ * may follow a unit ("6.7 inches Foldable"), but not a bare number.
+ *
+ * @param {number|string} value
+ * @param {string} unit - one of UNIT_NAMES
+ * @returns {number|null} null if the value is not a quantity in that unit
+ */
+function parseQuantity(value, unit) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const match = QUANTITY_PATTERN.exec(String(value ?? ""));
+  if (!match) return null;
+
+  const [, digits, spelling, note] = match;
+  if (!spelling) return note ? null : round(parseFloat(digits));
+  const factor = UNITS[unit]?.aliases[spelling.toLowerCase()];
+  return factor === undefined ? null : round(parseFloat(digits) * factor);
+}
+
+/** Canonical number → display text, e.g. 8 → "8GB" */
+function formatQuantity(value, unit) {
+  const def = UNITS[unit];
+  if (!def) return String(value);
+  return `${value}${def.spaced ? " " : ""}${unit}`;
+}
+
+module.exports = { UNITS, UNIT_NAMES, parseQuantity, formatQuantity };